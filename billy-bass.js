@@ -1,95 +1,97 @@
 // billy-bass.js - Interactive Billy Big Mouth Bass Controller
 // Requires Node.js 18+ on Raspberry Pi
 
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
-const { spawn } = require('child_process');
-const OpenAI = require('openai'); // For Whisper speech-to-text and TTS
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { DEFAULTS, ConfigError, loadConfig, parseArgs } = require('./config');
+const { createSttChain, createChatChain, createTtsChain, requiredApiKeys } = require('./providers');
+const { createGpioBackend } = require('./gpio');
+const { createMotorDriver } = require('./motor-drivers');
+const { MotorWatchdog } = require('./motor-watchdog');
+const lipSync = require('./lip-sync');
+const { VoiceActivityDetector } = require('./vad');
+const { writeWav, s16leToFloat } = require('./wav');
+const { ConversationSession } = require('./conversation');
+const { SentenceSplitter, AsyncQueue } = require('./speech-stream');
+const { RoutinePlayer, loadRoutine } = require('./choreography');
+const { WakeWordDetector, WakeWordListener, loadModel } = require('./wake-word');
+const { ControlServer } = require('./control-server');
+const { InteractionRecord, HistoryStore, summarize } = require('./history');
+const { logger, captureConsole } = require('./logger');
+const { randomLine, pickClip, listClips } = require('./fallback-clips');
+const { TtsCache } = require('./tts-cache');
+const { IdleBehaviors } = require('./idle-behaviors');
+const { createToolRegistry } = require('./tools');
+const { PersonaManager, PersonaError } = require('./personas');
+const { ButtonGestures } = require('./button-gestures');
+const { BodyPositioner, createBodyPositioner } = require('./body-position');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const CONFIG = {
-  // API Keys (set as environment variables)
-  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  
-  // GPIO Configuration
-  BUTTON_PIN: 5, // GPIO 5 (Physical Pin 29) - GPIO 17 is used by body motor!
-  
-  // Motor Control GPIO Pins (DRV8833 drivers)
-  // Body Motor = Motor A1 (DRV8833 #1)
-  MOTOR_BODY_PIN1: 17,
-  MOTOR_BODY_PIN2: 27,
-  MOTOR_BODY_PWM: 12,
-  
-  // Mouth Motor = Motor B1 (DRV8833 #1)  
-  MOTOR_MOUTH_PIN1: 22,
-  MOTOR_MOUTH_PIN2: 23,
-  MOTOR_MOUTH_PWM: 12, // Shares PWM with Body
-  
-  // Tail Motor = Motor A2 (DRV8833 #2)
-  MOTOR_TAIL_PIN1: 24,
-  MOTOR_TAIL_PIN2: 25,
-  MOTOR_TAIL_PWM: 13,
-  
-  // Motor Speeds (0-100)
-  BODY_TURN_SPEED: 60,
-  BODY_TURN_DURATION: 1500, // ms - adjust to match your fish's turning range
-  MOUTH_SPEED: 70,
-  TAIL_SPEED: 50,
-  
-  // Audio Configuration
-  AUDIO_RECORDING_DURATION: 5000, // ms - maximum recording time
-  AUDIO_TEMP_FILE: '/tmp/billy_bass_recording.wav',
-  TTS_OUTPUT_FILE: '/tmp/billy_bass_response.mp3',
-  TTS_VOICE: 'onyx', // Options: alloy, echo, fable, onyx, nova, shimmer
-  TTS_MODEL: 'tts-1', // or 'tts-1-hd' for higher quality
-  
-  // AI Configuration
-  AI_MODEL: 'claude-sonnet-4-20250514',
-  AI_MAX_TOKENS: 150,
-  AI_SYSTEM_PROMPT: `You are Billy Bass, a wise-cracking animatronic fish. 
-Respond to questions with 1-2 sentences full of fish puns and fishing-related humor. 
-Keep it family-friendly and fun!`
-};
+// Defaults until main() loads the config file, profile and environment
+// overrides (see config.js for every setting)
+const CONFIG = { ...DEFAULTS };
+
+// The active persona's settings are applied to CONFIG (see personas.js)
+const personas = new PersonaManager(CONFIG);
+
+// Helper: an error as reported by the control API status
+function errorInfo(error) {
+  return { message: error.message, time: new Date().toISOString() };
+}
 
 // ============================================================================
-// GPIO MOTOR CONTROLLER (DRV8833)
+// MOTOR CONTROLLER
 // ============================================================================
 
+// What the motors do; the board-specific part is a driver (see motor-drivers.js)
 class MotorController {
-  constructor() {
+  // driver: defaults to the one MOTOR_DRIVER selects, on this GPIO backend
+  constructor(gpio, driver = createMotorDriver(gpio, CONFIG)) {
+    this.gpio = gpio;
+    this.driver = driver;
     this.initialized = false;
-    this.motors = {
-      body: { pin1: CONFIG.MOTOR_BODY_PIN1, pin2: CONFIG.MOTOR_BODY_PIN2, pwm: CONFIG.MOTOR_BODY_PWM },
-      mouth: { pin1: CONFIG.MOTOR_MOUTH_PIN1, pin2: CONFIG.MOTOR_MOUTH_PIN2, pwm: CONFIG.MOTOR_MOUTH_PWM },
-      tail: { pin1: CONFIG.MOTOR_TAIL_PIN1, pin2: CONFIG.MOTOR_TAIL_PIN2, pwm: CONFIG.MOTOR_TAIL_PWM }
-    };
+    this.motors = driver.motors;
+    
+    // Last commanded speed per motor (-100..100, or 'brake')
+    this.speeds = { body: 0, mouth: 0, tail: 0 };
+    
+    // Running totals per motor, for the interaction history
+    this.activity = {};
+    for (const name of Object.keys(this.motors)) {
+      this.activity[name] = { commands: 0, driveMs: 0, brakeMs: 0, changedAt: Date.now() };
+    }
+    
+    // Forces a motor to coast if it runs, brakes or works too long
+    this.watchdog = new MotorWatchdog(Object.keys(this.motors), {
+      maxOnTime: CONFIG.MOTOR_MAX_ON_TIME,
+      maxBrakeTime: CONFIG.MOTOR_MAX_BRAKE_TIME,
+      dutyWindow: CONFIG.MOTOR_DUTY_WINDOW,
+      dutyBudget: CONFIG.MOTOR_DUTY_BUDGET,
+      cooldown: CONFIG.MOTOR_FAULT_COOLDOWN,
+      onTrip: (motorName) => this.setMotor(motorName, 0)
+    });
+    this.halted = false; // Set by emergencyStop() - only coasting allowed from then on
+    this.emergencyHandler = null; // Installed by installEmergencyStop(), removed by close()
   }
   
-  // Initialize GPIO pins for motor control
+  // Initialize the motor driver
   async init() {
     try {
-      // Set all motor direction pins as outputs (low by default)
-      for (const motor of Object.values(this.motors)) {
-        await this.setGPIOMode(motor.pin1, 'out');
-        await this.setGPIOMode(motor.pin2, 'out');
-        await this.setGPIOValue(motor.pin1, 0);
-        await this.setGPIOValue(motor.pin2, 0);
-      }
-      
-      // Set PWM pins (NSLEEP) - these enable the motor drivers
-      await this.setGPIOMode(CONFIG.MOTOR_BODY_PWM, 'out');
-      await this.setGPIOMode(CONFIG.MOTOR_TAIL_PWM, 'out');
-      
-      // Enable both DRV8833 chips (HIGH = enabled)
-      await this.setGPIOValue(CONFIG.MOTOR_BODY_PWM, 1);
-      await this.setGPIOValue(CONFIG.MOTOR_TAIL_PWM, 1);
+      await this.driver.init();
       
       this.initialized = true;
-      console.log('✓ Motor Controller initialized');
+      this.watchdog.start();
+      console.log(`✓ Motor Controller initialized (${this.driver.name})`);
+      
+      // Report how long a motor command takes - mouth timing depends on it
+      const latency = this.driver.measureLatency ? await this.driver.measureLatency() : null;
+      if (latency) {
+        console.log(`✓ Motor command latency: ${latency.avg.toFixed(2)} ms avg, ${latency.max.toFixed(2)} ms max`);
+      }
       return true;
     } catch (error) {
       console.error('✗ Failed to initialize Motor Controller:', error.message);
@@ -97,24 +99,6 @@ class MotorController {
     }
   }
   
-  // Helper: Set GPIO pin mode using gpiod
-  async setGPIOMode(pin, mode) {
-    // gpiod doesn't require explicit mode setting - done when accessing
-    return Promise.resolve();
-  }
-  
-  // Helper: Set GPIO pin value
-  async setGPIOValue(pin, value) {
-    return new Promise((resolve, reject) => {
-      const cmd = spawn('gpioset', ['gpiochip0', `${pin}=${value}`]);
-      cmd.on('close', (code) => {
-        if (code === 0) resolve();
-        else reject(new Error(`gpioset failed with code ${code}`));
-      });
-      cmd.on('error', reject);
-    });
-  }
-  
   // Set motor speed and direction
   // motor: 'body', 'mouth', or 'tail'
   // speed: -100 to 100 (negative = reverse), or 'brake' to hold position
@@ -124,45 +108,80 @@ class MotorController {
       return;
     }
     
-    const motor = this.motors[motorName];
-    if (!motor) {
+    if (!this.motors[motorName]) {
       console.error(`Unknown motor: ${motorName}`);
       return;
     }
     
+    if (speed !== 0 && (this.halted || !this.watchdog.allows(motorName, speed))) {
+      return;
+    }
+    
+    if (speed !== 'brake') {
+      // Clamp speed
+      speed = Math.max(-100, Math.min(100, speed));
+    }
+    
     try {
-      if (speed === 'brake') {
-        // Brake mode: both pins HIGH = electrical brake to hold position against spring
-        await this.setGPIOValue(motor.pin1, 1);
-        await this.setGPIOValue(motor.pin2, 1);
-      } else if (speed === 0) {
-        // Coast: both pins LOW (motor freewheels, spring returns fish)
-        await this.setGPIOValue(motor.pin1, 0);
-        await this.setGPIOValue(motor.pin2, 0);
-      } else {
-        // Clamp speed
-        speed = Math.max(-100, Math.min(100, speed));
-        
-        if (speed > 0) {
-          // Forward: pin1 HIGH, pin2 LOW
-          await this.setGPIOValue(motor.pin1, 1);
-          await this.setGPIOValue(motor.pin2, 0);
-        } else {
-          // Reverse: pin1 LOW, pin2 HIGH
-          await this.setGPIOValue(motor.pin1, 0);
-          await this.setGPIOValue(motor.pin2, 1);
-        }
-      }
-      
-      // Note: We're using full speed (PWM always HIGH)
-      // For true PWM speed control, would need to use hardware PWM
-      // or software PWM with rapid pin toggling
+      await this.driver.set(motorName, speed);
       
+      this.noteActivity(motorName);
+      this.speeds[motorName] = speed;
+      this.watchdog.record(motorName, speed);
     } catch (error) {
       console.error(`Error setting motor ${motorName}:`, error.message);
     }
   }
   
+  // Add the time spent at the previous speed to the motor's totals
+  noteActivity(motorName) {
+    const activity = this.activity[motorName];
+    const now = Date.now();
+    const speed = this.speeds[motorName];
+    if (speed === 'brake') {
+      activity.brakeMs += now - activity.changedAt;
+    } else if (speed !== 0) {
+      activity.driveMs += now - activity.changedAt;
+    }
+    activity.changedAt = now;
+    activity.commands++;
+  }
+  
+  // Totals so far per motor: { commands, driveMs, brakeMs }
+  activitySnapshot() {
+    const snapshot = {};
+    for (const [name, activity] of Object.entries(this.activity)) {
+      const running = Date.now() - activity.changedAt;
+      const speed = this.speeds[name];
+      snapshot[name] = {
+        commands: activity.commands,
+        driveMs: activity.driveMs + (speed !== 0 && speed !== 'brake' ? running : 0),
+        brakeMs: activity.brakeMs + (speed === 'brake' ? running : 0)
+      };
+    }
+    return snapshot;
+  }
+  
+  // Gradually change a motor's speed instead of jumping straight to it
+  // Reversing direction ramps down through 0 first
+  async rampMotor(motorName, targetSpeed, duration = CONFIG.MOTOR_RAMP_DURATION) {
+    const current = this.speeds[motorName] === 'brake' ? 0 : (this.speeds[motorName] || 0);
+    
+    if (current !== 0 && targetSpeed !== 0 && Math.sign(current) !== Math.sign(targetSpeed)) {
+      await this.rampMotor(motorName, 0, duration / 2);
+      return this.rampMotor(motorName, targetSpeed, duration / 2);
+    }
+    
+    const steps = Math.max(1, Math.round(duration / CONFIG.MOTOR_RAMP_STEP));
+    for (let i = 1; i <= steps; i++) {
+      const speed = Math.round(current + (targetSpeed - current) * (i / steps));
+      await this.setMotor(motorName, speed);
+      if (i < steps) {
+        await new Promise(resolve => setTimeout(resolve, duration / steps));
+      }
+    }
+  }
+  
   // Stop a specific motor
   async stopMotor(motorName) {
     await this.setMotor(motorName, 0);
@@ -175,13 +194,45 @@ class MotorController {
     await this.setMotor('tail', 0);
   }
   
+  // Last resort when something has gone badly wrong: coast everything and
+  // put the drivers to sleep, refusing any further movement
+  async emergencyStop(reason) {
+    console.error(`🚨 Emergency stop: ${reason}`);
+    this.halted = true;
+    await this.close();
+  }
+  
+  // Emergency stop on anything that would otherwise crash the process with a
+  // motor still driving or braking (e.g. a throw between turnTowardUser and
+  // returnToIdle), then exit as Node would have
+  installEmergencyStop() {
+    if (this.emergencyHandler) return;
+    
+    const handler = (error) => {
+      console.error('✗ Unexpected error:', error);
+      setTimeout(() => process.exit(1), 2000).unref(); // Don't hang on a stuck GPIO backend
+      this.emergencyStop(error && error.message ? error.message : String(error))
+        .finally(() => process.exit(1));
+    };
+    process.once('uncaughtException', handler);
+    process.once('unhandledRejection', handler);
+    this.emergencyHandler = handler;
+  }
+  
   // Cleanup
   async close() {
+    // A closed controller has nothing left to stop (test-components.js makes
+    // a new one for every motor test)
+    if (this.emergencyHandler) {
+      process.off('uncaughtException', this.emergencyHandler);
+      process.off('unhandledRejection', this.emergencyHandler);
+      this.emergencyHandler = null;
+    }
+    this.watchdog.stop();
     await this.stopAll();
     // Disable motor drivers
     try {
-      await this.setGPIOValue(CONFIG.MOTOR_BODY_PWM, 0);
-      await this.setGPIOValue(CONFIG.MOTOR_TAIL_PWM, 0);
+      await this.driver.close();
     } catch (error) {
       // Ignore cleanup errors
     }
@@ -194,42 +245,176 @@ class MotorController {
 
 class AudioManager {
   constructor() {
-    this.openai = new OpenAI({ apiKey: CONFIG.OPENAI_API_KEY });
+    this.chains = {}; // Created on first use - see stt/tts below
     this.isRecording = false;
-    this.recordingStream = null;
+    this.clipFiles = new Set();
+    this.processes = new Set(); // Running recorders and players, for stop()
+    this.lastError = null;
+    this.cache = CONFIG.TTS_CACHE_DIR
+      ? new TtsCache(CONFIG.TTS_CACHE_DIR, { maxBytes: CONFIG.TTS_CACHE_MAX_MB * 1024 * 1024 })
+      : null;
+  }
+  
+  // Speech providers (with their fallbacks, timeouts and retries) are only
+  // created when needed, so playback-only tools (like the choreography
+  // player) run without API keys
+  get stt() {
+    if (!this.chains.stt) {
+      this.chains.stt = createSttChain(CONFIG);
+    }
+    return this.chains.stt;
+  }
+  
+  get tts() {
+    if (!this.chains.tts) {
+      this.chains.tts = createTtsChain(CONFIG);
+    }
+    return this.chains.tts;
   }
   
-  // Record audio from USB microphone
-  async recordAudio(duration) {
+  // Use the current TTS settings from the next line on (e.g. a persona's voice)
+  reloadTts() {
+    this.chains.tts = null;
+  }
+  
+  // Helper: remember a spawned recorder/player until it exits
+  track(proc) {
+    this.processes.add(proc);
+    proc.on('close', () => this.processes.delete(proc));
+    return proc;
+  }
+  
+  // Cut off any recording or playback in progress
+  stop() {
+    for (const proc of this.processes) {
+      proc.kill();
+    }
+  }
+  
+  // Output file for one sentence of a streamed reply
+  clipPath(index) {
+    const file = CONFIG.TTS_OUTPUT_FILE.replace(/(\.\w+)?$/, `_${index}${this.tts.primary.extension}`);
+    this.clipFiles.add(file);
+    return file;
+  }
+  
+  // Raw PCM from the microphone to stdout instead of a file, so it can be
+  // analyzed as it arrives
+  startCapture() {
+    return this.track(spawn('arecord', [
+      '-D', CONFIG.AUDIO_CAPTURE_DEVICE,
+      '-f', 'S16_LE',
+      '-r', String(CONFIG.AUDIO_SAMPLE_RATE),
+      '-c', String(CONFIG.AUDIO_CHANNELS),
+      '-t', 'raw',
+      '-q'
+    ]));
+  }
+  
+  // Listen while Billy talks and call onSpeech() once when someone talks over
+  // him (barge-in); returns a function that stops listening, resolving once
+  // the mic is free again
+  // Billy's own voice reaches the mic too, so the detector takes its first
+  // second as the background level and only fires on speech well above it
+  watchForSpeech(onSpeech) {
+    const channels = CONFIG.AUDIO_CHANNELS;
+    const vad = new VoiceActivityDetector({
+      threshold: CONFIG.BARGE_IN_THRESHOLD,
+      calibrationMs: 1000,
+      maxNoiseFloor: Infinity, // Billy's voice is the background here
+      startMs: 250,
+      noSpeechTimeoutMs: Infinity,
+      maxSpeechMs: Infinity
+    });
+    const frameBytes = Math.round(CONFIG.AUDIO_SAMPLE_RATE * vad.options.frameMs / 1000) * channels * 2;
+    const arecord = this.startCapture();
+    const closed = new Promise(resolve => arecord.on('close', resolve));
+    let pending = Buffer.alloc(0);
+    
+    arecord.stdout.on('data', (data) => {
+      pending = Buffer.concat([pending, data]);
+      while (pending.length >= frameBytes && !arecord.killed) {
+        const frame = s16leToFloat(pending.subarray(0, frameBytes), channels);
+        pending = pending.subarray(frameBytes);
+        
+        if (vad.process(frame) === 'speech-start') {
+          arecord.kill();
+          onSpeech();
+        }
+      }
+    });
+    
+    arecord.on('error', (error) => {
+      console.error('⚠️  Could not listen for interruptions:', error.message);
+    });
+    
+    return () => {
+      arecord.kill();
+      return closed;
+    };
+  }
+  
+  // Record one utterance: capture streams from the mic until voice activity
+  // detection hears speech followed by trailing silence. Resolves with
+  // { spoke: true, file, durationMs } or { spoke: false } if nobody talked
+  async recordUtterance() {
     return new Promise((resolve, reject) => {
-      console.log(`🎤 Recording for ${duration / 1000} seconds...`);
-      
-      // Use arecord directly (same as test-components.js which works)
-      const durationSeconds = Math.ceil(duration / 1000);
-      const arecord = spawn('arecord', [
-        '-D', 'hw:3,0',
-        '-d', String(durationSeconds),
-        '-f', 'cd',  // CD quality (44.1kHz, 16-bit, stereo)
-        CONFIG.AUDIO_TEMP_FILE
-      ]);
+      console.log('🎤 Listening...');
+      
+      const channels = CONFIG.AUDIO_CHANNELS;
+      const sampleRate = CONFIG.AUDIO_SAMPLE_RATE;
+      const vad = new VoiceActivityDetector({
+        threshold: CONFIG.VAD_THRESHOLD,
+        trailingSilenceMs: CONFIG.VAD_TRAILING_SILENCE,
+        noSpeechTimeoutMs: CONFIG.VAD_NO_SPEECH_TIMEOUT,
+        maxSpeechMs: CONFIG.AUDIO_RECORDING_DURATION
+      });
+      const frameBytes = Math.round(sampleRate * vad.options.frameMs / 1000) * channels * 2;
+      const arecord = this.startCapture();
       
       this.isRecording = true;
+      let pending = Buffer.alloc(0);
       
-      arecord.stderr.on('data', (data) => {
-        // arecord outputs progress to stderr, ignore it
+      arecord.stdout.on('data', (data) => {
+        if (vad.done) return;
+        pending = Buffer.concat([pending, data]);
+        
+        while (pending.length >= frameBytes && !vad.done) {
+          const frame = s16leToFloat(pending.subarray(0, frameBytes), channels);
+          pending = pending.subarray(frameBytes);
+          
+          if (vad.process(frame) === 'speech-start') {
+            console.log('🗣️  Speech detected');
+          }
+        }
+        
+        if (vad.done) {
+          arecord.kill();
+        }
       });
       
-      arecord.on('close', (code) => {
+      arecord.on('close', async (code) => {
         this.isRecording = false;
         
-        if (code === 0) {
-          console.log('✓ Recording complete');
-          // Small delay to ensure file is fully written
-          setTimeout(() => {
-            resolve(CONFIG.AUDIO_TEMP_FILE);
-          }, 100);
-        } else {
+        if (!vad.done) {
           reject(new Error(`Recording failed with code ${code}`));
+          return;
+        }
+        
+        if (vad.result === 'silence') {
+          console.log('✓ Recording complete (no speech)');
+          resolve({ spoke: false });
+          return;
+        }
+        
+        try {
+          const samples = vad.getAudio();
+          await fs.promises.writeFile(CONFIG.AUDIO_TEMP_FILE, writeWav(samples, sampleRate));
+          const durationMs = Math.round(samples.length / sampleRate * 1000);
+          console.log(`✓ Recording complete (${(durationMs / 1000).toFixed(1)}s, ${vad.reason})`);
+          resolve({ spoke: true, file: CONFIG.AUDIO_TEMP_FILE, durationMs });
+        } catch (error) {
+          reject(error);
         }
       });
       
@@ -241,43 +426,50 @@ class AudioManager {
     });
   }
   
-  // Transcribe audio using OpenAI Whisper
+  // Transcribe audio with the configured speech-to-text provider
   async transcribeAudio(audioFilePath) {
     try {
-      console.log('🎯 Transcribing audio...');
+      console.log(`🎯 Transcribing audio (${this.stt.primary.name})...`);
       
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: fs.createReadStream(audioFilePath),
-        model: 'whisper-1',
-        language: 'en'
-      });
+      const text = await this.stt.run((stt, signal) => stt.transcribe(audioFilePath, { signal }));
       
-      console.log(`✓ Transcription: "${transcription.text}"`);
-      return transcription.text;
+      console.log(`✓ Transcription: "${text}"`);
+      return text;
     } catch (error) {
       console.error('✗ Transcription error:', error.message);
+      this.lastError = errorInfo(error);
       return null;
     }
   }
   
-  // Generate speech from text using OpenAI TTS
-  async textToSpeech(text) {
+  // Generate speech from text with the configured text-to-speech provider
+  async textToSpeech(text, outputFile = CONFIG.TTS_OUTPUT_FILE) {
     try {
-      console.log('🗣️  Generating speech...');
+      console.log(`🗣️  Generating speech (${this.tts.primary.name})...`);
       
-      const mp3 = await this.openai.audio.speech.create({
-        model: CONFIG.TTS_MODEL,
-        voice: CONFIG.TTS_VOICE,
-        input: text,
+      // Each provider has its own voice, so each has its own cache entries
+      let cached = false;
+      const file = await this.tts.run(async (tts, signal) => {
+        const hit = this.cache && this.cache.get(text, tts);
+        if (hit) {
+          cached = true;
+          return hit;
+        }
+        
+        // Providers write different formats, so the file extension follows them
+        const output = outputFile.replace(/(\.\w+)?$/, tts.extension);
+        await tts.synthesize(text, output, { signal });
+        if (this.cache) {
+          this.cache.put(text, tts, output);
+        }
+        return output;
       });
       
-      const buffer = Buffer.from(await mp3.arrayBuffer());
-      await fs.promises.writeFile(CONFIG.TTS_OUTPUT_FILE, buffer);
-      
-      console.log('✓ Speech generated');
-      return CONFIG.TTS_OUTPUT_FILE;
+      console.log(cached ? '✓ Speech generated (cached)' : '✓ Speech generated');
+      return file;
     } catch (error) {
       console.error('✗ TTS error:', error.message);
+      this.lastError = errorInfo(error);
       throw error;
     }
   }
@@ -289,7 +481,11 @@ class AudioManager {
       
       // Use mpg123 for MP3 files, aplay for WAV
       const isMp3 = audioFilePath.endsWith('.mp3');
-      const player = spawn(isMp3 ? 'mpg123' : 'aplay', ['-q', audioFilePath]);
+      const args = ['-q'];
+      if (CONFIG.AUDIO_PLAYBACK_DEVICE) {
+        args.push(isMp3 ? '-a' : '-D', CONFIG.AUDIO_PLAYBACK_DEVICE);
+      }
+      const player = this.track(spawn(isMp3 ? 'mpg123' : 'aplay', [...args, audioFilePath]));
       
       player.on('close', (code) => {
         if (code === 0) {
@@ -348,30 +544,106 @@ class AudioManager {
 // ============================================================================
 
 class FishAI {
-  constructor() {
-    this.client = new Anthropic({ apiKey: CONFIG.ANTHROPIC_API_KEY });
+  constructor(conversation) {
+    this.chat = createChatChain(CONFIG);
+    // Local tools Claude can call while answering (see tools.js)
+    this.tools = CONFIG.AI_TOOLS_ENABLED ? createToolRegistry(CONFIG) : null;
+    this.conversation = conversation || new ConversationSession({
+      idleTimeout: CONFIG.CONVERSATION_IDLE_TIMEOUT,
+      maxTokens: CONFIG.CONVERSATION_MAX_TOKENS,
+      file: CONFIG.CONVERSATION_FILE
+    });
+    this.lastError = null;
   }
   
-  // Get punny response from Claude
+  // Request for the chat provider: system prompt plus remembered turns
+  buildRequest(userMessage) {
+    return {
+      system: CONFIG.AI_SYSTEM_PROMPT,
+      maxTokens: CONFIG.AI_MAX_TOKENS,
+      messages: [
+        ...this.conversation.getMessages(),
+        { role: 'user', content: userMessage }
+      ],
+      tools: this.tools,
+      maxToolRounds: CONFIG.AI_MAX_TOOL_ROUNDS
+    };
+  }
+  
+  // Get punny response from the chat provider
   async getResponse(userMessage) {
     try {
-      console.log('🤖 Asking Claude for a punny response...');
-      
-      const message = await this.client.messages.create({
-        model: CONFIG.AI_MODEL,
-        max_tokens: CONFIG.AI_MAX_TOKENS,
-        system: CONFIG.AI_SYSTEM_PROMPT,
-        messages: [
-          { role: 'user', content: userMessage }
-        ]
-      });
+      console.log(`🤖 Asking ${this.chat.primary.name} for a punny response...`);
       
-      const response = message.content[0].text;
+      const request = this.buildRequest(userMessage);
+      const response = await this.chat.run((chat, signal) => chat.complete(request, { signal }));
       console.log(`✓ AI Response: "${response}"`);
+      
+      // Only remember exchanges that actually happened
+      this.conversation.addExchange(userMessage, response);
       return response;
     } catch (error) {
       console.error('✗ AI error:', error.message);
-      return "Something's fishy here! Let's try that again.";
+      this.lastError = errorInfo(error);
+      return randomLine(personas.fallbackLines);
+    }
+  }
+  
+  // Stream the response from the chat provider, calling onSentence(text) for each
+  // complete sentence as it arrives. Resolves with the full reply
+  // signal: aborting it cuts the reply short (barge-in) - resolves with what
+  // was written so far
+  async streamResponse(userMessage, onSentence, { signal = null } = {}) {
+    let splitter = new SentenceSplitter();
+    let response = '';
+    let sentences = 0;
+    
+    const emit = (list) => {
+      for (const sentence of list) {
+        sentences++;
+        onSentence(sentence);
+      }
+    };
+    
+    try {
+      console.log(`🤖 Asking ${this.chat.primary.name} for a punny response (streaming)...`);
+      
+      // A retry starts the reply over, so it's only allowed while nothing has
+      // been spoken yet
+      const request = this.buildRequest(userMessage);
+      await this.chat.run((chat, signal) => {
+        splitter = new SentenceSplitter();
+        response = '';
+        return chat.stream(request, (text) => {
+          if (signal.aborted) return; // An attempt that already timed out
+          response += text;
+          emit(splitter.push(text));
+        }, { signal });
+      }, { canRetry: () => sentences === 0, signal });
+      emit(splitter.flush());
+      
+      console.log(`✓ AI Response: "${response}"`);
+      this.conversation.addExchange(userMessage, response);
+      return response;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        // Remember the part that was written, so "as I was saying..." works
+        console.log(`✋ Reply cut short: "${response}"`);
+        if (response) {
+          this.conversation.addExchange(userMessage, response);
+        }
+        return response;
+      }
+      console.error('✗ AI error:', error.message);
+      this.lastError = errorInfo(error);
+      
+      // Sentences already sent are being spoken - only fill in if nothing was
+      if (sentences === 0) {
+        const fallback = randomLine(personas.fallbackLines);
+        onSentence(fallback);
+        return fallback;
+      }
+      return response;
     }
   }
 }
@@ -380,14 +652,48 @@ class FishAI {
 // BILLY BASS CONTROLLER
 // ============================================================================
 
+// What Billy says when nobody spoke or he couldn't make it out
+const NOT_HEARD_LINE = "I didn't catch that, but I'm all ears... or fins!";
+
+// Banner for each way a conversation can be started
+const TRIGGER_TITLES = {
+  button: '🔴 BUTTON PRESSED - Starting interaction...',
+  'wake-word': '👂 HEY BILLY - Starting interaction...',
+  api: '🌐 CONTROL API - Starting interaction...',
+  'barge-in': '✋ INTERRUPTED - Listening for the next question...'
+};
+
 class BillyBass {
-  constructor() {
-    this.motorController = new MotorController();
-    this.audioManager = new AudioManager();
-    this.fishAI = new FishAI();
+  // Collaborators can be injected (e.g. a SimulatedGpio and stub audio/AI
+  // objects) to run the whole interaction flow away from the Pi
+  constructor(options = {}) {
+    this.gpio = options.gpio || createGpioBackend(CONFIG.GPIO_BACKEND, { chip: CONFIG.GPIO_CHIP });
+    this.motorController = new MotorController(this.gpio);
+    this.body = null; // BodyPositioner, set up by init()
+    this.audioManager = options.audioManager || new AudioManager();
+    this.fishAI = options.fishAI || new FishAI();
     this.isProcessing = false;
+    this.stopRequested = false;
+    this.speaking = false; // speakWithAnimation() in progress
+    this.bargedIn = null; // 'button' or 'voice' once Billy is cut off mid-reply
+    this.onBargeIn = null; // Cancels the rest of a streamed reply
     this.buttonWatcher = null;
-    this.gpioMonitor = null;
+    this.buttons = null; // ButtonGestures
+    this.controlServer = null;
+    this.routinePlayer = null;
+    this.wakeWord = null;
+    this.idle = null;
+    
+    // Every interaction is recorded here (see history.js)
+    this.history = options.history !== undefined ? options.history
+      : CONFIG.HISTORY_FILE ? new HistoryStore(CONFIG.HISTORY_FILE) : null;
+    this.interaction = null; // InteractionRecord of the one in progress
+    this.usedFallbackClip = false; // Played a pre-rendered line this interaction
+    
+    // Reported by the control API's /status
+    this.lastTranscript = null;
+    this.lastReply = null;
+    this.lastError = null;
   }
   
   // Initialize all systems
@@ -400,133 +706,639 @@ class BillyBass {
       return false;
     }
     
-    // Set up button monitoring using gpiod CLI tools
+    // How the body finds the user: a sensor, learned timing or BODY_TURN_DURATION
+    try {
+      this.body = await createBodyPositioner(this.motorController, this.gpio, CONFIG);
+    } catch (error) {
+      console.error(`⚠️  Body sensor/calibration not used: ${error.message}`);
+      this.body = new BodyPositioner(this.motorController, {
+        speed: CONFIG.BODY_TURN_SPEED,
+        turnMs: CONFIG.BODY_TURN_DURATION,
+        ramp: CONFIG.MOTOR_RAMP_DURATION
+      });
+    }
+    console.log(`✓ Body positioning: ${this.body.describe()}`);
+    
+    // Set up button monitoring through the GPIO backend
     // Button is active-low (reads 0 when pressed) with internal pull-up
-    let lastValue = await this.readGPIO(CONFIG.BUTTON_PIN);
+    this.buttons = new ButtonGestures({
+      debounce: CONFIG.BUTTON_DEBOUNCE,
+      longPress: CONFIG.BUTTON_LONG_PRESS,
+      doubleGap: CONFIG.BUTTON_DOUBLE_PRESS
+    }, {
+      onPress: () => this.onButtonPress(),
+      onGesture: gesture => this.onButtonGesture(gesture)
+    });
+    this.buttonWatcher = this.gpio.watch(CONFIG.BUTTON_PIN, value => this.buttons.edge(value));
+    
+    console.log('✓ Button monitoring started (GPIO ' + CONFIG.BUTTON_PIN + ')');
+    
+    if (listClips(CONFIG.FALLBACK_CLIPS_DIR).length === 0) {
+      console.log('💡 No fallback clips for when text-to-speech fails - render them with: node fallback-clips.js render');
+    }
     
-    this.buttonWatcher = setInterval(async () => {
+    const tools = this.fishAI.tools;
+    if (tools && tools.size > 0) {
+      console.log(`✓ AI tools: ${tools.names.join(', ')}`);
+    }
+    
+    // Optional always-listening mode - the button keeps working alongside it
+    if (CONFIG.WAKE_WORD_ENABLED) {
       try {
-        const value = await this.readGPIO(CONFIG.BUTTON_PIN);
-        
-        // Detect button press (falling edge: 1 -> 0)
-        if (value === 0 && lastValue === 1 && !this.isProcessing) {
-          this.handleButtonPress();
-        }
-        
-        lastValue = value;
+        const detector = new WakeWordDetector(loadModel(CONFIG.WAKE_WORD_MODEL), {
+          sensitivity: CONFIG.WAKE_WORD_SENSITIVITY
+        });
+        this.wakeWord = new WakeWordListener(detector, {
+          device: CONFIG.AUDIO_CAPTURE_DEVICE,
+          channels: CONFIG.AUDIO_CHANNELS,
+          cooldown: CONFIG.WAKE_WORD_COOLDOWN,
+          onWake: () => this.handleButtonPress('wake-word')
+        });
+        this.wakeWord.start();
+        console.log('✓ Wake word listening ("Hey Billy")');
       } catch (error) {
-        // Ignore read errors during polling
+        console.error(`⚠️  Wake word disabled: ${error.message}`);
       }
-    }, 100); // Poll every 100ms
+    }
+    
+    // Optional HTTP API for home automation and scripts
+    if (CONFIG.CONTROL_API_ENABLED) {
+      this.controlServer = new ControlServer(this, {
+        host: CONFIG.CONTROL_API_HOST,
+        port: CONFIG.CONTROL_API_PORT,
+        token: CONFIG.CONTROL_API_TOKEN,
+        routinesDir: CONFIG.ROUTINES_DIR
+      });
+      await this.controlServer.start();
+    }
+    
+    // Optional tail flicks, one-liners and the odd routine while nobody's around
+    if (CONFIG.IDLE_BEHAVIORS_ENABLED) {
+      this.idle = new IdleBehaviors(this, {
+        minInterval: CONFIG.IDLE_MIN_INTERVAL,
+        maxInterval: CONFIG.IDLE_MAX_INTERVAL,
+        speakChance: CONFIG.IDLE_SPEAK_CHANCE,
+        phrasesFile: CONFIG.IDLE_PHRASES_FILE,
+        boredAfter: CONFIG.IDLE_BORED_AFTER,
+        boredRoutine: CONFIG.IDLE_BORED_ROUTINE && path.join(CONFIG.ROUTINES_DIR, `${CONFIG.IDLE_BORED_ROUTINE}.json`),
+        quietHours: CONFIG.IDLE_QUIET_HOURS,
+        tailSpeed: CONFIG.TAIL_SPEED,
+        latency: CONFIG.AUDIO_PLAYBACK_LATENCY
+      });
+      this.idle.start();
+      console.log('✓ Idle behaviors on' + (CONFIG.IDLE_QUIET_HOURS ? ` (quiet ${CONFIG.IDLE_QUIET_HOURS})` : ''));
+    }
     
-    console.log('✓ Button monitoring started (GPIO ' + CONFIG.BUTTON_PIN + ')');
     console.log('\n🎣 Billy Bass is ready! Press the button to start.\n');
     return true;
   }
   
   // Helper: Read GPIO pin value
   async readGPIO(pin) {
-    return new Promise((resolve, reject) => {
-      const gpio = spawn('gpioget', ['gpiochip0', String(pin)]);
-      let output = '';
-      
-      gpio.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    return this.gpio.read(pin);
+  }
+  
+  // Main interaction sequence (also started by the wake word and control API)
+  // trigger: 'button', 'wake-word', 'api' or 'barge-in' - what started it, for the history
+  // facing: the body is still turned toward the user (after a barge-in)
+  async handleButtonPress(trigger = 'button', { facing = false } = {}) {
+    await this.runInteraction(TRIGGER_TITLES[trigger] || TRIGGER_TITLES.button, async () => {
+      // Step 2: Listen for voice
+      const userSpeech = await this.listenForSpeech();
+      this.checkStopped();
+      if (!userSpeech) {
+        await this.sayError();
+        return;
+      }
+      this.lastTranscript = userSpeech;
+      this.interaction.transcript = userSpeech;
       
-      gpio.on('close', (code) => {
-        if (code === 0) {
-          resolve(parseInt(output.trim()));
-        } else {
-          reject(new Error(`gpioget failed with code ${code}`));
+      if (CONFIG.AI_STREAMING) {
+        // Steps 3-5: Stream the reply, speaking each sentence once it's ready
+        this.lastReply = await this.streamReply(userSpeech);
+      } else {
+        // Step 3: Get AI response
+        this.lastReply = await this.timed('llm', this.fishAI.getResponse(userSpeech));
+        this.checkStopped();
+        
+        // Step 4: Generate speech
+        const audioFile = await this.synthesize(this.lastReply);
+        this.checkStopped();
+        
+        // Step 5: Speak with animation
+        await this.speakWithAnimation(audioFile);
+      }
+      this.interaction.reply = this.lastReply;
+    }, { kind: 'conversation', trigger, facing });
+  }
+  
+  // Every (debounced) press. While Billy is busy it doesn't start a gesture -
+  // it cuts him off if he's talking (BARGE_IN_BUTTON) and is otherwise ignored
+  onButtonPress() {
+    if (!this.isProcessing) return;
+    
+    this.buttons.cancel();
+    if (CONFIG.BARGE_IN_BUTTON) {
+      this.bargeIn('button');
+    }
+  }
+  
+  // A short, long or double press: do what BUTTON_<GESTURE>_ACTION says
+  onButtonGesture(gesture) {
+    if (this.isProcessing) return;
+    
+    const action = CONFIG[`BUTTON_${gesture.toUpperCase()}_ACTION`];
+    console.log(`🔘 ${gesture} press -> ${action}`);
+    this.runButtonAction(action).catch((error) => {
+      console.error(`✗ Button action ${action} failed: ${error.message}`);
+      this.lastError = errorInfo(error);
+    });
+  }
+  
+  async runButtonAction(action) {
+    switch (action) {
+      case 'converse':
+        return this.handleButtonPress();
+      case 'repeat':
+        if (!this.lastReply) {
+          console.log('💡 Nothing to repeat yet');
+          return;
         }
+        return this.say(this.lastReply, { trigger: 'button' });
+      case 'routine':
+        return this.performRoutine(loadRoutine(path.join(CONFIG.ROUTINES_DIR, `${CONFIG.BUTTON_ROUTINE}.json`)), { trigger: 'button' });
+      case 'next-persona':
+        return this.nextPersona();
+      case 'shutdown':
+        return this.shutdown({ powerOff: true });
+      default:
+        return; // 'none'
+    }
+  }
+  
+  // Switch to the next persona in PERSONAS_DIR and let it introduce itself
+  async nextPersona() {
+    let persona;
+    try {
+      persona = personas.next();
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      this.lastError = errorInfo(error);
+      return;
+    }
+    if (!persona) {
+      console.log(`💡 No personas to switch to in ${CONFIG.PERSONAS_DIR}`);
+      return;
+    }
+    
+    console.log(`🎭 Persona: ${persona.name}`);
+    this.applyPersona();
+    await this.say(personas.line('greeting', `${persona.name} here!`), { turn: false, trigger: 'button' });
+  }
+  
+  // Refresh what was built from the settings a persona changes
+  applyPersona() {
+    this.audioManager.reloadTts(); // Its voice
+    if (this.idle) {
+      this.idle.tailSpeed = CONFIG.TAIL_SPEED;
+    }
+    // The old persona's replies would only confuse the new one
+    if (this.fishAI.conversation) {
+      this.fishAI.conversation.reset('persona changed');
+    }
+  }
+  
+  // Speak the given text as-is - no listening, speech-to-text or AI
+  // (turn: false keeps the body still and only moves mouth and tail)
+  async say(text, options = {}) {
+    await this.runInteraction(`💬 SAY - "${text}"`, async () => {
+      this.interaction.reply = text;
+      const audioFile = await this.synthesize(text);
+      this.checkStopped();
+      await this.speakWithAnimation(audioFile);
+    }, { ...options, kind: 'say' });
+  }
+  
+  // Perform a scripted routine (see choreography.js) - it moves the body
+  // itself, so there's no turn toward the user first
+  async performRoutine(routine, options = {}) {
+    await this.runInteraction(`🎬 ROUTINE - ${routine.name}`, async () => {
+      this.interaction.routine = routine.name;
+      this.routinePlayer = new RoutinePlayer(this.motorController, this.audioManager, {
+        latency: CONFIG.AUDIO_PLAYBACK_LATENCY
       });
-      
-      gpio.on('error', reject);
-    });
+      try {
+        await this.timed('playback', this.routinePlayer.play(routine));
+      } finally {
+        this.routinePlayer = null;
+      }
+    }, { ...options, kind: 'routine', turn: false });
   }
   
-  // Main interaction sequence
-  async handleButtonPress() {
+  // Run one interaction at a time: turn toward the user (step 1), the given
+  // steps, then return to idle (step 6) - also when a step fails
+  // kind and trigger describe the interaction in the history
+  async runInteraction(title, steps, { turn = true, facing = false, kind = 'conversation', trigger = null } = {}) {
     if (this.isProcessing) return;
     
     this.isProcessing = true;
+    this.interaction = new InteractionRecord({
+      kind,
+      trigger,
+      motors: this.motorController.activitySnapshot()
+    });
+    let listenNext = false; // Barged in on - go straight to the next question
     console.log('\n' + '='.repeat(50));
-    console.log('🔴 BUTTON PRESSED - Starting interaction...');
+    console.log(title);
     console.log('='.repeat(50) + '\n');
     
     try {
-      // Step 1: Turn toward user
-      await this.turnTowardUser();
+      // Inside the try, so a motor error here can't leave isProcessing set
+      await this.preemptIdle();
+      this.stopRequested = false;
+      this.bargedIn = null;
+      this.usedFallbackClip = false;
       
-      // Step 2: Listen for voice
-      const userSpeech = await this.listenForSpeech();
-      if (!userSpeech) {
-        await this.sayError();
-        this.isProcessing = false;
-        return;
+      // The wake word listener lets go of the mic (needed for the question)
+      // and stays deaf while Billy talks, so he can't wake himself
+      if (this.wakeWord) {
+        await this.wakeWord.pause();
       }
       
-      // Step 3: Get AI response
-      const aiResponse = await this.fishAI.getResponse(userSpeech);
-      
-      // Step 4: Generate speech
-      const audioFile = await this.audioManager.textToSpeech(aiResponse);
-      
-      // Step 5: Speak with animation
-      await this.speakWithAnimation(audioFile);
+      // Step 1: Turn toward user
+      if (turn && !facing) {
+        await this.timed('turn', this.turnTowardUser());
+        this.checkStopped();
+      }
       
-      // Step 6: Return to idle
-      await this.returnToIdle();
+      await steps();
       
+      // Step 6: Return to idle - unless Billy was cut off to hear a new
+      // question, which he does still facing the user
+      listenNext = this.bargedIn && CONFIG.BARGE_IN_ACTION === 'listen' && !this.stopRequested;
+      if (turn && !listenNext) {
+        await this.timed('idle', this.returnToIdle());
+      }
     } catch (error) {
-      console.error('✗ Error in interaction:', error);
-      await this.returnToIdle();
+      if (this.stopRequested) {
+        // stop() already cut the audio - just make sure nothing moves
+        console.log('⏹️  Interaction stopped');
+        await this.motorController.stopAll();
+      } else {
+        console.error('✗ Error in interaction:', error);
+        this.lastError = errorInfo(error);
+        if (turn) {
+          await this.timed('idle', this.returnToIdle());
+        }
+      }
     } finally {
+      this.finishInteraction();
+      // Recorded above - a stop or barge-in ends this interaction, not the
+      // idle one-liners after it
+      this.stopRequested = false;
+      if (!listenNext) {
+        this.bargedIn = null;
+      }
       this.isProcessing = false;
-      console.log('\n✓ Ready for next interaction\n');
+      if (this.idle) {
+        this.idle.noteActivity();
+      }
+      if (this.wakeWord && !listenNext) {
+        this.wakeWord.resume();
+      }
+      if (!listenNext) {
+        console.log('\n✓ Ready for next interaction\n');
+      }
+    }
+    
+    if (listenNext) {
+      await this.handleButtonPress('barge-in', { facing: turn || facing });
+    }
+  }
+  
+  // Text to speech - when every TTS provider has failed, a pre-rendered
+  // fallback line plays instead (once per interaction, so a streamed reply
+  // doesn't apologise for every sentence)
+  async synthesize(text, outputFile) {
+    try {
+      return await this.timed('tts', this.audioManager.textToSpeech(text, outputFile));
+    } catch (error) {
+      const clip = this.usedFallbackClip ? null : pickClip(CONFIG.FALLBACK_CLIPS_DIR);
+      if (!clip) throw error;
+      
+      this.usedFallbackClip = true;
+      console.log(`🎞️  Playing a pre-rendered line instead (${clip})`);
+      return clip;
+    }
+  }
+  
+  // Helper: time a step of the current interaction (a promise) for the history
+  timed(stage, work) {
+    return this.interaction ? this.interaction.time(stage, work) : work;
+  }
+  
+  // Log how the interaction went and add it to the history
+  finishInteraction() {
+    const interaction = this.interaction;
+    this.interaction = null;
+    
+    // The audio and AI helpers recover from their own errors, so collect
+    // whatever any of them reported since the interaction started
+    const errors = [this.lastError, this.audioManager.lastError, this.fishAI.lastError]
+      .filter(error => error && error.time >= interaction.startedAt);
+    
+    const record = interaction.finish({
+      errors,
+      stopped: this.stopRequested,
+      interrupted: this.bargedIn,
+      motors: this.motorController.activitySnapshot()
+    });
+    logger.info(summarize(record), { event: 'interaction', interaction: record });
+    
+    if (this.history) {
+      this.history.append(record);
+    }
+  }
+  
+  // Cut short an idle behavior in progress (a tail flick or one-liner) so
+  // an interaction or a control API command has Billy to itself
+  async preemptIdle() {
+    if (!this.idle || !this.idle.busy) return;
+    
+    console.log('⏭️  Interrupting idle behavior');
+    // Ends the speech animation loops as for stop()
+    this.stopRequested = true;
+    try {
+      this.audioManager.stop();
+      await this.idle.cancel();
+      await this.motorController.stopAll();
+    } finally {
+      this.stopRequested = false;
+    }
+  }
+  
+  // Abandon the current interaction once stop() has been called
+  checkStopped() {
+    if (this.stopRequested) {
+      throw new Error('Interaction stopped');
+    }
+  }
+  
+  // Cut Billy off mid-reply: the player is killed, the rest of a streamed
+  // reply is dropped and mouth and tail coast to a stop. Then the
+  // interaction ends, or listens for the next question (BARGE_IN_ACTION)
+  // source: 'button' or 'voice'; returns whether he was talking
+  bargeIn(source) {
+    if (!this.speaking || this.bargedIn || this.stopRequested) return false;
+    
+    console.log(`✋ Interrupted (${source})`);
+    this.bargedIn = source;
+    if (this.onBargeIn) {
+      this.onBargeIn();
     }
+    this.audioManager.stop();
+    return true;
+  }
+  
+  // Whether the speech animation should wind down (stop() or a barge-in)
+  get cutOff() {
+    return this.stopRequested || this.bargedIn !== null;
+  }
+  
+  // Stop everything right away: cut off listening or speech, abandon the
+  // current interaction and let all motors coast
+  async stop() {
+    console.log('⏹️  Stop requested');
+    await this.preemptIdle();
+    if (this.isProcessing) {
+      this.stopRequested = true;
+    }
+    if (this.routinePlayer) {
+      this.routinePlayer.stop();
+    }
+    if (this.audioManager.stop) {
+      this.audioManager.stop();
+    }
+    await this.motorController.stopAll();
+  }
+  
+  // Snapshot for the control API
+  getStatus() {
+    // The audio and AI helpers recover from their own errors, so the latest
+    // problem may be recorded on any of them
+    const errors = [this.lastError, this.audioManager.lastError, this.fishAI.lastError]
+      .filter(Boolean)
+      .sort((a, b) => a.time.localeCompare(b.time));
+    
+    return {
+      isProcessing: this.isProcessing,
+      lastTranscript: this.lastTranscript,
+      lastReply: this.lastReply,
+      lastError: errors.pop() || null,
+      persona: CONFIG.PERSONA,
+      motors: { ...this.motorController.speeds },
+      watchdog: this.motorController.watchdog.status()
+    };
   }
   
   // Turn the fish toward the user and hold with brake
   async turnTowardUser() {
     console.log('↻ Turning toward user...');
     
-    await this.motorController.setMotor('body', CONFIG.BODY_TURN_SPEED);
-    await this.sleep(CONFIG.BODY_TURN_DURATION);
-    
-    // Use brake mode to hold position against spring
-    await this.motorController.setMotor('body', 'brake');
+    // Drives to the stop (or for the calibrated time), then brakes to hold
+    // position against the spring
+    await this.body.turnToward();
     console.log('✓ Positioned (braking to hold)\n');
   }
   
   // Listen for user speech
   async listenForSpeech() {
     try {
-      const audioFile = await this.audioManager.recordAudio(CONFIG.AUDIO_RECORDING_DURATION);
-      const transcription = await this.audioManager.transcribeAudio(audioFile);
+      const recording = await this.timed('record', this.audioManager.recordUtterance());
+      this.interaction.mark('listened');
+      
+      // Nothing to transcribe - don't spend a Whisper call on silence
+      if (!recording.spoke) {
+        console.log('🤫 Nobody spoke');
+        return null;
+      }
+      
+      const transcription = await this.timed('transcribe', this.audioManager.transcribeAudio(recording.file));
       return transcription;
     } catch (error) {
-      console.error('✗ Failed to listen:', error);
+      // A stop() kills the recorder - that's not a failure
+      if (!this.stopRequested) {
+        console.error('✗ Failed to listen:', error);
+        this.lastError = errorInfo(error);
+      }
       return null;
     }
   }
   
+  // Stream the AI reply: each sentence goes to TTS as soon as it's complete,
+  // and the clips play back-to-back while later sentences are still coming
+  async streamReply(userSpeech) {
+    const clips = new AsyncQueue();
+    const cancel = new AbortController();
+    let index = 0;
+    
+    // A barge-in drops the sentences still to come
+    this.onBargeIn = () => {
+      cancel.abort();
+      clips.end();
+    };
+    
+    const reply = this.timed('llm', this.fishAI.streamResponse(userSpeech, (sentence) => {
+      if (cancel.signal.aborted) return;
+      const file = this.audioManager.clipPath(index++);
+      clips.push(
+        this.synthesize(sentence, file).then(clip => this.prepareSpeech(clip))
+      );
+    }, { signal: cancel.signal })).finally(() => clips.end());
+    
+    try {
+      const [text] = await Promise.all([reply, this.speakWithAnimation(clips)]);
+      return text;
+    } catch (error) {
+      // Nobody will hear the rest of the reply - stop writing and synthesizing it
+      cancel.abort();
+      clips.end();
+      throw error;
+    } finally {
+      this.onBargeIn = null;
+    }
+  }
+  
   // Speak response with mouth and tail animation
-  async speakWithAnimation(audioFile) {
+  // audio: a file path, or an iterable of prepared clips (see prepareSpeech)
+  // played back-to-back with the animation carrying on between them
+  async speakWithAnimation(audio) {
     console.log('🎭 Speaking with animation...\n');
     
-    // Get audio duration
-    const duration = await this.audioManager.getAudioDuration(audioFile);
+    const clips = typeof audio === 'string' ? [this.prepareSpeech(audio)] : audio;
+    let stopFiller = null;
+    
+    // Talking over Billy cuts him off (only during interactions - an idle
+    // one-liner gives way to the button anyway)
+    this.speaking = true;
+    const stopWatching = CONFIG.BARGE_IN_VOICE && this.interaction
+      ? this.audioManager.watchForSpeech(() => this.bargeIn('voice'))
+      : null;
+    
+    try {
+      for await (const pending of clips) {
+        this.checkStopped();
+        if (this.bargedIn) break;
+        
+        // Keep the tail going while the next clip is still being synthesized
+        stopFiller = this.startFiller();
+        let clip;
+        try {
+          clip = await pending;
+        } catch (error) {
+          console.error('✗ Skipping clip:', error.message);
+          this.lastError = errorInfo(error);
+          continue;
+        } finally {
+          stopFiller();
+        }
+        if (this.cutOff) break;
+        
+        // Start playback
+        if (this.interaction) this.interaction.mark('firstSound');
+        const playbackPromise = this.timed('playback', this.audioManager.playAudio(clip.file));
+        
+        // Animate mouth and tail during speech
+        const animationPromise = clip.schedule
+          ? this.animateLipSync(clip.schedule)
+          : this.animateSpeech(clip.duration);
+        
+        // Wait for both to complete - also when playback is cut off, so the
+        // animation never carries on into whatever comes next
+        const results = await Promise.allSettled([playbackPromise, animationPromise]);
+        if (this.bargedIn) break; // The player was killed on purpose
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+      }
+    } finally {
+      this.speaking = false;
+      if (stopWatching) await stopWatching();
+      if (stopFiller) stopFiller();
+      
+      // Stop animation
+      await this.motorController.stopMotor('mouth');
+      await this.motorController.stopMotor('tail');
+    }
+  }
+  
+  // Gently wag the tail until the returned stop function is called
+  // (a short pause first, so clips that are already ready don't cause a twitch)
+  startFiller() {
+    let active = true;
+    
+    (async () => {
+      let direction = 1;
+      await this.sleep(300);
+      while (active && !this.cutOff) {
+        await this.motorController.setMotor('tail', direction * CONFIG.TAIL_SPEED);
+        direction = -direction;
+        await this.sleep(CONFIG.TAIL_INTERVAL);
+      }
+    })().catch(() => {});
+    
+    return () => {
+      active = false;
+    };
+  }
+  
+  // Decode a clip and work out its mouth movements ahead of playback
+  async prepareSpeech(audioFile) {
+    // Work out the mouth movements from the audio itself
+    let schedule = null;
+    if (CONFIG.LIP_SYNC_ENABLED) {
+      try {
+        schedule = await lipSync.analyzeAudio(audioFile, {
+          openThreshold: CONFIG.LIP_SYNC_OPEN_THRESHOLD,
+          closeThreshold: CONFIG.LIP_SYNC_CLOSE_THRESHOLD,
+          maxOpenMs: CONFIG.MOUTH_MAX_OPEN,
+          tailIntervalMs: CONFIG.TAIL_INTERVAL
+        });
+      } catch (error) {
+        console.log(`⚠️  Lip sync unavailable (${error.message}), using random animation`);
+      }
+    }
+    
+    // Get audio duration (only needed for the random animation)
+    const duration = schedule ? schedule.duration : await this.audioManager.getAudioDuration(audioFile);
     
-    // Start playback
-    const playbackPromise = this.audioManager.playAudio(audioFile);
+    return { file: audioFile, schedule, duration };
+  }
+  
+  // Play a lip sync schedule against playback time
+  async animateLipSync(schedule) {
+    const startTime = Date.now() + CONFIG.AUDIO_PLAYBACK_LATENCY;
     
-    // Animate mouth and tail during speech
-    const animationPromise = this.animateSpeech(duration);
+    const mouth = this.runTimeline(schedule.mouth, startTime - CONFIG.MOUTH_LEAD_TIME, (event) =>
+      this.motorController.setMotor('mouth', event.action === 'open' ? CONFIG.MOUTH_SPEED : 0)
+    );
+    const tail = this.runTimeline(schedule.tail, startTime, (event) =>
+      this.motorController.setMotor('tail', event.direction * CONFIG.TAIL_SPEED)
+    );
     
-    // Wait for both to complete
-    await Promise.all([playbackPromise, animationPromise]);
+    await Promise.all([mouth, tail]);
+  }
+  
+  // Helper: run timed events ({ time } in ms) relative to a start timestamp
+  // Times are absolute, so slow GPIO writes don't accumulate drift
+  async runTimeline(events, startTime, apply) {
+    for (const event of events) {
+      if (this.cutOff) return;
+      const wait = startTime + event.time - Date.now();
+      if (wait > 0) {
+        await this.sleep(wait);
+      }
+      await apply(event);
+    }
   }
   
   // Animate mouth and tail during speech
@@ -535,7 +1347,7 @@ class BillyBass {
     let mouthOpen = false;
     
     // Animate for the duration of speech
-    while (Date.now() - startTime < duration) {
+    while (Date.now() - startTime < duration && !this.cutOff) {
       // Toggle mouth
       mouthOpen = !mouthOpen;
       await this.motorController.setMotor(
@@ -548,35 +1360,29 @@ class BillyBass {
       await this.motorController.setMotor('tail', tailSpeed);
       
       // Wait before next movement
-      await this.sleep(150 + Math.random() * 100);
+      await this.sleep(CONFIG.MOUTH_MAX_OPEN * (0.4 + Math.random() * 0.3));
     }
-    
-    // Stop animation
-    await this.motorController.stopMotor('mouth');
-    await this.motorController.stopMotor('tail');
   }
   
   // Return to idle position
   async returnToIdle() {
     console.log('⏮️  Returning to idle position...');
     
-    // Release brake (coast) - spring will help return fish
-    await this.motorController.stopMotor('body');
-    await this.sleep(200); // Let spring start the return
-    
-    // Briefly assist with reverse to ensure full return
-    await this.motorController.setMotor('body', -CONFIG.BODY_TURN_SPEED);
-    await this.sleep(CONFIG.BODY_TURN_DURATION / 2); // Half duration since spring helps
+    // Coast, let the spring start the return, and assist it in reverse
+    await this.body.returnHome();
     
     // Stop all motors
     await this.motorController.stopAll();
+    
+    if (CONFIG.CONVERSATION_END_ON_IDLE && this.fishAI.conversation) {
+      this.fishAI.conversation.reset('returned to idle');
+    }
     console.log('✓ Back to idle\n');
   }
   
   // Play error message
   async sayError() {
-    const errorMessage = "I didn't catch that, but I'm all ears... or fins!";
-    const audioFile = await this.audioManager.textToSpeech(errorMessage);
+    const audioFile = await this.synthesize(personas.line('notHeard', NOT_HEARD_LINE));
     await this.speakWithAnimation(audioFile);
   }
   
@@ -586,30 +1392,59 @@ class BillyBass {
   }
   
   // Cleanup and shutdown
-  async shutdown() {
+  // powerOff: then run SHUTDOWN_COMMAND to turn the Pi off (the button's
+  // 'shutdown' action) - safe to pull the plug once it's done
+  async shutdown({ powerOff = false } = {}) {
     console.log('\n🛑 Shutting down Billy Bass...');
     
     // Stop button monitoring
     if (this.buttonWatcher) {
-      clearInterval(this.buttonWatcher);
+      this.buttonWatcher();
+      this.buttonWatcher = null;
+    }
+    if (this.buttons) {
+      this.buttons.stop();
+    }
+    if (this.body && this.body.sensor) {
+      this.body.sensor.stop();
+    }
+    if (this.controlServer) {
+      await this.controlServer.close();
+    }
+    if (this.wakeWord) {
+      await this.wakeWord.stop();
+    }
+    if (this.idle) {
+      await this.idle.stop();
     }
     
     await this.motorController.stopAll();
     await this.motorController.close();
+    await this.gpio.close();
     
     // Clean up temp files
     try {
       if (fs.existsSync(CONFIG.AUDIO_TEMP_FILE)) {
         fs.unlinkSync(CONFIG.AUDIO_TEMP_FILE);
       }
-      if (fs.existsSync(CONFIG.TTS_OUTPUT_FILE)) {
-        fs.unlinkSync(CONFIG.TTS_OUTPUT_FILE);
+      for (const file of [CONFIG.TTS_OUTPUT_FILE, ...(this.audioManager.clipFiles || [])]) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
       }
     } catch (error) {
       // Ignore cleanup errors
     }
     
     console.log('✓ Goodbye!\n');
+    if (powerOff && CONFIG.SHUTDOWN_COMMAND) {
+      console.log(`🔌 Powering off: ${CONFIG.SHUTDOWN_COMMAND}`);
+      const result = spawnSync(CONFIG.SHUTDOWN_COMMAND, { shell: true, stdio: 'inherit' });
+      if (result.error || result.status !== 0) {
+        console.error(`✗ Power off failed: ${result.error ? result.error.message : `exit code ${result.status}`}`);
+        process.exit(1);
+      }
+    }
     process.exit(0);
   }
 }
@@ -618,18 +1453,44 @@ class BillyBass {
 // MAIN
 // ============================================================================
 
-async function main() {
-  // Check for required API keys
-  if (!CONFIG.ANTHROPIC_API_KEY) {
-    console.error('❌ ANTHROPIC_API_KEY environment variable not set');
-    console.error('   Set it with: export ANTHROPIC_API_KEY=your_key_here');
-    process.exit(1);
+// Load settings into CONFIG: config file, profile, then environment overrides
+// Command line: [--config <file>] [--profile <name>]; returns the other arguments
+// quiet: skip the config line (for tools whose output is piped elsewhere)
+function configure(argv, { quiet = false } = {}) {
+  const args = parseArgs(argv);
+  try {
+    const loaded = loadConfig(args);
+    Object.assign(CONFIG, loaded);
+    const persona = personas.reset();
+    
+    // From here on every console line goes through the logger
+    logger.configure({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT });
+    captureConsole();
+    if (!quiet) {
+      console.log(`⚙️  Config: ${loaded.SOURCE}${persona ? ` - persona ${persona.name}` : ''}`);
+    }
+  } catch (error) {
+    if (error instanceof ConfigError || error instanceof PersonaError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
   }
+  return args.rest;
+}
+
+// argv: command line arguments (--config, --profile)
+async function main(argv = process.argv.slice(2)) {
+  configure(argv);
   
-  if (!CONFIG.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY environment variable not set');
-    console.error('   Set it with: export OPENAI_API_KEY=your_key_here');
-    process.exit(1);
+  // Check for the API keys the selected providers need
+  // (fully local setups need none)
+  for (const key of requiredApiKeys(CONFIG)) {
+    if (!CONFIG[key]) {
+      console.error(`❌ ${key} environment variable not set`);
+      console.error(`   Set it with: export ${key}=your_key_here`);
+      process.exit(1);
+    }
   }
   
   // Create and initialize Billy Bass
@@ -641,13 +1502,28 @@ async function main() {
     process.exit(1);
   }
   
-  // Handle graceful shutdown
+  // Handle graceful shutdown - and crashes, without leaving a motor running
+  billy.motorController.installEmergencyStop();
   process.on('SIGINT', () => billy.shutdown());
   process.on('SIGTERM', () => billy.shutdown());
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+// Run the main function when started directly (not when required by tests)
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CONFIG,
+  NOT_HEARD_LINE,
+  personas,
+  configure,
+  main,
+  MotorController,
+  AudioManager,
+  FishAI,
+  BillyBass
+};
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// billy.js - The billy command (installed by npm as "billy")
+//   billy [start]    run Billy Bass, same as: node billy-bass.js
+//   billy doctor     non-interactive self-test with a JSON report (see doctor.js)
+// Both take --config <file> and --profile <name>.
+
+const [command = 'start', ...args] = process.argv.slice(2);
+
+if (command === 'start') {
+  const { main } = require('./billy-bass');
+  main(args).catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+} else if (command === 'doctor') {
+  require('./doctor').main(args).then((report) => {
+    process.exitCode = report.ok ? 0 : 1;
+  }).catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  console.error('Usage: billy [start|doctor] [--config <file>] [--profile <name>]');
+  process.exit(1);
+}
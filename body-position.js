@@ -0,0 +1,450 @@
+// body-position.js - Turning the body toward the user and back again
+// Out of the box this is dead reckoning: drive for BODY_TURN_DURATION, brake,
+// and later reverse for half that while the spring helps. As the batteries sag
+// and the spring ages the fish under- or over-rotates, so there are two ways
+// to do better:
+//
+// A sensor (BODY_SENSOR) - the body drives until it reaches the stop:
+//   'limit-switch'  a switch that closes when the body is fully turned
+//                   (BODY_LIMIT_PIN) and optionally one for the rest position
+//                   (BODY_HOME_PIN), wired like the button: to ground, with
+//                   the pull-up on
+//   'current'       an ADC on the motor supply read through IIO sysfs
+//                   (BODY_CURRENT_FILE, e.g. an ADS1015's in_voltage0_raw):
+//                   the current jumps when the motor stalls against a stop
+// BODY_TURN_MAX_DURATION caps the drive in case the stop is never seen.
+//
+// Calibration - learn this fish's timing and store it in
+// BODY_CALIBRATION_FILE:
+//   node body-position.js calibrate [--runs <n>]   (plus --config/--profile)
+// drives the body to the stop and back a few times. Without a sensor you
+// press the button the moment it gets there; with one it times itself, and
+// the learned time then also tightens the cap.
+
+const fs = require('fs');
+
+// Sensor readings taken while waiting for a stall
+const CURRENT_POLL_INTERVAL = 20; // ms
+const STALL_TIME = 60; // ms the current must stay high to count as a stall
+
+// Button-timed runs end when you see the body arrive, not when it does
+const REACTION_TIME = 150; // ms
+
+// Limit switches close to ground: 0 = at the stop
+const AT_STOP = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// SENSORS
+// ============================================================================
+// A sensor has:
+//   start() / stop()
+//   covers(end)                  -> whether it can tell when the body is at
+//                                   'turned' (facing the user) or 'home'
+//   waitForStop(end, timeout)    -> Promise<boolean>, false if it timed out
+
+// One or two end-stop switches on spare GPIO pins
+class LimitSwitches {
+  constructor(gpio, { turnedPin, homePin = null }) {
+    this.gpio = gpio;
+    this.name = 'limit switch';
+    this.pins = { turned: turnedPin, home: homePin };
+    this.levels = {}; // end -> last known level
+    this.unwatch = [];
+    this.waiters = new Set();
+  }
+
+  async start() {
+    for (const [end, pin] of Object.entries(this.pins)) {
+      if (pin === null) continue;
+      // Read first: a gpiod watch seeds itself with its own gpioget, and a
+      // second one alongside it can find the line busy
+      this.levels[end] = await this.gpio.read(pin);
+      this.unwatch.push(this.gpio.watch(pin, (value) => {
+        this.levels[end] = value;
+        for (const waiter of this.waiters) waiter();
+      }));
+    }
+  }
+
+  stop() {
+    for (const unwatch of this.unwatch) unwatch();
+    this.unwatch = [];
+  }
+
+  covers(end) {
+    return this.pins[end] !== null;
+  }
+
+  waitForStop(end, timeout) {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.levels[end] !== AT_STOP) return;
+        finish(true);
+      };
+      const finish = (reached) => {
+        clearTimeout(timer);
+        this.waiters.delete(check);
+        resolve(reached);
+      };
+      const timer = setTimeout(() => finish(false), timeout);
+      this.waiters.add(check);
+      check();
+    });
+  }
+}
+
+// Stall detection from the motor current, through an IIO ADC channel
+class CurrentSense {
+  // file: sysfs file with the raw reading; threshold: the reading at which
+  // the motor counts as stalled; blanking: ms to ignore after the motor
+  // starts (it draws a stall-like current while it spins up)
+  constructor({ file, threshold, blanking = 200 }) {
+    this.name = 'current sense';
+    this.file = file;
+    this.threshold = threshold;
+    this.blanking = blanking;
+  }
+
+  async start() {
+    // Fail at startup rather than on the first turn
+    await this.read();
+  }
+
+  stop() {}
+
+  covers() {
+    return true; // A stall is a stall at either end
+  }
+
+  async read() {
+    return parseFloat(await fs.promises.readFile(this.file, 'utf8'));
+  }
+
+  async waitForStop(end, timeout) {
+    const start = Date.now();
+    let highSince = null;
+
+    while (Date.now() - start < timeout) {
+      await sleep(CURRENT_POLL_INTERVAL);
+      if (Date.now() - start < this.blanking) continue;
+
+      const now = Date.now();
+      if (await this.read() >= this.threshold) {
+        if (highSince === null) highSince = now;
+        if (now - highSince >= STALL_TIME) return true;
+      } else {
+        highSince = null;
+      }
+    }
+    return false;
+  }
+}
+
+// ============================================================================
+// CALIBRATION FILE
+// ============================================================================
+// { turnMs, returnMs, speed, method, runs, calibratedAt }
+
+function loadCalibration(file) {
+  if (!file || !fs.existsSync(file)) return null;
+
+  let calibration;
+  try {
+    calibration = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read body calibration ${file}: ${error.message}`);
+  }
+  for (const key of ['turnMs', 'returnMs', 'speed']) {
+    if (!(Number.isFinite(calibration[key]) && calibration[key] > 0)) {
+      throw new Error(`Body calibration ${file} has no valid ${key} - run: node body-position.js calibrate`);
+    }
+  }
+  return calibration;
+}
+
+function saveCalibration(file, calibration) {
+  fs.writeFileSync(file, JSON.stringify(calibration, null, 2) + '\n');
+}
+
+// ============================================================================
+// POSITIONER
+// ============================================================================
+
+class BodyPositioner {
+  // motors: the MotorController
+  // options: { speed, turnMs, returnMs, maxTurnMs, ramp, sensor }
+  constructor(motors, options = {}) {
+    this.motors = motors;
+    this.speed = options.speed || 60;
+    this.turnMs = options.turnMs || 1500;
+    this.returnMs = options.returnMs || this.turnMs / 2;
+    this.maxTurnMs = options.maxTurnMs || 2500;
+    this.ramp = options.ramp || 0;
+    this.sensor = options.sensor || null;
+  }
+
+  // How a turn is decided, for the startup log
+  describe() {
+    if (this.sensor) {
+      return `${this.sensor.name}, at most ${this.maxTurnMs}ms`;
+    }
+    return `${this.turnMs}ms out, ${Math.round(this.returnMs)}ms back`;
+  }
+
+  // Turn to face the user and brake there to hold against the spring
+  async turnToward() {
+    const ramp = Math.min(this.ramp, this.turnMs / 2);
+
+    if (this.sensor && this.sensor.covers('turned')) {
+      await this.motors.rampMotor('body', this.speed, ramp);
+      if (!await this.reachStop('turned', this.maxTurnMs - ramp)) {
+        console.log(`⚠️  Body didn't reach its stop within ${this.maxTurnMs}ms - check the ${this.sensor.name}`);
+      }
+    } else {
+      // Ramp up, cruise, then ramp down so the body doesn't slam into the stop.
+      // Ramps cover half the distance of full speed, so cruise for the remainder
+      await this.motors.rampMotor('body', this.speed, ramp);
+      await sleep(this.turnMs - ramp);
+      await this.motors.rampMotor('body', 0, ramp);
+    }
+
+    await this.motors.setMotor('body', 'brake');
+  }
+
+  // Let go, and help the spring bring the body back to rest
+  async returnHome() {
+    // Release brake (coast) - spring will help return fish
+    await this.motors.stopMotor('body');
+    await sleep(200); // Let spring start the return
+
+    if (this.sensor && this.sensor.covers('home')) {
+      await this.motors.rampMotor('body', -this.speed, this.ramp);
+      if (!await this.reachStop('home', this.maxTurnMs - this.ramp)) {
+        console.log(`⚠️  Body didn't get back to rest within ${this.maxTurnMs}ms - check the ${this.sensor.name}`);
+      }
+      await this.motors.stopMotor('body');
+      return;
+    }
+
+    // Briefly assist with reverse to ensure full return
+    await this.motors.rampMotor('body', -this.speed, this.ramp);
+    await sleep(this.returnMs);
+    await this.motors.rampMotor('body', 0, this.ramp);
+  }
+
+  // Wait for the sensor to see the body at an end; a sensor that fails
+  // counts as a miss, so the motor is still stopped by the caller
+  async reachStop(end, timeout) {
+    try {
+      return await this.sensor.waitForStop(end, timeout);
+    } catch (error) {
+      console.error(`⚠️  ${this.sensor.name} failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+// Resolves with the time of the next button press (active low), or null
+function waitForButton(gpio, pin, timeout) {
+  return new Promise((resolve) => {
+    const finish = (time) => {
+      clearTimeout(timer);
+      unwatch();
+      resolve(time);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+    const unwatch = gpio.watch(pin, (value, time) => {
+      if (value === 0) finish(time || Date.now());
+    });
+  });
+}
+
+// Drive the body from its current end to the other one; resolves with the
+// ms it took, or throws if it never got there
+async function timeRun(motors, end, { speed, sensor, gpio, buttonPin, maxMs }) {
+  const start = Date.now();
+  await motors.setMotor('body', end === 'turned' ? speed : -speed);
+  try {
+    if (sensor && sensor.covers(end)) {
+      if (!await sensor.waitForStop(end, maxMs)) {
+        throw new Error(`the ${sensor.name} didn't see the body reach the ${end} stop within ${maxMs}ms`);
+      }
+      return Date.now() - start;
+    }
+    const pressed = await waitForButton(gpio, buttonPin, maxMs);
+    if (pressed === null) {
+      throw new Error(`no button press within ${maxMs}ms`);
+    }
+    return Math.max(0, pressed - start - REACTION_TIME);
+  } finally {
+    await motors.setMotor('body', end === 'turned' ? 'brake' : 0);
+  }
+}
+
+// Time `runs` turns out and back; resolves with a calibration record
+async function calibrate(motors, options) {
+  const { runs = 3, speed, sensor } = options;
+  const turns = [];
+  const returns = [];
+
+  for (let run = 1; run <= runs; run++) {
+    console.log(`\n🔁 Run ${run}/${runs}`);
+    if (!sensor || !sensor.covers('turned')) {
+      console.log('   Press the button the moment Billy is fully turned toward you');
+    }
+    turns.push(await timeRun(motors, 'turned', options));
+    console.log(`   ↻ Turned in ${turns[turns.length - 1]}ms`);
+    await sleep(500);
+
+    // As in returnHome(): coast, let the spring start, then drive back
+    await motors.setMotor('body', 0);
+    await sleep(200);
+    if (!sensor || !sensor.covers('home')) {
+      console.log('   Press the button the moment he is back at rest');
+    }
+    returns.push(await timeRun(motors, 'home', options));
+    console.log(`   ⏮️  Back in ${returns[returns.length - 1]}ms`);
+
+    await sleep(2000); // Let the motor cool between runs
+  }
+
+  const average = list => Math.round(list.reduce((sum, ms) => sum + ms, 0) / list.length);
+  return {
+    turnMs: average(turns),
+    returnMs: average(returns),
+    speed,
+    method: sensor ? sensor.name : 'button',
+    runs,
+    calibratedAt: new Date().toISOString()
+  };
+}
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+function createBodySensor(gpio, config) {
+  switch (config.BODY_SENSOR) {
+    case 'limit-switch':
+      return new LimitSwitches(gpio, { turnedPin: config.BODY_LIMIT_PIN, homePin: config.BODY_HOME_PIN });
+    case 'current':
+      return new CurrentSense({
+        file: config.BODY_CURRENT_FILE,
+        threshold: config.BODY_STALL_THRESHOLD,
+        blanking: config.BODY_STALL_BLANKING
+      });
+    case null:
+    case undefined:
+      return null;
+    default:
+      throw new Error(`Unknown BODY_SENSOR "${config.BODY_SENSOR}"`);
+  }
+}
+
+// A positioner set up from the config and the stored calibration; resolves
+// once its sensor (if any) is running
+async function createBodyPositioner(motors, gpio, config) {
+  let calibration = loadCalibration(config.BODY_CALIBRATION_FILE);
+  if (calibration && calibration.speed !== config.BODY_TURN_SPEED) {
+    console.log(`⚠️  Body calibrated at speed ${calibration.speed}, but BODY_TURN_SPEED is ${config.BODY_TURN_SPEED} - `
+      + 'ignoring it (recalibrate with: node body-position.js calibrate)');
+    calibration = null;
+  }
+
+  const sensor = createBodySensor(gpio, config);
+  if (sensor) {
+    await sensor.start();
+  }
+
+  // A sensor-timed calibration says how long a turn should take - stop well
+  // short of grinding if the sensor misses it
+  const maxTurnMs = calibration && calibration.method !== 'button'
+    ? Math.min(config.BODY_TURN_MAX_DURATION, Math.round(calibration.turnMs * 1.5))
+    : config.BODY_TURN_MAX_DURATION;
+
+  return new BodyPositioner(motors, {
+    speed: config.BODY_TURN_SPEED,
+    turnMs: calibration ? calibration.turnMs : config.BODY_TURN_DURATION,
+    returnMs: calibration ? calibration.returnMs : config.BODY_TURN_DURATION / 2,
+    maxTurnMs,
+    ramp: config.MOTOR_RAMP_DURATION,
+    sensor
+  });
+}
+
+module.exports = {
+  LimitSwitches,
+  CurrentSense,
+  BodyPositioner,
+  loadCalibration,
+  saveCalibration,
+  calibrate,
+  createBodySensor,
+  createBodyPositioner
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// node body-position.js calibrate [--runs <n>]   (plus --config/--profile)
+if (require.main === module) {
+  (async () => {
+    // Loaded here rather than at the top - billy-bass.js uses this module too
+    const { CONFIG, configure, MotorController } = require('./billy-bass');
+    const { createGpioBackend } = require('./gpio');
+
+    const [command, ...rest] = configure(process.argv.slice(2));
+    if (command !== 'calibrate') {
+      console.error('Usage: node body-position.js calibrate [--runs <n>]  [--config <file>] [--profile <name>]');
+      process.exit(1);
+    }
+    const runsIndex = rest.indexOf('--runs');
+    const runs = runsIndex === -1 ? 3 : parseInt(rest[runsIndex + 1], 10);
+    if (!(runs >= 1 && runs <= 10)) {
+      throw new Error('--runs must be from 1 to 10');
+    }
+    if (!CONFIG.BODY_CALIBRATION_FILE) {
+      throw new Error('Nowhere to keep the calibration (BODY_CALIBRATION_FILE is null)');
+    }
+
+    const gpio = createGpioBackend(CONFIG.GPIO_BACKEND, { chip: CONFIG.GPIO_CHIP });
+    const motors = new MotorController(gpio);
+    if (!await motors.init()) {
+      throw new Error('Failed to initialize motors. Check GPIO connections.');
+    }
+    motors.installEmergencyStop();
+
+    const sensor = createBodySensor(gpio, CONFIG);
+    try {
+      if (sensor) await sensor.start();
+      console.log(`📐 Calibrating the body at speed ${CONFIG.BODY_TURN_SPEED}`
+        + (sensor ? ` with the ${sensor.name}` : ' - you time it with the button'));
+      const calibration = await calibrate(motors, {
+        runs,
+        speed: CONFIG.BODY_TURN_SPEED,
+        sensor,
+        gpio,
+        buttonPin: CONFIG.BUTTON_PIN,
+        maxMs: CONFIG.BODY_TURN_MAX_DURATION
+      });
+      saveCalibration(CONFIG.BODY_CALIBRATION_FILE, calibration);
+      console.log(`\n✓ ${calibration.turnMs}ms out, ${calibration.returnMs}ms back - saved to ${CONFIG.BODY_CALIBRATION_FILE}`);
+    } finally {
+      if (sensor) sensor.stop();
+      await motors.close();
+      await gpio.close();
+    }
+  })().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
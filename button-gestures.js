@@ -0,0 +1,201 @@
+// button-gestures.js - Turns raw button edges into short, long and double presses
+// Contacts bounce, so a level only counts once it has held for `debounce` ms.
+// After that:
+//   long   - held for `longPress` ms (fires while still held)
+//   double - pressed again within `doubleGap` ms of a short press' release
+//   short  - released before `longPress`, with no second press in time
+// A short press can only be told apart from the start of a double press by
+// waiting, so it fires `doubleGap` ms after the release. With double presses
+// off (doubleGap 0) it fires on release, and with long presses off as well
+// it fires as soon as the button goes down.
+//
+// The GestureClassifier does no timing of its own - it's fed edges and the
+// current time, which keeps it deterministic. classify() runs it over a list
+// of synthetic edges:
+//   classify([{ value: 0, time: 0 }, { value: 1, time: 120 }])  -> [{ type: 'short', time: 520 }]
+// and ButtonGestures drives it from a real button with timers.
+
+const DEFAULTS = {
+  debounce: 30, // ms a level must hold to count
+  longPress: 2000, // ms held for a long press (0 = no long presses)
+  doubleGap: 400 // ms between presses for a double press (0 = no double presses)
+};
+
+const GESTURES = ['short', 'long', 'double'];
+
+// Buttons are active low: 0 = pressed, 1 = released
+const PRESSED = 0;
+
+class GestureClassifier {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.level = 1; // Debounced level
+    this.raw = null; // { value, time } of the latest edge not yet debounced
+    this.state = 'idle'; // idle -> pressed -> (released -> pressed-again) | held
+    this.since = 0; // When the current state began
+  }
+
+  // Feed one edge; returns the events up to this time (see advance)
+  edge(value, time) {
+    const events = this.advance(time);
+    if (value !== this.level) {
+      this.raw = { value, time };
+    } else {
+      this.raw = null; // Bounced back before it counted
+    }
+    return events;
+  }
+
+  // Let time pass; returns what happened by then, in order: { type, time }
+  // with type 'press' or 'release' (debounced) or a gesture
+  advance(time) {
+    const events = [];
+    for (let deadline = this.nextDeadline(); deadline !== null && deadline <= time; deadline = this.nextDeadline()) {
+      events.push(...this.expire(deadline).map(type => ({ type, time: deadline })));
+    }
+    return events;
+  }
+
+  // Forget the press in progress - whatever it turns into is ignored until
+  // the button is released (e.g. a press that interrupted Billy)
+  cancel() {
+    this.state = this.level === PRESSED ? 'held' : 'idle';
+  }
+
+  // When something next happens without any new edge, or null
+  nextDeadline() {
+    const { debounce, longPress, doubleGap } = this.options;
+    const deadlines = [];
+    if (this.raw) {
+      // The edge came before the gesture deadlines (edge() expires those
+      // first), so they wait to see whether it counts: a release 1ms short
+      // of longPress is a short press even though it's debounced after it
+      deadlines.push(this.raw.time + debounce);
+    } else if (this.state === 'pressed' && longPress) {
+      deadlines.push(this.since + longPress);
+    } else if (this.state === 'released') {
+      deadlines.push(this.since + doubleGap);
+    }
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+  }
+
+  // Handle the deadline at `time`; returns the event types it causes
+  expire(time) {
+    const { debounce, longPress, doubleGap } = this.options;
+
+    // A debounced level change (timed from the edge itself)
+    if (this.raw && this.raw.time + debounce === time) {
+      const { value, time: edgeTime } = this.raw;
+      this.raw = null;
+      this.level = value;
+      return value === PRESSED ? ['press', ...this.press(edgeTime)] : ['release', ...this.release(edgeTime)];
+    }
+
+    if (this.state === 'pressed' && this.since + longPress === time) {
+      this.state = 'held';
+      return ['long'];
+    }
+
+    if (this.state === 'released' && this.since + doubleGap === time) {
+      this.state = 'idle'; // No second press in time
+      return ['short'];
+    }
+    return [];
+  }
+
+  press(time) {
+    const { longPress, doubleGap } = this.options;
+    if (this.state === 'released') {
+      this.state = 'held'; // The rest of this press doesn't count
+      return ['double'];
+    }
+    if (this.state !== 'idle') return [];
+
+    if (!longPress && !doubleGap) {
+      this.state = 'held';
+      return ['short'];
+    }
+    this.state = 'pressed';
+    this.since = time;
+    return [];
+  }
+
+  release(time) {
+    if (this.state !== 'pressed') {
+      this.state = 'idle';
+      return [];
+    }
+    if (!this.options.doubleGap) {
+      this.state = 'idle';
+      return ['short'];
+    }
+    this.state = 'released';
+    this.since = time;
+    return [];
+  }
+}
+
+// Gestures in a list of edges ({ value, time }), including any that
+// complete after the last edge
+function classify(edges, options = {}) {
+  const classifier = new GestureClassifier(options);
+  const events = [];
+  for (const { value, time } of edges) {
+    events.push(...classifier.edge(value, time));
+  }
+  events.push(...classifier.advance(Infinity));
+  return events.filter(event => GESTURES.includes(event.type));
+}
+
+// A classifier fed from a live button: call edge() from the GPIO watcher
+class ButtonGestures {
+  // onGesture(name): 'short', 'long' or 'double'
+  // onPress(): every debounced press, before it's classified
+  constructor(options = {}, { onGesture, onPress = () => {} } = {}) {
+    this.classifier = new GestureClassifier(options);
+    this.onGesture = onGesture;
+    this.onPress = onPress;
+    this.timer = null;
+  }
+
+  edge(value, time = Date.now()) {
+    this.emit(this.classifier.edge(value, time));
+    this.schedule();
+  }
+
+  cancel() {
+    this.classifier.cancel();
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const deadline = this.classifier.nextDeadline();
+    if (deadline === null) return;
+
+    this.timer = setTimeout(() => {
+      this.emit(this.classifier.advance(deadline));
+      this.schedule();
+    }, Math.max(0, deadline - Date.now()));
+  }
+
+  emit(events) {
+    for (const { type } of events) {
+      if (type === 'press') {
+        this.onPress();
+      } else if (GESTURES.includes(type)) {
+        this.onGesture(type);
+      }
+    }
+  }
+}
+
+module.exports = {
+  GestureClassifier,
+  ButtonGestures,
+  classify
+};
@@ -0,0 +1,310 @@
+// choreography-recorder.js - Author routines by tapping keys along to the audio
+//
+//   node choreography-recorder.js record <audio> <routine.json> [options]
+//     Plays the audio and turns key presses into motor moves, both on the fish
+//     and in the routine:
+//       space  mouth chomp (opens, closes again after a moment)
+//       h      head: turn out and hold / let go
+//       t      tail flap (alternates sides)
+//       u      undo the last key press
+//       q      finish early (Esc and Ctrl+C too)
+//     --append adds to the moves already in the routine, so each motor can be
+//     recorded on its own pass
+//
+//   node choreography-recorder.js edit <routine.json> [options]
+//     Clean up a saved routine
+//
+// Options for both:
+//   --nudge <ms>     shift moves (negative = earlier, to make up for reaction time)
+//   --quantize <ms>  snap moves to a grid, e.g. the song's beat
+//   --motor <name>   only nudge/quantize that motor's moves
+//   --config <file> / --profile <name> as for billy-bass.js
+
+const fs = require('fs');
+const path = require('path');
+const { MOTORS, loadRoutine, saveRoutine, quantize, nudge } = require('./choreography');
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+class RoutineRecorder {
+  constructor(motorController, options = {}) {
+    this.motorController = motorController;
+    this.speeds = {
+      body: options.bodySpeed || 60,
+      mouth: options.mouthSpeed || 70,
+      tail: options.tailSpeed || 50
+    };
+    this.chompMs = options.chompMs || 120; // How long a tap keeps the mouth open
+    this.flapMs = options.flapMs || 160; // How long a tail flap lasts
+    this.turnMs = options.turnMs || 1500; // Head turn before braking to hold
+
+    this.events = []; // { time, motor, speed, press }
+    this.presses = 0;
+    this.pending = {}; // Per motor: the automatic follow-up move of a press
+    this.headOut = false;
+    this.tailDirection = 1;
+    this.startTime = null;
+  }
+
+  // startTime: when the audio is heard (event times are relative to it)
+  start(startTime = Date.now()) {
+    this.startTime = startTime;
+  }
+
+  // Handle one key; returns a short description of what it did, or null
+  key(key) {
+    switch (key) {
+      case ' ': {
+        const press = ++this.presses;
+        this.move('mouth', this.speeds.mouth, press);
+        this.later('mouth', 0, this.chompMs, press);
+        return 'mouth';
+      }
+      case 'h': {
+        const press = ++this.presses;
+        this.headOut = !this.headOut;
+        if (this.headOut) {
+          this.move('body', this.speeds.body, press);
+          this.later('body', 'brake', this.turnMs, press);
+        } else {
+          this.cancel('body');
+          this.move('body', 0, press); // Coast - the spring brings the head back
+        }
+        return this.headOut ? 'head out' : 'head back';
+      }
+      case 't': {
+        const press = ++this.presses;
+        this.move('tail', this.tailDirection * this.speeds.tail, press);
+        this.tailDirection = -this.tailDirection;
+        this.later('tail', 0, this.flapMs, press);
+        return 'tail';
+      }
+      case 'u':
+        return this.undo();
+      default:
+        return null;
+    }
+  }
+
+  // Move a motor right away and record it
+  move(motor, speed, press) {
+    this.events.push({ time: Math.max(0, Date.now() - this.startTime), motor, speed, press });
+    return this.motorController.setMotor(motor, speed);
+  }
+
+  // Schedule a press's follow-up move, replacing any pending one for the motor
+  later(motor, speed, ms, press) {
+    this.cancel(motor);
+    const timer = setTimeout(() => {
+      delete this.pending[motor];
+      this.move(motor, speed, press);
+    }, ms);
+    this.pending[motor] = { timer, press, speed, time: Date.now() + ms - this.startTime };
+  }
+
+  cancel(motor) {
+    if (this.pending[motor]) {
+      clearTimeout(this.pending[motor].timer);
+      delete this.pending[motor];
+    }
+  }
+
+  // Forget the most recent key press that is still in the routine
+  undo() {
+    const last = this.events.reduce((max, event) => Math.max(max, event.press), 0);
+    if (last === 0) return null;
+
+    for (const motor of MOTORS) {
+      if (this.pending[motor] && this.pending[motor].press === last) {
+        this.cancel(motor);
+        this.motorController.setMotor(motor, 0);
+      }
+    }
+    // Undoing a head turn lets the head go again
+    if (this.events.some(event => event.press === last && event.motor === 'body' && event.speed !== 0)) {
+      this.headOut = false;
+      this.motorController.setMotor('body', 0);
+    }
+    this.events = this.events.filter(event => event.press !== last);
+    return 'undone';
+  }
+
+  // Stop recording; returns the recorded events. Follow-up moves still
+  // pending are kept at their planned time, and any motor left running gets
+  // a final stop
+  finish() {
+    const time = Math.max(0, Date.now() - this.startTime);
+    for (const motor of MOTORS) {
+      const pending = this.pending[motor];
+      if (pending) {
+        this.cancel(motor);
+        this.events.push({ time: pending.time, motor, speed: pending.speed, press: pending.press });
+      }
+
+      const moves = this.events.filter(event => event.motor === motor);
+      if (moves.length > 0 && moves[moves.length - 1].speed !== 0) {
+        this.events.push({ time: Math.max(time, moves[moves.length - 1].time), motor, speed: 0 });
+      }
+    }
+    return this.events
+      .sort((a, b) => a.time - b.time)
+      .map(({ time: t, motor, speed }) => ({ time: t, motor, speed }));
+  }
+}
+
+// Apply --nudge and --quantize to a list of events
+function applyEdits(events, options) {
+  let edited = events;
+  if (options.nudge) {
+    edited = nudge(edited, options.nudge, options.motor);
+  }
+  if (options.quantize) {
+    edited = quantize(edited, options.quantize, options.motor);
+  }
+  return edited;
+}
+
+module.exports = {
+  RoutineRecorder,
+  applyEdits
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// Split "record a.wav b.json --nudge -80 --append" into positionals and options
+function parseOptions(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(nudge|quantize|motor|name|append)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      options.positional.push(argv[i]);
+    } else if (match[1] === 'append') {
+      options.append = true;
+    } else {
+      const value = match[2] !== undefined ? match[2] : argv[++i];
+      options[match[1]] = ['nudge', 'quantize'].includes(match[1]) ? Number(value) : value;
+    }
+  }
+
+  if (options.nudge !== undefined && !Number.isFinite(options.nudge)) {
+    throw new Error('--nudge must be a number of ms');
+  }
+  if (options.quantize !== undefined && !(options.quantize > 0)) {
+    throw new Error('--quantize must be a positive number of ms');
+  }
+  if (options.motor !== undefined && !MOTORS.includes(options.motor)) {
+    throw new Error(`--motor must be one of ${MOTORS.join(', ')}`);
+  }
+  return options;
+}
+
+async function record(audio, output, options, billy) {
+  const { CONFIG, MotorController, AudioManager } = billy;
+  const { createGpioBackend } = require('./gpio');
+
+  if (!process.stdin.isTTY) {
+    throw new Error('Recording reads key presses, so it needs a terminal');
+  }
+  if (!fs.existsSync(audio)) {
+    throw new Error(`Audio file not found: ${audio}`);
+  }
+  const existing = options.append && fs.existsSync(output) ? loadRoutine(output) : null;
+
+  const gpio = createGpioBackend(CONFIG.GPIO_BACKEND, { chip: CONFIG.GPIO_CHIP });
+  const motors = new MotorController(gpio);
+  if (!await motors.init()) {
+    throw new Error('Failed to initialize motors. Check GPIO connections.');
+  }
+  motors.installEmergencyStop();
+  const audioManager = new AudioManager();
+  const recorder = new RoutineRecorder(motors, {
+    bodySpeed: CONFIG.BODY_TURN_SPEED,
+    mouthSpeed: CONFIG.MOUTH_SPEED,
+    tailSpeed: CONFIG.TAIL_SPEED,
+    turnMs: CONFIG.BODY_TURN_DURATION
+  });
+
+  console.log('\n⌨️  space = mouth   h = head   t = tail   u = undo   q = finish\n');
+  for (const count of [3, 2, 1]) {
+    process.stdout.write(`${count}... `);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  console.log('🎵\n');
+
+  let finishedEarly = false;
+  const onKey = (key) => {
+    if (key === 'q' || key === '\u001b' || key === '\u0003') {
+      finishedEarly = true;
+      audioManager.stop();
+      return;
+    }
+    const action = recorder.key(key);
+    if (action) {
+      process.stdout.write(`${action}  `);
+    }
+  };
+
+  process.stdin.setRawMode(true);
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', onKey);
+
+  let recorded;
+  try {
+    recorder.start(Date.now() + CONFIG.AUDIO_PLAYBACK_LATENCY);
+    await audioManager.playAudio(audio).catch((error) => {
+      if (!finishedEarly) throw error;
+    });
+  } finally {
+    process.stdin.off('data', onKey);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    // Before closing - finishing cancels the follow-up moves still pending
+    recorded = recorder.finish();
+    await motors.close();
+    await gpio.close();
+  }
+
+  const events = applyEdits(recorded, options);
+  saveRoutine(output, {
+    name: options.name || (existing && existing.name) || path.basename(output, '.json'),
+    audio: path.resolve(audio),
+    events: existing ? [...existing.events, ...events] : events
+  });
+  console.log(`\n\n✓ Saved ${events.length} moves to ${output}` + (existing ? ` (${existing.events.length} kept)` : ''));
+}
+
+function edit(file, options) {
+  if (!options.nudge && !options.quantize) {
+    throw new Error('Nothing to do - give --nudge and/or --quantize');
+  }
+  const routine = loadRoutine(file);
+  saveRoutine(file, { ...routine, events: applyEdits(routine.events, options) });
+  console.log(`✓ Updated ${file}`);
+}
+
+if (require.main === module) {
+  const usage = 'Usage: node choreography-recorder.js record <audio> <routine.json> [--append] [--nudge <ms>] [--quantize <ms>] [--motor <name>]\n' +
+    '       node choreography-recorder.js edit <routine.json> [--nudge <ms>] [--quantize <ms>] [--motor <name>]';
+
+  (async () => {
+    const billy = require('./billy-bass');
+    const options = parseOptions(billy.configure(process.argv.slice(2)));
+    const [command, ...files] = options.positional;
+
+    if (command === 'record' && files.length === 2) {
+      await record(files[0], files[1], options, billy);
+    } else if (command === 'edit' && files.length === 1) {
+      edit(files[0], options);
+    } else {
+      console.error(usage);
+      process.exit(1);
+    }
+  })().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,286 @@
+// choreography.js - Scripted routines: motor timelines synced to an audio file
+//
+// A routine is a JSON file:
+//   {
+//     "name": "Test song",
+//     "audio": "../test.wav",
+//     "events": [
+//       { "time": 0,   "motor": "body",  "speed": 60, "ramp": 200 },
+//       { "time": 450, "motor": "body",  "speed": "brake" },
+//       { "time": 700, "motor": "mouth", "speed": 70 },
+//       { "time": 800, "motor": "mouth", "speed": 0 }
+//     ]
+//   }
+// "audio" is relative to the routine file. "time" is ms from the start of the
+// audio, "speed" is -100..100 or "brake" (as for MotorController.setMotor) and
+// the optional "ramp" (ms) eases into the new speed. Each motor runs on its own
+// track, so a ramp on one never delays the others.
+//
+// Play one on the fish: node choreography.js routines/test-song.json
+
+const fs = require('fs');
+const path = require('path');
+
+const MOTORS = ['body', 'mouth', 'tail'];
+const EVENT_KEYS = ['time', 'motor', 'speed', 'ramp'];
+
+class RoutineError extends Error {
+  constructor(source, issues) {
+    super(`Invalid routine (${source}):\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'RoutineError';
+    this.issues = issues;
+  }
+}
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+// Check a parsed routine; returns a list of problems
+function validateRoutine(routine) {
+  const issues = [];
+
+  if (routine === null || typeof routine !== 'object' || Array.isArray(routine)) {
+    return ['top level must be an object'];
+  }
+  if (typeof routine.audio !== 'string' || !routine.audio) {
+    issues.push('"audio" must be the path of the audio file');
+  }
+  if (!Array.isArray(routine.events)) {
+    issues.push('"events" must be a list');
+    return issues;
+  }
+
+  routine.events.forEach((event, i) => {
+    const where = `events[${i}]`;
+    if (event === null || typeof event !== 'object') {
+      issues.push(`${where} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(event)) {
+      if (!EVENT_KEYS.includes(key)) {
+        issues.push(`${where} has unknown field "${key}"`);
+      }
+    }
+    if (!Number.isFinite(event.time) || event.time < 0) {
+      issues.push(`${where}.time must be a number of ms >= 0`);
+    }
+    if (!MOTORS.includes(event.motor)) {
+      issues.push(`${where}.motor must be one of ${MOTORS.join(', ')}`);
+    }
+    if (event.speed !== 'brake' && !(Number.isFinite(event.speed) && Math.abs(event.speed) <= 100)) {
+      issues.push(`${where}.speed must be -100..100 or "brake"`);
+    }
+    if (event.ramp !== undefined && !(Number.isFinite(event.ramp) && event.ramp >= 0)) {
+      issues.push(`${where}.ramp must be a number of ms >= 0`);
+    }
+    if (event.ramp && event.speed === 'brake') {
+      issues.push(`${where} can't ramp into "brake"`);
+    }
+  });
+
+  return issues;
+}
+
+// Validate a routine object and resolve its audio path against baseDir
+// Events come back sorted by time
+function parseRoutine(routine, baseDir = process.cwd(), source = 'routine') {
+  const issues = validateRoutine(routine);
+  if (issues.length > 0) {
+    throw new RoutineError(source, issues);
+  }
+
+  return {
+    name: routine.name || path.basename(source, '.json'),
+    audio: path.resolve(baseDir, routine.audio),
+    events: [...routine.events].sort((a, b) => a.time - b.time)
+  };
+}
+
+function loadRoutine(file) {
+  let routine;
+  try {
+    routine = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new RoutineError(file, [`cannot read routine: ${error.message}`]);
+  }
+  return parseRoutine(routine, path.dirname(path.resolve(file)), file);
+}
+
+// Write a routine as JSON, one event per line so edits diff nicely
+// The audio path is stored relative to the routine file
+function saveRoutine(file, routine) {
+  const audio = path.relative(path.dirname(path.resolve(file)), routine.audio);
+  const events = [...routine.events]
+    .sort((a, b) => a.time - b.time)
+    .map(event => `    ${JSON.stringify(event)}`);
+
+  fs.writeFileSync(file, [
+    '{',
+    `  "name": ${JSON.stringify(routine.name)},`,
+    `  "audio": ${JSON.stringify(audio.split(path.sep).join('/'))},`,
+    '  "events": [',
+    events.join(',\n'),
+    '  ]',
+    '}',
+    ''
+  ].join('\n'));
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+// Both return new event lists; pass a motor name to only touch its track
+
+// Snap event times to a grid (ms), e.g. the song's beat
+// A move that would land on or before the previous move of the same motor
+// keeps its original distance from it instead, so a quick chomp doesn't
+// collapse into an open and close at the same instant
+function quantize(events, gridMs, motor = null) {
+  const previous = {}; // Per motor: { time, snapped } of the last move
+  const snapped = new Map();
+
+  for (const event of [...events].sort((a, b) => a.time - b.time)) {
+    if (motor && event.motor !== motor) continue;
+
+    let time = Math.round(event.time / gridMs) * gridMs;
+    const last = previous[event.motor];
+    if (last && time <= last.snapped) {
+      time = last.snapped + (event.time - last.time);
+    }
+    previous[event.motor] = { time: event.time, snapped: time };
+    snapped.set(event, time);
+  }
+
+  return events.map(event => snapped.has(event) ? { ...event, time: snapped.get(event) } : event);
+}
+
+// Shift event times (ms), e.g. negative to make up for reaction time
+function nudge(events, offsetMs, motor = null) {
+  return events.map(event => (motor && event.motor !== motor) ? event : {
+    ...event,
+    time: Math.max(0, event.time + offsetMs)
+  });
+}
+
+// Length of a routine's motion in ms
+function routineDuration(routine) {
+  return routine.events.reduce((end, event) => Math.max(end, event.time + (event.ramp || 0)), 0);
+}
+
+// ============================================================================
+// PLAYER
+// ============================================================================
+
+class RoutinePlayer {
+  // audioManager only needs playAudio(file) (and optionally stop())
+  // latency: ms between starting the player and hearing sound
+  constructor(motorController, audioManager, options = {}) {
+    this.motorController = motorController;
+    this.audioManager = audioManager;
+    this.latency = options.latency || 0;
+    this.stopped = false;
+  }
+
+  // Play the audio and run every motor track against it; resolves when both
+  // the audio and the motion are finished, with all motors stopped
+  async play(routine) {
+    this.stopped = false;
+    console.log(`🎬 Performing "${routine.name}" (${routine.events.length} moves)`);
+
+    const startTime = Date.now() + this.latency;
+    const tracks = MOTORS
+      .map(motor => routine.events.filter(event => event.motor === motor))
+      .filter(track => track.length > 0);
+
+    try {
+      await Promise.all([
+        this.audioManager.playAudio(routine.audio),
+        ...tracks.map(track => this.runTrack(track, startTime))
+      ]);
+    } finally {
+      // Ends the other tracks early if playback failed or stop() was called
+      this.stopped = true;
+      await this.motorController.stopAll();
+    }
+  }
+
+  // Stop the audio and the motion
+  stop() {
+    this.stopped = true;
+    if (this.audioManager.stop) {
+      this.audioManager.stop();
+    }
+  }
+
+  // Event times are absolute, so slow GPIO writes and ramps don't accumulate drift
+  async runTrack(events, startTime) {
+    for (const event of events) {
+      const wait = startTime + event.time - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      if (this.stopped) return;
+
+      if (event.ramp) {
+        await this.motorController.rampMotor(event.motor, event.speed, event.ramp);
+      } else {
+        await this.motorController.setMotor(event.motor, event.speed);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MOTORS,
+  RoutineError,
+  validateRoutine,
+  parseRoutine,
+  loadRoutine,
+  saveRoutine,
+  quantize,
+  nudge,
+  routineDuration,
+  RoutinePlayer
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// node choreography.js <routine.json> [--config <file>] [--profile <name>]
+if (require.main === module) {
+  // Loaded here rather than at the top - billy-bass.js uses this module too
+  const { CONFIG, configure, MotorController, AudioManager } = require('./billy-bass');
+  const { createGpioBackend } = require('./gpio');
+
+  const [file] = configure(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node choreography.js <routine.json> [--config <file>] [--profile <name>]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const routine = loadRoutine(file);
+    const gpio = createGpioBackend(CONFIG.GPIO_BACKEND, { chip: CONFIG.GPIO_CHIP });
+    const motors = new MotorController(gpio);
+    if (!await motors.init()) {
+      throw new Error('Failed to initialize motors. Check GPIO connections.');
+    }
+
+    motors.installEmergencyStop();
+    const player = new RoutinePlayer(motors, new AudioManager(), { latency: CONFIG.AUDIO_PLAYBACK_LATENCY });
+    process.on('SIGINT', () => player.stop());
+
+    try {
+      await player.play(routine);
+      console.log('✓ Routine complete');
+    } finally {
+      await motors.close();
+      await gpio.close();
+    }
+  })().catch((error) => {
+    console.error(`✗ ${error instanceof RoutineError ? error.message : `Routine failed: ${error.message}`}`);
+    process.exit(1);
+  });
+}
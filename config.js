@@ -0,0 +1,693 @@
+// config.js - Billy Bass settings: defaults, config file, profiles and validation
+//
+// Settings are resolved in this order (later wins):
+//   1. DEFAULTS below
+//   2. Top-level settings in the config file (JSON or YAML)
+//   3. The selected profile from the file's "profiles" section
+//   4. Environment variables: BILLY_<SETTING>, e.g. BILLY_TTS_VOICE=nova
+//      (API keys also come from their usual ANTHROPIC_API_KEY / OPENAI_API_KEY)
+//
+// The config file is the --config argument, $BILLY_CONFIG, or
+// billy-bass.config.json / .yaml next to billy-bass.js if present. The profile
+// is the --profile argument, $BILLY_PROFILE, or the file's "profile" setting.
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const DEFAULTS = {
+  // API Keys (set as environment variables)
+  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  
+  // GPIO Configuration
+  // 'auto' (detect libgpiod version), 'gpiod' (libgpiod 2.x persistent session),
+  // 'gpiod-cli' (libgpiod 1.x, one process per access), 'simulated' (off-Pi)
+  GPIO_BACKEND: 'auto',
+  GPIO_CHIP: 'gpiochip0',
+  BUTTON_PIN: 5, // GPIO 5 (Physical Pin 29) - GPIO 17 is used by body motor!
+
+  // Button gestures (see button-gestures.js) and what each one does:
+  // 'converse', 'repeat' (the last answer), 'routine' (BUTTON_ROUTINE),
+  // 'next-persona', 'shutdown' (runs SHUTDOWN_COMMAND) or 'none'
+  BUTTON_DEBOUNCE: 30, // ms the contacts must settle for
+  BUTTON_LONG_PRESS: 2000, // ms held for a long press, 0 = no long presses
+  BUTTON_DOUBLE_PRESS: 400, // ms between the presses of a double press, 0 = no double presses
+  BUTTON_SHORT_ACTION: 'converse',
+  BUTTON_DOUBLE_ACTION: 'repeat',
+  BUTTON_LONG_ACTION: 'next-persona',
+  BUTTON_ROUTINE: 'test-song', // Routine name in ROUTINES_DIR for the 'routine' action
+  SHUTDOWN_COMMAND: 'sudo shutdown -h now', // Run by the 'shutdown' action, null = only stop the program
+  
+  // Motor driver board (see motor-drivers.js)
+  // 'drv8833-gpio' = DRV8833 bridges on the GPIO pins below (the 4WD Robot Hat),
+  // 'pca9685' = PCA9685 PWM chip on I2C (Adafruit-style motor HATs, needs: npm install i2c-bus)
+  MOTOR_DRIVER: 'drv8833-gpio',
+  
+  // Motor Control GPIO Pins (DRV8833 drivers)
+  // Body Motor = Motor A1 (DRV8833 #1)
+  MOTOR_BODY_PIN1: 17,
+  MOTOR_BODY_PIN2: 27,
+  MOTOR_BODY_PWM: 12,
+  
+  // Mouth Motor = Motor B1 (DRV8833 #1)  
+  MOTOR_MOUTH_PIN1: 22,
+  MOTOR_MOUTH_PIN2: 23,
+  MOTOR_MOUTH_PWM: 12, // Shares PWM with Body
+  
+  // Tail Motor = Motor A2 (DRV8833 #2)
+  MOTOR_TAIL_PIN1: 24,
+  MOTOR_TAIL_PIN2: 25,
+  MOTOR_TAIL_PWM: 13,
+  
+  // PCA9685 channels (MOTOR_DRIVER 'pca9685') - defaults match the Adafruit
+  // DC & Stepper Motor HAT: body on M1, mouth on M2, tail on M3
+  PCA9685_BUS: 1, // /dev/i2c-1
+  PCA9685_ADDRESS: 0x60,
+  PCA9685_FREQUENCY: 1000, // Hz
+  MOTOR_BODY_CHANNEL1: 10, // Bridge input 1
+  MOTOR_BODY_CHANNEL2: 9, // Bridge input 2
+  MOTOR_BODY_CHANNEL_PWM: 8, // TB6612 PWM input, null = PWM on the inputs (DRV8833)
+  MOTOR_MOUTH_CHANNEL1: 11,
+  MOTOR_MOUTH_CHANNEL2: 12,
+  MOTOR_MOUTH_CHANNEL_PWM: 13,
+  MOTOR_TAIL_CHANNEL1: 4,
+  MOTOR_TAIL_CHANNEL2: 3,
+  MOTOR_TAIL_CHANNEL_PWM: 2,
+  
+  // Motor Speed Control (DRV8833 on GPIO - a PCA9685 makes its own PWM)
+  // 'software' = PWM on the IN1/IN2 pins, 'hardware' = kernel pwmchip on GPIO 12/13,
+  // 'none' = full speed whenever a motor runs
+  MOTOR_PWM_MODE: 'software',
+  SOFTWARE_PWM_FREQUENCY: 50, // Hz
+  HARDWARE_PWM_FREQUENCY: 100, // Hz - kept low, NSLEEP needs ~1ms to wake the driver
+  HARDWARE_PWM_CHIP: 'pwmchip0',
+  MOTOR_RAMP_DURATION: 250, // ms - time to ramp between speeds for smooth starts/stops
+  MOTOR_RAMP_STEP: 25, // ms between ramp steps
+  
+  // Motor Watchdog (see motor-watchdog.js) - forces a motor to coast before it overheats
+  MOTOR_MAX_ON_TIME: 3000, // ms a motor may be driven in one direction (longer = stalled)
+  MOTOR_MAX_BRAKE_TIME: 60000, // ms a motor may hold in brake
+  MOTOR_DUTY_WINDOW: 60000, // ms - rolling window for the duty budget
+  MOTOR_DUTY_BUDGET: 0.5, // Max fraction of the window a motor may run (at full speed)
+  MOTOR_FAULT_COOLDOWN: 5000, // ms a motor rests after a watchdog stop
+  
+  // Motor Speeds (0-100)
+  BODY_TURN_SPEED: 60,
+  BODY_TURN_DURATION: 1500, // ms - adjust to match your fish's turning range (or calibrate, see below)
+  
+  // Body positioning (see body-position.js): drive until a sensor sees the
+  // stop, or use the timing learned by: node body-position.js calibrate
+  BODY_SENSOR: null, // null = timing only, 'limit-switch' or 'current'
+  BODY_LIMIT_PIN: null, // GPIO of the switch that closes when the body is fully turned
+  BODY_HOME_PIN: null, // GPIO of the switch that closes when the body is at rest, null = none
+  BODY_CURRENT_FILE: null, // IIO ADC reading of the motor current, e.g. /sys/bus/iio/devices/iio:device0/in_voltage0_raw
+  BODY_STALL_THRESHOLD: null, // Reading at which the motor counts as stalled against a stop
+  BODY_STALL_BLANKING: 200, // ms to ignore the current after starting (spin-up looks like a stall)
+  BODY_TURN_MAX_DURATION: 2500, // ms the body may drive looking for a stop
+  BODY_CALIBRATION_FILE: path.join(__dirname, 'body-calibration.json'), // Learned timing, null = don't use
+  MOUTH_SPEED: 70,
+  MOUTH_MAX_OPEN: 350, // ms the jaw stays open on a long sound - lower chomps faster
+  TAIL_SPEED: 50,
+  TAIL_INTERVAL: 350, // ms between tail direction changes while talking
+  
+  // Audio Configuration
+  // ALSA devices - find yours with "arecord -l" / "aplay -l" (card 3, device 0 = 'hw:3,0')
+  AUDIO_CAPTURE_DEVICE: 'hw:3,0',
+  AUDIO_PLAYBACK_DEVICE: null, // null = system default output
+  AUDIO_RECORDING_DURATION: 15000, // ms - maximum recording time
+  AUDIO_SAMPLE_RATE: 44100, // Capture format (CD quality, like arecord -f cd)
+  AUDIO_CHANNELS: 2,
+  AUDIO_TEMP_FILE: '/tmp/billy_bass_recording.wav',
+  TTS_OUTPUT_FILE: '/tmp/billy_bass_response.mp3', // Extension follows the TTS provider
+  
+  // Voice Activity Detection (recording starts on speech and stops on silence)
+  VAD_THRESHOLD: 3.0, // Speech = this many times louder than background noise
+  VAD_TRAILING_SILENCE: 800, // ms of quiet that ends a question
+  VAD_NO_SPEECH_TIMEOUT: 5000, // ms to wait for someone to start talking
+  
+  // Speech Providers
+  // Speech-to-text: 'openai' (Whisper API) or 'whisper-cpp' (local)
+  STT_PROVIDER: 'openai',
+  WHISPER_CPP_BINARY: 'whisper-cli',
+  WHISPER_CPP_MODEL: '/home/pi/whisper.cpp/models/ggml-base.en.bin',
+  
+  // Text-to-speech: 'openai', 'piper' (local neural) or 'espeak' (local, robotic)
+  TTS_PROVIDER: 'openai',
+  TTS_VOICE: 'onyx', // Options: alloy, echo, fable, onyx, nova, shimmer
+  TTS_MODEL: 'tts-1', // or 'tts-1-hd' for higher quality
+  PIPER_BINARY: 'piper',
+  PIPER_MODEL: '/home/pi/piper/en_US-ryan-medium.onnx',
+  ESPEAK_VOICE: 'en-us',
+  
+  // When a provider fails (see resilience.js)
+  // Each stage can fall back to a second provider - e.g. TTS_FALLBACK_PROVIDER: 'espeak'
+  STT_FALLBACK_PROVIDER: null,
+  CHAT_FALLBACK_PROVIDER: null, // 'openai-compatible' = the local LLM settings below
+  TTS_FALLBACK_PROVIDER: null,
+  STT_TIMEOUT: 15000, // ms per attempt (0 = no limit)
+  CHAT_TIMEOUT: 20000,
+  TTS_TIMEOUT: 15000,
+  CLOUD_RETRIES: 2, // Extra attempts after a timeout, dropped connection, 429 or 5xx
+  RETRY_BACKOFF: 500, // ms before the first retry, doubling after that
+  FALLBACK_CLIPS_DIR: path.join(__dirname, 'clips'), // Pre-rendered lines: node fallback-clips.js render
+  
+  // Speech cache (see tts-cache.js) - each line in each voice is synthesized once
+  TTS_CACHE_DIR: '/var/tmp/billy_bass_tts_cache', // null = no cache
+  TTS_CACHE_MAX_MB: 50, // Least recently used clips are removed beyond this
+  
+  // Lip Sync (mouth follows the loudness of the speech audio)
+  LIP_SYNC_ENABLED: true, // false = the old random flapping
+  LIP_SYNC_OPEN_THRESHOLD: 0.35, // Loudness (0-1) that opens the mouth
+  LIP_SYNC_CLOSE_THRESHOLD: 0.18, // Loudness that closes it again
+  AUDIO_PLAYBACK_LATENCY: 80, // ms between starting the player and hearing sound
+  MOUTH_LEAD_TIME: 40, // ms - start the jaw early to hide motor lag
+  
+  // AI Configuration
+  // Chat: 'anthropic' (Claude) or 'openai-compatible' (local LLM server, e.g. Ollama or llama.cpp)
+  CHAT_PROVIDER: 'anthropic',
+  AI_MODEL: 'claude-sonnet-4-20250514',
+  LOCAL_LLM_URL: 'http://localhost:11434/v1',
+  LOCAL_LLM_MODEL: 'llama3.2:1b',
+  LOCAL_LLM_API_KEY: process.env.LOCAL_LLM_API_KEY,
+  AI_MAX_TOKENS: 150,
+  AI_STREAMING: true, // Speak each sentence as soon as it's written
+  AI_SYSTEM_PROMPT: `You are Billy Bass, a wise-cracking animatronic fish. 
+Respond to questions with 1-2 sentences full of fish puns and fishing-related humor. 
+Keep it family-friendly and fun!`,
+  
+  // Tools Claude can use while answering (see tools.js)
+  AI_TOOLS_ENABLED: true,
+  AI_MAX_TOOL_ROUNDS: 3, // Tool calls in a row before giving up on the reply
+  TOOL_TIMEOUT: 5000, // ms for each tool call
+  FACTS_FILE: path.join(__dirname, 'facts.txt'), // One household fact per line, null = none
+  WEATHER_PROVIDER: null, // 'open-meteo' (needs WEATHER_LATITUDE/LONGITUDE) or 'url', null = no weather
+  WEATHER_URL: null, // For 'url': any GET endpoint returning weather JSON, e.g. a local stub
+  WEATHER_LATITUDE: null,
+  WEATHER_LONGITUDE: null,
+  WEATHER_UNITS: 'celsius', // or 'fahrenheit'
+  
+  // Personas (see personas.js) - prompt, voice and motion style bundles
+  PERSONA: null, // File name in PERSONAS_DIR without .json, null = the settings above as they are
+  PERSONAS_DIR: path.join(__dirname, 'personas'),
+  
+  // Conversation Memory (lets follow-up questions like "why?" make sense)
+  CONVERSATION_IDLE_TIMEOUT: 120000, // ms without a question before Billy forgets (0 = no memory)
+  CONVERSATION_MAX_TOKENS: 1500, // Oldest turns are dropped beyond this (estimated; the last exchange is always kept)
+  CONVERSATION_END_ON_IDLE: false, // true = forget as soon as the body returns to idle
+  CONVERSATION_FILE: '/var/tmp/billy_bass_conversation.json', // null = memory only
+  
+  // Wake Word ("Hey Billy" instead of the button - see wake-word.js)
+  WAKE_WORD_ENABLED: false, // Enroll first: node wake-word.js enroll
+  WAKE_WORD_MODEL: path.join(__dirname, 'wake-word.json'),
+  WAKE_WORD_SENSITIVITY: 0.5, // 0 = strict, 1 = wakes easily (and more falsely)
+  WAKE_WORD_COOLDOWN: 3000, // ms after an interaction before listening again
+  
+  // Barge-in: cutting Billy off mid-reply
+  BARGE_IN_BUTTON: true, // A button press while he talks cuts him off
+  BARGE_IN_VOICE: false, // So does talking over him - needs the mic well away from the speaker
+  BARGE_IN_THRESHOLD: 4.0, // Voice must be this many times louder than Billy sounds at the mic
+  BARGE_IN_ACTION: 'listen', // 'listen' for the next question, or 'end' the interaction
+  
+  // Scripted routines (see choreography.js), performed by name over the control API
+  ROUTINES_DIR: path.join(__dirname, 'routines'),
+  
+  // Idle Behaviors (see idle-behaviors.js) - signs of life between interactions
+  IDLE_BEHAVIORS_ENABLED: false,
+  IDLE_MIN_INTERVAL: 120000, // ms between behaviors, picked at random in this range
+  IDLE_MAX_INTERVAL: 600000,
+  IDLE_SPEAK_CHANCE: 0.3, // Fraction of behaviors that are one-liners (the rest are tail flicks)
+  IDLE_PHRASES_FILE: path.join(__dirname, 'phrases.txt'), // null = never speak
+  IDLE_BORED_AFTER: 1800000, // ms without an interaction before the bored routine (0 = never)
+  IDLE_BORED_ROUTINE: 'test-song', // Routine name in ROUTINES_DIR, null = none
+  IDLE_QUIET_HOURS: '22:00-07:00', // "HH:MM-HH:MM" with no idle behaviors, null = none
+  
+  // HTTP Control API (see control-server.js) for home automation and scripts
+  CONTROL_API_ENABLED: false,
+  CONTROL_API_HOST: '127.0.0.1', // '0.0.0.0' to accept requests from the network
+  CONTROL_API_PORT: 8080,
+  CONTROL_API_TOKEN: null, // Required as "Authorization: Bearer <token>" when set
+  
+  // Logging and History (see history.js to query past interactions)
+  LOG_LEVEL: 'info', // debug, info, warn or error
+  LOG_FORMAT: 'pretty', // 'pretty' (emoji lines) or 'json' (one object per line)
+  HISTORY_FILE: '/var/tmp/billy_bass_history.jsonl', // null = don't keep history
+  
+  // Self-test (see doctor.js): node billy.js doctor
+  DOCTOR_ANTHROPIC_URL: 'https://api.anthropic.com/v1/models', // Fetched with the key to check it - point at a proxy if you use one
+  DOCTOR_OPENAI_URL: 'https://api.openai.com/v1/models',
+  DOCTOR_TIMEOUT: 10000, // ms for each device, command or network check
+  DOCTOR_MIN_FREE_MB: 100 // Less free disk than this fails the check
+};
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+// Shared rules
+const pin = { type: 'integer', min: 0, max: 27 }; // BCM GPIO numbers on the 40-pin header
+const speed = { type: 'integer', min: 0, max: 100 };
+const channel = { type: 'integer', min: 0, max: 15 }; // PCA9685 outputs
+const ms = { type: 'integer', min: 0 };
+const text = { type: 'string' };
+const optionalText = { type: 'string', nullable: true };
+const flag = { type: 'boolean' };
+const level = { type: 'number', min: 0, max: 1 };
+const url = { type: 'string', pattern: /^https?:\/\//, hint: 'an http:// or https:// URL' };
+const buttonAction = { type: 'string', enum: ['converse', 'repeat', 'routine', 'next-persona', 'shutdown', 'none'] };
+
+const SCHEMA = {
+  ANTHROPIC_API_KEY: optionalText,
+  OPENAI_API_KEY: optionalText,
+
+  GPIO_BACKEND: { type: 'string', enum: ['auto', 'gpiod', 'gpiod-cli', 'simulated'] },
+  GPIO_CHIP: text,
+  BUTTON_PIN: pin,
+  BUTTON_DEBOUNCE: { type: 'integer', min: 0, max: 500 },
+  BUTTON_LONG_PRESS: ms,
+  BUTTON_DOUBLE_PRESS: { type: 'integer', min: 0, max: 2000 },
+  BUTTON_SHORT_ACTION: buttonAction,
+  BUTTON_DOUBLE_ACTION: buttonAction,
+  BUTTON_LONG_ACTION: buttonAction,
+  BUTTON_ROUTINE: { type: 'string', pattern: /^[\w-]+$/, hint: 'a routine name (letters, digits, - and _)' },
+  SHUTDOWN_COMMAND: optionalText,
+
+  MOTOR_BODY_PIN1: pin,
+  MOTOR_BODY_PIN2: pin,
+  MOTOR_BODY_PWM: pin,
+  MOTOR_MOUTH_PIN1: pin,
+  MOTOR_MOUTH_PIN2: pin,
+  MOTOR_MOUTH_PWM: pin,
+  MOTOR_TAIL_PIN1: pin,
+  MOTOR_TAIL_PIN2: pin,
+  MOTOR_TAIL_PWM: pin,
+
+  MOTOR_DRIVER: { type: 'string', enum: ['drv8833-gpio', 'pca9685'] },
+  PCA9685_BUS: { type: 'integer', min: 0 },
+  PCA9685_ADDRESS: { type: 'integer', min: 0x03, max: 0x77 },
+  PCA9685_FREQUENCY: { type: 'integer', min: 24, max: 1526 },
+  MOTOR_BODY_CHANNEL1: channel,
+  MOTOR_BODY_CHANNEL2: channel,
+  MOTOR_BODY_CHANNEL_PWM: { ...channel, nullable: true },
+  MOTOR_MOUTH_CHANNEL1: channel,
+  MOTOR_MOUTH_CHANNEL2: channel,
+  MOTOR_MOUTH_CHANNEL_PWM: { ...channel, nullable: true },
+  MOTOR_TAIL_CHANNEL1: channel,
+  MOTOR_TAIL_CHANNEL2: channel,
+  MOTOR_TAIL_CHANNEL_PWM: { ...channel, nullable: true },
+
+  MOTOR_PWM_MODE: { type: 'string', enum: ['software', 'hardware', 'none'] },
+  SOFTWARE_PWM_FREQUENCY: { type: 'number', min: 1, max: 200 },
+  HARDWARE_PWM_FREQUENCY: { type: 'number', min: 1, max: 100000 },
+  HARDWARE_PWM_CHIP: text,
+  MOTOR_RAMP_DURATION: ms,
+  MOTOR_RAMP_STEP: { type: 'integer', min: 1 },
+  MOTOR_MAX_ON_TIME: { type: 'integer', min: 100 },
+  MOTOR_MAX_BRAKE_TIME: { type: 'integer', min: 100 },
+  MOTOR_DUTY_WINDOW: { type: 'integer', min: 1000 },
+  MOTOR_DUTY_BUDGET: { type: 'number', min: 0.01, max: 1 },
+  MOTOR_FAULT_COOLDOWN: ms,
+
+  BODY_TURN_SPEED: speed,
+  BODY_TURN_DURATION: ms,
+  BODY_SENSOR: { type: 'string', enum: ['limit-switch', 'current'], nullable: true },
+  BODY_LIMIT_PIN: { ...pin, nullable: true },
+  BODY_HOME_PIN: { ...pin, nullable: true },
+  BODY_CURRENT_FILE: optionalText,
+  BODY_STALL_THRESHOLD: { type: 'number', nullable: true, min: 0 },
+  BODY_STALL_BLANKING: ms,
+  BODY_TURN_MAX_DURATION: { type: 'integer', min: 100 },
+  BODY_CALIBRATION_FILE: optionalText,
+  MOUTH_SPEED: speed,
+  MOUTH_MAX_OPEN: { type: 'integer', min: 100, max: 2000 },
+  TAIL_SPEED: speed,
+  TAIL_INTERVAL: { type: 'integer', min: 100, max: 5000 },
+
+  AUDIO_CAPTURE_DEVICE: text,
+  AUDIO_PLAYBACK_DEVICE: optionalText,
+  AUDIO_RECORDING_DURATION: { type: 'integer', min: 1000 },
+  AUDIO_SAMPLE_RATE: { type: 'integer', enum: [8000, 16000, 22050, 32000, 44100, 48000] },
+  AUDIO_CHANNELS: { type: 'integer', min: 1, max: 2 },
+  AUDIO_TEMP_FILE: text,
+  TTS_OUTPUT_FILE: text,
+
+  VAD_THRESHOLD: { type: 'number', min: 1 },
+  VAD_TRAILING_SILENCE: ms,
+  VAD_NO_SPEECH_TIMEOUT: ms,
+
+  STT_PROVIDER: { type: 'string', enum: ['openai', 'whisper-cpp'] },
+  WHISPER_CPP_BINARY: text,
+  WHISPER_CPP_MODEL: text,
+
+  TTS_PROVIDER: { type: 'string', enum: ['openai', 'piper', 'espeak'] },
+  TTS_VOICE: text,
+  TTS_MODEL: text,
+  PIPER_BINARY: text,
+  PIPER_MODEL: text,
+  ESPEAK_VOICE: text,
+
+  STT_FALLBACK_PROVIDER: { type: 'string', enum: ['openai', 'whisper-cpp'], nullable: true },
+  CHAT_FALLBACK_PROVIDER: { type: 'string', enum: ['anthropic', 'openai-compatible'], nullable: true },
+  TTS_FALLBACK_PROVIDER: { type: 'string', enum: ['openai', 'piper', 'espeak'], nullable: true },
+  STT_TIMEOUT: ms,
+  CHAT_TIMEOUT: ms,
+  TTS_TIMEOUT: ms,
+  CLOUD_RETRIES: { type: 'integer', min: 0, max: 5 },
+  RETRY_BACKOFF: ms,
+  FALLBACK_CLIPS_DIR: text,
+
+  TTS_CACHE_DIR: optionalText,
+  TTS_CACHE_MAX_MB: { type: 'number', min: 1 },
+
+  LIP_SYNC_ENABLED: flag,
+  LIP_SYNC_OPEN_THRESHOLD: level,
+  LIP_SYNC_CLOSE_THRESHOLD: level,
+  AUDIO_PLAYBACK_LATENCY: ms,
+  MOUTH_LEAD_TIME: ms,
+
+  CHAT_PROVIDER: { type: 'string', enum: ['anthropic', 'openai-compatible'] },
+  AI_MODEL: text,
+  LOCAL_LLM_URL: text,
+  LOCAL_LLM_MODEL: text,
+  LOCAL_LLM_API_KEY: optionalText,
+  AI_MAX_TOKENS: { type: 'integer', min: 1, max: 4096 },
+  AI_STREAMING: flag,
+  AI_SYSTEM_PROMPT: text,
+
+  AI_TOOLS_ENABLED: flag,
+  AI_MAX_TOOL_ROUNDS: { type: 'integer', min: 1, max: 10 },
+  TOOL_TIMEOUT: ms,
+  FACTS_FILE: optionalText,
+  WEATHER_PROVIDER: { type: 'string', enum: ['open-meteo', 'url'], nullable: true },
+  WEATHER_URL: optionalText,
+  WEATHER_LATITUDE: { type: 'number', nullable: true, min: -90, max: 90 },
+  WEATHER_LONGITUDE: { type: 'number', nullable: true, min: -180, max: 180 },
+  WEATHER_UNITS: { type: 'string', enum: ['celsius', 'fahrenheit'] },
+
+  PERSONA: { type: 'string', nullable: true, pattern: /^[\w-]+$/, hint: 'a persona name (letters, digits, - and _)' },
+  PERSONAS_DIR: text,
+
+  CONVERSATION_IDLE_TIMEOUT: ms,
+  CONVERSATION_MAX_TOKENS: { type: 'integer', min: 0 },
+  CONVERSATION_END_ON_IDLE: flag,
+  CONVERSATION_FILE: optionalText,
+
+  WAKE_WORD_ENABLED: flag,
+  WAKE_WORD_MODEL: text,
+  WAKE_WORD_SENSITIVITY: level,
+  WAKE_WORD_COOLDOWN: ms,
+
+  BARGE_IN_BUTTON: flag,
+  BARGE_IN_VOICE: flag,
+  BARGE_IN_THRESHOLD: { type: 'number', min: 1 },
+  BARGE_IN_ACTION: { type: 'string', enum: ['listen', 'end'] },
+
+  ROUTINES_DIR: text,
+
+  IDLE_BEHAVIORS_ENABLED: flag,
+  IDLE_MIN_INTERVAL: { type: 'integer', min: 1000 },
+  IDLE_MAX_INTERVAL: { type: 'integer', min: 1000 },
+  IDLE_SPEAK_CHANCE: level,
+  IDLE_PHRASES_FILE: optionalText,
+  IDLE_BORED_AFTER: ms,
+  IDLE_BORED_ROUTINE: { type: 'string', nullable: true, pattern: /^[\w-]+$/, hint: 'a routine name (letters, digits, - and _)' },
+  IDLE_QUIET_HOURS: { type: 'string', nullable: true, pattern: /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/, hint: '"HH:MM-HH:MM"' },
+
+  CONTROL_API_ENABLED: flag,
+  CONTROL_API_HOST: text,
+  CONTROL_API_PORT: { type: 'integer', min: 1, max: 65535 },
+  CONTROL_API_TOKEN: optionalText,
+
+  LOG_LEVEL: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+  LOG_FORMAT: { type: 'string', enum: ['pretty', 'json'] },
+  HISTORY_FILE: optionalText,
+
+  DOCTOR_ANTHROPIC_URL: url,
+  DOCTOR_OPENAI_URL: url,
+  DOCTOR_TIMEOUT: { type: 'integer', min: 100 },
+  DOCTOR_MIN_FREE_MB: { type: 'integer', min: 0 }
+};
+
+// Environment variables read without the BILLY_ prefix
+const ENV_ALIASES = {
+  ANTHROPIC_API_KEY: 'ANTHROPIC_API_KEY',
+  OPENAI_API_KEY: 'OPENAI_API_KEY',
+  LOCAL_LLM_API_KEY: 'LOCAL_LLM_API_KEY'
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+class ConfigError extends Error {
+  constructor(source, issues) {
+    super(`Invalid configuration (${source}):\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+// Config files looked for next to billy-bass.js when none is given
+const DEFAULT_FILES = ['billy-bass.config.json', 'billy-bass.config.yaml', 'billy-bass.config.yml']
+  .map(file => path.join(__dirname, file));
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError(file, [`cannot read file: ${error.message}`]);
+  }
+
+  try {
+    const parsed = /\.ya?ml$/.test(file) ? require('yaml').parse(raw) : JSON.parse(raw);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('top level must be an object of settings');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError(file, [`cannot parse file: ${error.message}`]);
+  }
+}
+
+// Turn an environment variable string into the setting's type
+function coerceEnv(value, rule) {
+  if (rule.nullable && (value === '' || value === 'null')) return null;
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      // Leave unparseable input as-is so validation can report it verbatim
+      const number = Number(value);
+      return value.trim() === '' || Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+// Check one value against its rule; returns a problem description or null
+function checkValue(value, rule) {
+  if (value === null || value === undefined) {
+    return rule.nullable ? null : 'is required';
+  }
+
+  const describe = JSON.stringify(value);
+
+  switch (rule.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `must be a whole number, got ${describe}`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${describe}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `must be true or false, got ${describe}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `must be a string, got ${describe}`;
+      break;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `must be ${rule.hint}, got ${describe}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}, got ${describe}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}, got ${describe}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}, got ${describe}`;
+  }
+  return null;
+}
+
+// Validate a complete config; returns a list of problems
+function validateConfig(config) {
+  const issues = [];
+
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    const problem = checkValue(config[key], rule);
+    if (problem) issues.push(`${key} ${problem}`);
+  }
+
+  // The button can't share a pin with a motor driver
+  const motorPins = Object.keys(SCHEMA).filter(key => key.startsWith('MOTOR_') && SCHEMA[key] === pin);
+  for (const key of motorPins) {
+    if (config[key] === config.BUTTON_PIN) {
+      issues.push(`BUTTON_PIN ${config.BUTTON_PIN} is already used by ${key}`);
+    }
+  }
+
+  // Each PCA9685 output drives one bridge input
+  if (config.MOTOR_DRIVER === 'pca9685') {
+    const channels = Object.keys(SCHEMA).filter(key => /^MOTOR_\w+_CHANNEL/.test(key) && config[key] !== null);
+    for (const [i, key] of channels.entries()) {
+      const other = channels.slice(0, i).find(earlier => config[earlier] === config[key]);
+      if (other) {
+        issues.push(`${key} ${config[key]} is already used by ${other}`);
+      }
+    }
+  }
+
+  // Nor can the limit switches
+  for (const key of ['BODY_LIMIT_PIN', 'BODY_HOME_PIN']) {
+    if (config[key] === null) continue;
+    const taken = [...motorPins, 'BUTTON_PIN'].find(other => config[other] === config[key]);
+    if (taken) {
+      issues.push(`${key} ${config[key]} is already used by ${taken}`);
+    }
+  }
+
+  // The watchdog would stop every turn halfway
+  if (config.BODY_TURN_DURATION >= config.MOTOR_MAX_ON_TIME) {
+    issues.push(`BODY_TURN_DURATION (${config.BODY_TURN_DURATION}) must be shorter than MOTOR_MAX_ON_TIME (${config.MOTOR_MAX_ON_TIME})`);
+  }
+  if (config.BODY_TURN_MAX_DURATION >= config.MOTOR_MAX_ON_TIME) {
+    issues.push(`BODY_TURN_MAX_DURATION (${config.BODY_TURN_MAX_DURATION}) must be shorter than MOTOR_MAX_ON_TIME (${config.MOTOR_MAX_ON_TIME})`);
+  }
+
+  if (config.BODY_SENSOR === 'limit-switch' && config.BODY_LIMIT_PIN === null) {
+    issues.push('BODY_SENSOR "limit-switch" needs BODY_LIMIT_PIN');
+  }
+  if (config.BODY_SENSOR === 'current' && (!config.BODY_CURRENT_FILE || config.BODY_STALL_THRESHOLD === null)) {
+    issues.push('BODY_SENSOR "current" needs BODY_CURRENT_FILE and BODY_STALL_THRESHOLD');
+  }
+
+  if (config.IDLE_MIN_INTERVAL > config.IDLE_MAX_INTERVAL) {
+    issues.push('IDLE_MIN_INTERVAL must not be above IDLE_MAX_INTERVAL');
+  }
+
+  if (config.WEATHER_PROVIDER === 'open-meteo' && (config.WEATHER_LATITUDE === null || config.WEATHER_LONGITUDE === null)) {
+    issues.push('WEATHER_PROVIDER "open-meteo" needs WEATHER_LATITUDE and WEATHER_LONGITUDE');
+  }
+  if (config.WEATHER_PROVIDER === 'url' && !config.WEATHER_URL) {
+    issues.push('WEATHER_PROVIDER "url" needs WEATHER_URL');
+  }
+
+  if (config.LIP_SYNC_CLOSE_THRESHOLD > config.LIP_SYNC_OPEN_THRESHOLD) {
+    issues.push('LIP_SYNC_CLOSE_THRESHOLD must not be above LIP_SYNC_OPEN_THRESHOLD');
+  }
+
+  return issues;
+}
+
+// Settings in a file or profile must be known ones (catches typos)
+function checkKeys(settings, where, issues) {
+  for (const key of Object.keys(settings)) {
+    if (!(key in SCHEMA)) {
+      issues.push(`${where}: unknown setting "${key}"`);
+    }
+  }
+}
+
+// Build the effective configuration
+// options: { file, profile, env } - all optional
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const config = { ...DEFAULTS };
+  const issues = [];
+
+  // Config file
+  let file = options.file || env.BILLY_CONFIG || DEFAULT_FILES.find(candidate => fs.existsSync(candidate));
+  let settings = {};
+  if (file) {
+    file = path.resolve(file);
+    settings = readConfigFile(file);
+  }
+
+  const { profiles = {}, profile: fileProfile, ...base } = settings;
+  checkKeys(base, 'config file', issues);
+  Object.assign(config, base);
+
+  // Profile
+  const profile = options.profile || env.BILLY_PROFILE || fileProfile || null;
+  if (profile) {
+    if (!profiles[profile]) {
+      const known = Object.keys(profiles);
+      issues.push(`profile "${profile}" not found` +
+        (known.length ? ` (available: ${known.join(', ')})` : ' (the config file defines no profiles)'));
+    } else {
+      checkKeys(profiles[profile], `profile "${profile}"`, issues);
+      Object.assign(config, profiles[profile]);
+    }
+  }
+
+  // Environment overrides
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    const name = env[`BILLY_${key}`] !== undefined ? `BILLY_${key}` : ENV_ALIASES[key];
+    if (name && env[name] !== undefined) {
+      config[key] = coerceEnv(env[name], rule);
+    }
+  }
+
+  issues.push(...validateConfig(config));
+
+  const source = [file || 'defaults', profile && `profile "${profile}"`].filter(Boolean).join(', ');
+  if (issues.length > 0) {
+    throw new ConfigError(source, issues);
+  }
+
+  // Where the settings came from, for the startup log (not a setting itself)
+  Object.defineProperty(config, 'SOURCE', { value: source, enumerable: false });
+  return config;
+}
+
+// Command line options shared by the Billy Bass tools:
+//   --config <file> and --profile <name> (also --config=<file>)
+// Everything else is returned in order as "rest"
+function parseArgs(argv) {
+  const args = { rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(config|profile)(?:=(.*))?$/.exec(argv[i]);
+    if (match) {
+      args[match[1] === 'config' ? 'file' : 'profile'] = match[2] !== undefined ? match[2] : argv[++i];
+    } else {
+      args.rest.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  DEFAULTS,
+  SCHEMA,
+  ConfigError,
+  checkValue,
+  loadConfig,
+  validateConfig,
+  parseArgs
+};
@@ -0,0 +1,247 @@
+// control-server.js - Local HTTP API for triggering and puppeteering Billy
+// Lets home automation and scripts drive the fish without the button:
+//   GET  /status  -> { isProcessing, lastTranscript, lastReply, lastError, motors, watchdog }
+//   POST /interact                      same as pressing the button
+//   POST /say    { text, turn }         speak text directly (no speech-to-text or AI)
+//   POST /motor  { motor, speed, duration }  move one motor, e.g.
+//                                       { "motor": "tail", "speed": 60, "duration": 500 }
+//   POST /perform { routine }           perform routines/<routine>.json (see choreography.js)
+//   POST /stop                          cut off speech and stop all motors
+//
+// /interact, /say and /perform answer 202 straight away (an interaction takes seconds)
+// and 409 while Billy is busy. All bodies and replies are JSON.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { loadRoutine } = require('./choreography');
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MOTOR_DEFAULT_DURATION = 1000; // ms
+const MOTOR_MAX_DURATION = 10000; // ms - a lost client can't leave a motor stalled
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ControlServer {
+  constructor(billy, options = {}) {
+    this.billy = billy;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port === undefined ? 8080 : options.port;
+    this.token = options.token || null;
+    this.routinesDir = options.routinesDir || path.join(__dirname, 'routines');
+    this.server = null;
+    this.motorTimers = {}; // Pending automatic stops from /motor
+
+    this.routes = {
+      'GET /status': () => this.billy.getStatus(),
+      'POST /interact': () => this.interact(),
+      'POST /say': (body) => this.say(body),
+      'POST /motor': (body) => this.moveMotor(body),
+      'POST /perform': (body) => this.perform(body),
+      'POST /stop': () => this.stop()
+    };
+  }
+
+  // Start listening; resolves with the bound port (useful with port 0)
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`✓ Control API listening on http://${this.host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  async close() {
+    this.clearMotorTimers();
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    let status = 200;
+    let result;
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = this.routes[`${req.method} ${url.pathname}`];
+      if (!route) {
+        const known = Object.keys(this.routes).some(key => key.endsWith(` ${url.pathname}`));
+        throw new HttpError(known ? 405 : 404, known ? 'Method not allowed' : 'Not found');
+      }
+
+      this.authorize(req);
+      const body = req.method === 'POST' ? await readJson(req) : {};
+      result = await route(body);
+      if (result.accepted) {
+        status = 202; // Started, still running
+      }
+    } catch (error) {
+      status = error.status || 500;
+      result = { error: error.message };
+      if (status === 500) {
+        console.error('✗ Control API error:', error);
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result) + '\n');
+  }
+
+  authorize(req) {
+    if (!this.token) return;
+
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(this.token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new HttpError(401, 'Missing or wrong token');
+    }
+  }
+
+  checkIdle() {
+    if (this.billy.isProcessing) {
+      throw new HttpError(409, 'Billy is busy with an interaction');
+    }
+  }
+
+  // Let an accepted request run on after the 202 - a failure shows up in
+  // /status like one from the button, instead of taking the process down
+  runInBackground(what, work) {
+    work.catch((error) => {
+      console.error(`✗ ${what} failed: ${error.message}`);
+      this.billy.lastError = { message: error.message, time: new Date().toISOString() };
+    });
+  }
+
+  interact() {
+    this.checkIdle();
+    console.log('🌐 Interaction requested over the control API');
+    this.runInBackground('Interaction', this.billy.handleButtonPress('api'));
+    return { accepted: true };
+  }
+
+  say(body) {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw new HttpError(400, '"text" must be a non-empty string');
+    }
+    if (body.turn !== undefined && typeof body.turn !== 'boolean') {
+      throw new HttpError(400, '"turn" must be true or false');
+    }
+    this.checkIdle();
+
+    this.runInBackground('Say', this.billy.say(body.text.trim(), { turn: body.turn, trigger: 'api' }));
+    return { accepted: true };
+  }
+
+  // Routines are picked by name from the routines folder, never by path
+  perform(body) {
+    if (typeof body.routine !== 'string' || !/^[\w-]+$/.test(body.routine)) {
+      throw new HttpError(400, '"routine" must be a routine name (letters, digits, - and _)');
+    }
+    const file = path.join(this.routinesDir, `${body.routine}.json`);
+    if (!fs.existsSync(file)) {
+      throw new HttpError(404, `No routine named "${body.routine}"`);
+    }
+    this.checkIdle();
+
+    let routine;
+    try {
+      routine = loadRoutine(file);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    this.runInBackground(`Routine ${routine.name}`, this.billy.performRoutine(routine, { trigger: 'api' }));
+    return { accepted: true };
+  }
+
+  // Run one motor for a limited time, then let it coast
+  async moveMotor(body) {
+    const { motor, speed } = body;
+    const duration = body.duration === undefined ? MOTOR_DEFAULT_DURATION : body.duration;
+
+    if (!Object.prototype.hasOwnProperty.call(this.billy.motorController.motors, motor)) {
+      throw new HttpError(400, `"motor" must be one of: ${Object.keys(this.billy.motorController.motors).join(', ')}`);
+    }
+    if (speed !== 'brake' && !(Number.isFinite(speed) && speed >= -100 && speed <= 100)) {
+      throw new HttpError(400, '"speed" must be a number from -100 to 100, or "brake"');
+    }
+    if (!Number.isInteger(duration) || duration < 1 || duration > MOTOR_MAX_DURATION) {
+      throw new HttpError(400, `"duration" must be 1-${MOTOR_MAX_DURATION} ms`);
+    }
+    // Don't fight the animation of a running interaction (idle tail flicks give way)
+    this.checkIdle();
+    await this.billy.preemptIdle();
+
+    clearTimeout(this.motorTimers[motor]);
+    await this.billy.motorController.setMotor(motor, speed);
+    this.motorTimers[motor] = setTimeout(() => {
+      delete this.motorTimers[motor];
+      this.billy.motorController.stopMotor(motor);
+    }, duration);
+
+    return { motor, speed, duration };
+  }
+
+  async stop() {
+    this.clearMotorTimers();
+    await this.billy.stop();
+    return { stopped: true };
+  }
+
+  clearMotorTimers() {
+    for (const timer of Object.values(this.motorTimers)) {
+      clearTimeout(timer);
+    }
+    this.motorTimers = {};
+  }
+}
+
+// Helper: read and parse a JSON request body (an empty body is {})
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    let tooLarge = false;
+
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (tooLarge) return; // Drain the rest so the error reply still gets through
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        reject(new HttpError(413, 'Request body too large'));
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      if (!raw.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('expected a JSON object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  ControlServer
+};
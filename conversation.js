@@ -0,0 +1,105 @@
+// conversation.js - Multi-turn conversation memory for FishAI
+// Keeps recent user/assistant turns so follow-up questions make sense, forgets
+// them after a period of inactivity, trims the oldest turns to stay within a
+// token budget, and optionally saves to disk so a restart doesn't lose context.
+
+const fs = require('fs');
+
+class ConversationSession {
+  constructor(options = {}) {
+    this.idleTimeout = options.idleTimeout ?? 120000; // ms of silence before forgetting (0 = after every answer)
+    this.maxTokens = options.maxTokens ?? 1500; // History budget sent to the model (0 = just the last exchange)
+    this.file = options.file || null; // Where to persist, or null to keep in memory
+    this.turns = [];
+    this.lastActivity = 0;
+
+    this.load();
+  }
+
+  // Rough token estimate - about 4 characters per token for English
+  static estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  get expired() {
+    return this.turns.length > 0 && Date.now() - this.lastActivity >= this.idleTimeout;
+  }
+
+  // Prior turns in Anthropic message format, oldest first
+  getMessages() {
+    if (this.expired) {
+      this.reset('idle timeout');
+    }
+    return this.turns.map(turn => ({ role: turn.role, content: turn.content }));
+  }
+
+  // Record a completed exchange
+  addExchange(userText, assistantText) {
+    const time = Date.now();
+    this.turns.push({ role: 'user', content: userText, time });
+    this.turns.push({ role: 'assistant', content: assistantText, time });
+    this.lastActivity = time;
+
+    this.trim();
+    this.save();
+  }
+
+  // Drop the oldest exchanges until the history fits the token budget
+  trim() {
+    const total = () => this.turns.reduce(
+      (sum, turn) => sum + ConversationSession.estimateTokens(turn.content), 0
+    );
+
+    // Always remove a user/assistant pair so the history starts with a user turn
+    while (this.turns.length > 2 && total() > this.maxTokens) {
+      this.turns.splice(0, 2);
+    }
+  }
+
+  // Forget everything
+  reset(reason) {
+    if (this.turns.length > 0) {
+      console.log(`🧹 Conversation reset (${reason}, ${this.turns.length / 2} exchanges forgotten)`);
+    }
+    this.turns = [];
+    this.lastActivity = 0;
+    this.save();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.turns = Array.isArray(saved.turns) ? saved.turns : [];
+      this.lastActivity = saved.lastActivity || 0;
+
+      if (this.expired) {
+        this.turns = [];
+        this.lastActivity = 0;
+      } else if (this.turns.length > 0) {
+        console.log(`✓ Restored conversation (${this.turns.length / 2} exchanges)`);
+      }
+    } catch (error) {
+      console.error('⚠️  Could not load saved conversation:', error.message);
+      this.turns = [];
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+
+    try {
+      fs.writeFileSync(this.file, JSON.stringify({
+        lastActivity: this.lastActivity,
+        turns: this.turns
+      }, null, 2));
+    } catch (error) {
+      console.error('⚠️  Could not save conversation:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  ConversationSession
+};
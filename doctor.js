@@ -0,0 +1,560 @@
+// doctor.js - Non-interactive self-test of everything Billy depends on
+// Unlike test-components.js nothing here asks a question or waits for a
+// button: each check looks, decides and moves on, and the result is a JSON
+// report on stdout - so it can run on boot, over ssh or in CI:
+//
+//   node billy.js doctor [--pretty] [--offline] [--output <file>]
+//
+//   --pretty    a checklist instead of JSON
+//   --offline   skip the checks that need the internet (the API keys)
+//   --output    also write the JSON report to a file
+//
+// Every check ends up as { name, status, message, ...details } with status
+//   pass  - fine
+//   warn  - works, but worth a look
+//   fail  - Billy won't work properly like this
+//   skip  - not used by this config
+// and the exit code is 1 if any check failed. With GPIO_BACKEND 'simulated'
+// the GPIO checks run against the in-memory chip, so it works off the Pi.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ConfigError, loadConfig, parseArgs } = require('./config');
+const { createGpioBackend, detectGpiodVersion } = require('./gpio');
+const { MOTOR_NAMES } = require('./motor-drivers');
+const { requiredApiKeys } = require('./providers');
+
+const STATUSES = ['pass', 'warn', 'fail', 'skip'];
+
+function result(status, message, details = {}) {
+  return { status, message, ...details };
+}
+
+// Run a command to the end without throwing: { code, stdout, stderr, error }
+// where error says why it didn't run (or finish) at all
+function runCommand(command, args, { input, timeout = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const proc = spawn(command, args, { timeout });
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    proc.on('error', (error) => {
+      resolve({ code: null, stdout, stderr, error: error.code === 'ENOENT' ? `${command} not found` : error.message });
+    });
+    proc.on('close', (code, signal) => {
+      resolve({ code, stdout, stderr, error: signal ? `${command} did not finish in ${timeout} ms` : null });
+    });
+
+    // A command that fails early closes its stdin under us
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(input);
+  });
+}
+
+// Why a command failed, in one line
+function failure({ code, stderr, error }) {
+  return error || stderr.trim().split('\n').pop() || `exit code ${code}`;
+}
+
+// Full path of a program on the PATH (or given as a path), or null
+function findExecutable(name) {
+  const candidates = name.includes('/')
+    ? [name]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, name));
+  return candidates.find((file) => {
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+// ============================================================================
+// WHAT THE CONFIG USES
+// ============================================================================
+
+function uses(config, kind, name) {
+  return config[`${kind}_PROVIDER`] === name || config[`${kind}_FALLBACK_PROVIDER`] === name;
+}
+
+// GPIO lines this config drives or reads: Map pin -> what it's for
+function gpioLines(config) {
+  const lines = new Map();
+  const add = (pin, role) => {
+    if (pin === null) return;
+    lines.set(pin, lines.has(pin) ? `${lines.get(pin)}, ${role}` : role);
+  };
+
+  add(config.BUTTON_PIN, 'button');
+  add(config.BODY_LIMIT_PIN, 'body limit switch');
+  add(config.BODY_HOME_PIN, 'body home switch');
+  if (config.MOTOR_DRIVER === 'drv8833-gpio') {
+    for (const name of MOTOR_NAMES) {
+      const prefix = `MOTOR_${name.toUpperCase()}`;
+      add(config[`${prefix}_PIN1`], `${name} IN1`);
+      add(config[`${prefix}_PIN2`], `${name} IN2`);
+      // With hardware PWM the enable pins belong to the pwmchip
+      if (config.MOTOR_PWM_MODE !== 'hardware') add(config[`${prefix}_PWM`], `${name} enable`);
+    }
+  }
+  return lines;
+}
+
+// Lines of "gpioinfo" output (libgpiod 1.x or 2.x): Map line -> { name, used, consumer }
+//   1.x:  line  17:   "GPIO17"   "gpioset"   output  active-high [used]
+//   2.x:  line  17:   "GPIO17"   output consumer="gpioset"
+function parseGpioinfo(output) {
+  const lines = new Map();
+  for (const text of output.split('\n')) {
+    const match = /^\s*line\s+(\d+):\s+("[^"]*"|unnamed)\s*(.*)$/.exec(text);
+    if (!match) continue;
+
+    const rest = match[3];
+    const v2Consumer = /consumer=(?:"([^"]*)"|(\S+))/.exec(rest);
+    const v1Consumer = /^"([^"]*)"/.exec(rest);
+    const used = /\[used\]/.test(rest) || v2Consumer !== null;
+    let consumer = null;
+    if (v2Consumer) consumer = v2Consumer[1] || v2Consumer[2];
+    else if (used) consumer = v1Consumer ? v1Consumer[1] : 'kernel';
+    lines.set(parseInt(match[1]), { name: match[2].replace(/"/g, ''), used, consumer });
+  }
+  return lines;
+}
+
+// Sound devices in "arecord -l" / "aplay -l" output, as 'hw:3,0 (USB Audio Device)'
+function parseSoundDevices(output) {
+  const devices = [];
+  for (const text of output.split('\n')) {
+    const match = /^card (\d+): [^[]*\[([^\]]*)\], device (\d+):/.exec(text);
+    if (match) devices.push(`hw:${match[1]},${match[3]} (${match[2]})`);
+  }
+  return devices;
+}
+
+// Programs Billy runs: { name: [program, what for, needed by this config] }
+function programs(config) {
+  const list = {
+    mpg123: ['mpg123', 'playing MP3 speech', uses(config, 'TTS', 'openai')],
+    // Without it the animation guesses how long the speech lasts
+    ffprobe: ['ffprobe', 'timing the animation to the speech', false],
+    ffmpeg: ['ffmpeg', 'lip sync of MP3 speech and whisper.cpp input',
+      uses(config, 'STT', 'whisper-cpp') || (config.LIP_SYNC_ENABLED && uses(config, 'TTS', 'openai'))]
+  };
+  if (uses(config, 'STT', 'whisper-cpp')) list.whisper = [config.WHISPER_CPP_BINARY, 'local speech-to-text', true];
+  if (uses(config, 'TTS', 'piper')) list.piper = [config.PIPER_BINARY, 'local text-to-speech', true];
+  if (uses(config, 'TTS', 'espeak')) list.espeak = ['espeak-ng', 'local text-to-speech', true];
+  return list;
+}
+
+// ============================================================================
+// DOCTOR
+// ============================================================================
+
+class Doctor {
+  // options: offline - skip the internet checks
+  //          gpio - a GPIO backend to use instead of creating GPIO_BACKEND
+  //          run(command, args, { input, timeout }), fetch(url, init) - for tests
+  constructor(config, options = {}) {
+    this.config = config;
+    this.offline = options.offline || false;
+    this.gpio = options.gpio || null;
+    this.run = options.run || runCommand;
+    this.fetch = options.fetch || fetch;
+    this.timeout = config.DOCTOR_TIMEOUT;
+
+    // The backend createGpioBackend would pick
+    this.gpiodVersion = config.GPIO_BACKEND === 'simulated' ? null : detectGpiodVersion();
+    this.backend = config.GPIO_BACKEND !== 'auto'
+      ? config.GPIO_BACKEND
+      : this.gpiodVersion === 1 ? 'gpiod-cli' : 'gpiod';
+  }
+
+  async runAll() {
+    const checks = [
+      ['config', () => this.checkConfig()],
+      ['gpio-tools', () => this.checkGpioTools()],
+      ['gpio-lines', () => this.checkGpioLines()],
+      ['gpio-inputs', () => this.checkGpioInputs()],
+      ['audio-capture', () => this.checkCapture()],
+      ['audio-playback', () => this.checkPlayback()],
+      ['programs', () => this.checkPrograms()],
+      ['anthropic-api', () => this.checkAnthropic()],
+      ['openai-api', () => this.checkOpenAI()],
+      ['local-llm', () => this.checkLocalLlm()],
+      ['disk', () => this.checkDisk()]
+    ];
+
+    const results = [];
+    for (const [name, check] of checks) {
+      const start = Date.now();
+      let outcome;
+      try {
+        outcome = await check();
+      } catch (error) {
+        outcome = result('fail', error.message);
+      }
+      results.push({ name, ...outcome, durationMs: Date.now() - start });
+    }
+    return buildReport(results, { config: this.config.SOURCE || 'defaults', gpioBackend: this.backend });
+  }
+
+  checkConfig() {
+    return result('pass', `loaded from ${this.config.SOURCE || 'defaults'}`);
+  }
+
+  // libgpiod command-line tools the backend runs
+  checkGpioTools() {
+    if (this.backend === 'simulated') {
+      return result('skip', 'simulated GPIO backend');
+    }
+    if (this.gpiodVersion === null) {
+      return result('fail', 'libgpiod tools not found - install them with: sudo apt install gpiod');
+    }
+
+    const tools = this.gpiodVersion === 1 ? ['gpioset', 'gpioget', 'gpioinfo'] : ['gpioset', 'gpiomon', 'gpioget', 'gpioinfo'];
+    const found = Object.fromEntries(tools.map(tool => [tool, findExecutable(tool) !== null]));
+    const details = { version: this.gpiodVersion, backend: this.backend, tools: found };
+
+    const missing = tools.filter(tool => !found[tool]);
+    if (missing.length > 0) {
+      return result('fail', `missing ${missing.join(', ')}`, details);
+    }
+    if (this.backend === 'gpiod' && this.gpiodVersion === 1) {
+      return result('fail', 'GPIO_BACKEND "gpiod" needs libgpiod 2.x, this is 1.x - use "gpiod-cli" or "auto"', details);
+    }
+    if (this.backend === 'gpiod-cli' && this.gpiodVersion !== 1) {
+      return result('warn', `GPIO_BACKEND "gpiod-cli" is meant for libgpiod 1.x, this is ${this.gpiodVersion}.x - "auto" picks "gpiod"`, details);
+    }
+    return result('pass', `libgpiod ${this.gpiodVersion}.x (${tools.join(', ')})`, details);
+  }
+
+  // Every line Billy uses exists on the chip and nothing else holds it
+  async checkGpioLines() {
+    const lines = gpioLines(this.config);
+    const list = Object.fromEntries(lines);
+    if (this.backend === 'simulated') {
+      return result('pass', `${lines.size} lines on the simulated chip`, { lines: list });
+    }
+
+    const chip = this.config.GPIO_CHIP;
+    const output = await this.run('gpioinfo', this.gpiodVersion === 1 ? [chip] : ['-c', chip], { timeout: this.timeout });
+    if (output.code !== 0) {
+      return result('fail', `cannot read ${chip}: ${failure(output)}`, { lines: list });
+    }
+
+    const info = parseGpioinfo(output.stdout);
+    const problems = [];
+    let busy = false;
+    for (const [pin, role] of lines) {
+      const line = info.get(pin);
+      if (!line) {
+        problems.push(`GPIO ${pin} (${role}) is not on ${chip}`);
+      } else if (line.used) {
+        problems.push(`GPIO ${pin} (${role}) is in use by "${line.consumer}"`);
+        busy = true;
+      }
+    }
+
+    if (problems.length > 0) {
+      const hint = busy ? ' - is Billy already running?' : '';
+      return result('fail', `${problems.join('; ')}${hint}`, { chip, lines: list });
+    }
+    return result('pass', `${lines.size} lines free on ${chip} (${info.size} on the chip)`, { chip, lines: list });
+  }
+
+  // Sample the button and limit switches - at rest the button should be
+  // released, the body at home and the turn stop open
+  async checkGpioInputs() {
+    // [pin, name, level at rest, [level 0, level 1] in words (all active low), problem]
+    const inputs = [
+      [this.config.BUTTON_PIN, 'button', 1, ['pressed', 'released'], 'reads pressed - stuck, or missing its pull-up'],
+      [this.config.BODY_LIMIT_PIN, 'body limit switch', 1, ['closed', 'open'], 'reads closed while the body should be at rest'],
+      [this.config.BODY_HOME_PIN, 'body home switch', 0, ['closed', 'open'], 'reads open - the body is not at rest, or the switch is not connected']
+    ].filter(([pin]) => pin !== null);
+
+    const gpio = this.gpio || createGpioBackend(this.backend, { chip: this.config.GPIO_CHIP });
+    const readings = {};
+    const warnings = [];
+    try {
+      for (const [pin, name, atRest, words, problem] of inputs) {
+        const value = await gpio.read(pin);
+        readings[name] = words[value];
+        if (value !== atRest) warnings.push(`${name} (GPIO ${pin}) ${problem}`);
+      }
+    } finally {
+      if (!this.gpio) await gpio.close();
+    }
+
+    if (warnings.length > 0) {
+      return result('warn', warnings.join('; '), { readings });
+    }
+    return result('pass', Object.entries(readings).map(([name, state]) => `${name} ${state}`).join(', '), { readings });
+  }
+
+  // Open the microphone and record a tenth of a second
+  async checkCapture() {
+    const device = this.config.AUDIO_CAPTURE_DEVICE;
+    const list = await this.run('arecord', ['-l'], { timeout: this.timeout });
+    if (list.error) {
+      return result('fail', `${list.error} - install it with: sudo apt install alsa-utils`);
+    }
+    const devices = parseSoundDevices(list.stdout);
+
+    const rate = this.config.AUDIO_SAMPLE_RATE;
+    const channels = this.config.AUDIO_CHANNELS;
+    const capture = await this.run('arecord', [
+      '-D', device,
+      '-f', 'S16_LE',
+      '-r', String(rate),
+      '-c', String(channels),
+      '-t', 'raw',
+      '-s', String(Math.round(rate / 10)),
+      '-q'
+    ], { timeout: this.timeout });
+
+    if (capture.code !== 0) {
+      const hint = devices.length > 0 ? ` (capture devices: ${devices.join(', ')})` : ' (no capture devices found)';
+      return result('fail', `cannot record from ${device}: ${failure(capture)}${hint}`, { device, devices });
+    }
+    return result('pass', `${device} records at ${rate} Hz, ${channels} channels`, { device, devices });
+  }
+
+  // Play a moment of silence on the output
+  async checkPlayback() {
+    const device = this.config.AUDIO_PLAYBACK_DEVICE;
+    const list = await this.run('aplay', ['-l'], { timeout: this.timeout });
+    if (list.error) {
+      return result('fail', `${list.error} - install it with: sudo apt install alsa-utils`);
+    }
+    const devices = parseSoundDevices(list.stdout);
+
+    const silence = Buffer.alloc(44100 * 4 / 20); // 50ms of 16-bit stereo
+    const args = ['-t', 'raw', '-f', 'S16_LE', '-r', '44100', '-c', '2', '-q'];
+    if (device) args.unshift('-D', device);
+    const playback = await this.run('aplay', args, { input: silence, timeout: this.timeout });
+
+    const name = device || 'the default output';
+    if (playback.code !== 0) {
+      const hint = devices.length > 0 ? ` (playback devices: ${devices.join(', ')})` : ' (no playback devices found)';
+      return result('fail', `cannot play on ${name}: ${failure(playback)}${hint}`, { device, devices });
+    }
+    return result('pass', `plays on ${name}`, { device, devices });
+  }
+
+  checkPrograms() {
+    const found = {};
+    const missing = [];
+    const optional = [];
+    for (const [key, [program, purpose, needed]] of Object.entries(programs(this.config))) {
+      found[key] = findExecutable(program);
+      if (found[key]) continue;
+      (needed ? missing : optional).push(`${program} (${purpose})`);
+    }
+
+    if (missing.length > 0) {
+      return result('fail', `missing ${missing.join(', ')}`, { programs: found });
+    }
+    if (optional.length > 0) {
+      return result('warn', `missing ${optional.join(', ')}`, { programs: found });
+    }
+    return result('pass', `found ${Object.keys(found).join(', ')}`, { programs: found });
+  }
+
+  // GET an endpoint with a key; judges the key by the answer
+  async checkKey(key, url, headers) {
+    if (!requiredApiKeys(this.config).includes(key)) {
+      return result('skip', 'not used by this config');
+    }
+    if (!this.config[key]) {
+      return result('fail', `${key} is not set`);
+    }
+    if (this.offline) {
+      return result('skip', '--offline');
+    }
+
+    const response = await this.get(url, headers);
+    if (response.error) {
+      return result('fail', response.error, { url });
+    }
+    const status = response.status;
+    if (response.ok) {
+      return result('pass', `${key} accepted`, { url, httpStatus: status });
+    }
+    if (status === 401 || status === 403) {
+      return result('fail', `${key} rejected (HTTP ${status})`, { url, httpStatus: status });
+    }
+    // Rate limits and outages say nothing about the key
+    if (status === 429 || status >= 500) {
+      return result('warn', `${url} answered HTTP ${status} - the key could not be checked`, { url, httpStatus: status });
+    }
+    return result('fail', `${url} answered HTTP ${status}`, { url, httpStatus: status });
+  }
+
+  checkAnthropic() {
+    return this.checkKey('ANTHROPIC_API_KEY', this.config.DOCTOR_ANTHROPIC_URL, {
+      'x-api-key': this.config.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    });
+  }
+
+  checkOpenAI() {
+    return this.checkKey('OPENAI_API_KEY', this.config.DOCTOR_OPENAI_URL, {
+      Authorization: `Bearer ${this.config.OPENAI_API_KEY}`
+    });
+  }
+
+  // The local LLM server answers its model list
+  async checkLocalLlm() {
+    if (!uses(this.config, 'CHAT', 'openai-compatible')) {
+      return result('skip', 'not used by this config');
+    }
+    const url = `${this.config.LOCAL_LLM_URL.replace(/\/$/, '')}/models`;
+    const headers = this.config.LOCAL_LLM_API_KEY ? { Authorization: `Bearer ${this.config.LOCAL_LLM_API_KEY}` } : {};
+    const response = await this.get(url, headers);
+    if (response.error) {
+      return result('fail', response.error, { url });
+    }
+    if (!response.ok) {
+      return result('fail', `${url} answered HTTP ${response.status}`, { url, httpStatus: response.status });
+    }
+    return result('pass', `${url} is up`, { url, httpStatus: response.status });
+  }
+
+  // { ok, status } or { error } when there was no answer at all
+  async get(url, headers) {
+    try {
+      const response = await this.fetch(url, { headers, signal: AbortSignal.timeout(this.timeout) });
+      return { ok: response.ok, status: response.status };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `no answer in ${this.timeout} ms` : (error.cause || error).message;
+      return { error: `cannot reach ${url}: ${reason}` };
+    }
+  }
+
+  // Free space where Billy writes recordings, speech, the cache and history
+  checkDisk() {
+    const { AUDIO_TEMP_FILE, TTS_OUTPUT_FILE, TTS_CACHE_DIR, HISTORY_FILE, CONVERSATION_FILE } = this.config;
+    const dirs = [
+      path.dirname(AUDIO_TEMP_FILE),
+      path.dirname(TTS_OUTPUT_FILE),
+      TTS_CACHE_DIR,
+      HISTORY_FILE && path.dirname(HISTORY_FILE),
+      CONVERSATION_FILE && path.dirname(CONVERSATION_FILE)
+    ].filter(Boolean);
+
+    const free = {};
+    for (const dir of new Set(dirs)) {
+      // The cache directory may not exist yet - its parent's disk is the one
+      let existing = path.resolve(dir);
+      while (!fs.existsSync(existing)) existing = path.dirname(existing);
+      const stats = fs.statfsSync(existing);
+      free[dir] = Math.floor(stats.bavail * stats.bsize / 1024 / 1024);
+    }
+
+    const min = this.config.DOCTOR_MIN_FREE_MB;
+    const low = Object.keys(free).filter(dir => free[dir] < min);
+    const details = { freeMb: free, minFreeMb: min };
+    if (low.length > 0) {
+      return result('fail', `less than ${min} MB free in ${low.map(dir => `${dir} (${free[dir]} MB)`).join(', ')}`, details);
+    }
+    const lowest = Math.min(...Object.values(free));
+    return result('pass', `at least ${lowest} MB free`, details);
+  }
+}
+
+function buildReport(checks, fields = {}) {
+  const summary = Object.fromEntries(STATUSES.map(status => [status, checks.filter(check => check.status === status).length]));
+  return {
+    ok: summary.fail === 0,
+    time: new Date().toISOString(),
+    host: os.hostname(),
+    ...fields,
+    summary,
+    checks
+  };
+}
+
+// Load the settings and run every check; a config that doesn't load fails
+// the report on its own
+// args: { file, profile } as from parseArgs; options: see Doctor
+async function diagnose(args = {}, options = {}) {
+  let config;
+  try {
+    config = loadConfig(args);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    return buildReport([{ name: 'config', status: 'fail', message: error.message, issues: error.issues, durationMs: 0 }]);
+  }
+  return new Doctor(config, options).runAll();
+}
+
+const SYMBOLS = { pass: '✓', warn: '⚠️ ', fail: '✗', skip: '-' };
+
+function printChecklist(report) {
+  console.log(`🩺 Billy doctor - ${report.host}, config: ${report.config || 'invalid'}`);
+  const width = Math.max(...report.checks.map(check => check.name.length));
+  for (const check of report.checks) {
+    console.log(`  ${SYMBOLS[check.status]} ${check.name.padEnd(width)}  ${check.message}`);
+  }
+  const { pass, warn, fail, skip } = report.summary;
+  console.log(`${report.ok ? '✓' : '✗'} ${pass} passed, ${warn} warnings, ${fail} failed, ${skip} skipped`);
+}
+
+// billy doctor [--config <file>] [--profile <name>] [--pretty] [--offline] [--output <file>]
+async function main(argv) {
+  const usage = 'Usage: billy doctor [--config <file>] [--profile <name>] [--pretty] [--offline] [--output <file>]';
+  const args = parseArgs(argv);
+  const options = { pretty: false, offline: false, output: null };
+  for (let i = 0; i < args.rest.length; i++) {
+    const arg = args.rest[i];
+    if (arg === '--pretty' || arg === '--offline') {
+      options[arg.slice(2)] = true;
+    } else if (arg === '--output' && args.rest[i + 1]) {
+      options.output = args.rest[++i];
+    } else {
+      console.error(usage);
+      process.exit(1);
+    }
+  }
+
+  const report = await diagnose(args, { offline: options.offline });
+  const json = JSON.stringify(report, null, 2) + '\n';
+  if (options.output) {
+    fs.writeFileSync(options.output, json);
+  }
+  if (options.pretty) {
+    printChecklist(report);
+  } else {
+    process.stdout.write(json);
+  }
+  return report;
+}
+
+module.exports = {
+  Doctor,
+  diagnose,
+  gpioLines,
+  parseGpioinfo,
+  parseSoundDevices,
+  main
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((report) => {
+    process.exitCode = report.ok ? 0 : 1;
+  }).catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
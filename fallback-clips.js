@@ -0,0 +1,91 @@
+// fallback-clips.js - What Billy says when the cloud lets him down
+// When the chat provider fails, Billy speaks one of these lines instead of a
+// reply. When text-to-speech fails as well, he plays one of them from a clip
+// rendered ahead of time - so there's always something in character to hear.
+//
+// Render the clips while the TTS provider works (they use its voice, and the
+// persona's own lines when PERSONA is set):
+//   node fallback-clips.js render [--config <file>] [--profile <name>]
+// They go to FALLBACK_CLIPS_DIR as fallback-1.mp3, fallback-2.mp3, ...
+
+const fs = require('fs');
+const path = require('path');
+
+const FALLBACK_LINES = [
+  "Something's fishy here! Let's try that again.",
+  "Sorry, my line got tangled. Ask me again in a minute!",
+  "Looks like the internet swam off. Give me a moment to reel it back in!",
+  "My brain's gone a bit soggy. Try me again shortly!"
+];
+
+// lines: e.g. a persona's own (see personas.js)
+function randomLine(lines = FALLBACK_LINES) {
+  return lines[Math.floor(Math.random() * lines.length)];
+}
+
+// Rendered clips in the folder, or [] if there are none
+function listClips(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => /^fallback-\d+\.(mp3|wav)$/.test(file))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+// A random rendered clip, or null
+function pickClip(dir) {
+  const clips = listClips(dir);
+  return clips.length > 0 ? clips[Math.floor(Math.random() * clips.length)] : null;
+}
+
+// Render every line with the given TTS provider, replacing older clips
+async function renderClips(tts, dir, lines = FALLBACK_LINES) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const clip of listClips(dir)) {
+    fs.unlinkSync(clip);
+  }
+
+  const files = [];
+  for (const [i, line] of lines.entries()) {
+    const file = path.join(dir, `fallback-${i + 1}${tts.extension}`);
+    await tts.synthesize(line, file);
+    console.log(`✓ ${path.basename(file)}: "${line}"`);
+    files.push(file);
+  }
+  return files;
+}
+
+module.exports = {
+  FALLBACK_LINES,
+  randomLine,
+  listClips,
+  pickClip,
+  renderClips
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+if (require.main === module) {
+  (async () => {
+    // Loaded here rather than at the top - billy-bass.js uses this module too
+    const { CONFIG, configure, personas } = require('./billy-bass');
+    const { createTtsProvider } = require('./providers');
+
+    const [command] = configure(process.argv.slice(2));
+    if (command !== 'render') {
+      console.error('Usage: node fallback-clips.js render [--config <file>] [--profile <name>]');
+      process.exit(1);
+    }
+
+    const tts = createTtsProvider(CONFIG);
+    const lines = personas.fallbackLines;
+    console.log(`🗣️  Rendering ${lines.length} fallback lines with ${tts.name}...`);
+    await renderClips(tts, CONFIG.FALLBACK_CLIPS_DIR, lines);
+    console.log(`✓ Saved to ${CONFIG.FALLBACK_CLIPS_DIR}`);
+  })().catch((error) => {
+    console.error(`✗ Could not render the clips: ${error.message}`);
+    process.exit(1);
+  });
+}
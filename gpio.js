@@ -0,0 +1,483 @@
+// gpio.js - GPIO backends for Billy Bass
+// Every backend exposes the same small interface:
+//   write(pin, value)        -> Promise, drive an output line HIGH (1) or LOW (0)
+//   read(pin)                -> Promise<0|1>, sample an input line
+//   watch(pin, onChange)     -> unwatch(), call onChange(value, time) on every edge
+//   close()                  -> Promise, release lines and stop watchers
+// and optionally:
+//   requestOutputs(pins)     -> Promise, claim output lines up front
+//   measureLatency(pin)      -> Promise<{ avg, max }>, round-trip time in ms
+
+const { EventEmitter } = require('events');
+const { spawn, spawnSync } = require('child_process');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Time a handful of async operations, in milliseconds
+async function timeSamples(samples, fn) {
+  const times = [];
+  for (let i = 0; i < samples; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return {
+    avg: times.reduce((sum, t) => sum + t, 0) / times.length,
+    max: Math.max(...times)
+  };
+}
+
+// ============================================================================
+// GPIOD SESSION BACKEND (long-lived libgpiod 2.x processes)
+// ============================================================================
+
+// Output lines are held by a single "gpioset --interactive" child that takes
+// "set" commands on stdin; inputs are watched by one "gpiomon" child per pin.
+// No process is forked per write, so a pin change costs a pipe write.
+class GpiodSessionBackend {
+  constructor(options = {}) {
+    this.chip = options.chip || 'gpiochip0';
+    this.bias = options.bias || 'pull-up';
+    this.setter = null;
+    this.outputs = new Map(); // pin -> last written value
+    this.pending = []; // resolvers waiting for "get" output
+    this.starting = null;
+    this.monitors = new Map(); // pin -> { proc, value, listeners }
+  }
+
+  // Claim output lines. gpioset can only drive lines requested at startup,
+  // so a new pin means restarting the session with the current values
+  async requestOutputs(pins) {
+    if (this.starting) await this.starting;
+
+    const missing = pins.filter(pin => !this.outputs.has(pin));
+    if (this.setter && missing.length === 0) return;
+
+    for (const pin of missing) {
+      this.outputs.set(pin, 0);
+    }
+
+    this.starting = this.startSetter();
+    try {
+      await this.starting;
+    } finally {
+      this.starting = null;
+    }
+  }
+
+  async startSetter() {
+    this.stopSetter();
+
+    const assignments = [...this.outputs].map(([pin, value]) => `${pin}=${value}`);
+    const setter = spawn('gpioset', ['--interactive', '--chip', this.chip, ...assignments]);
+    this.setter = setter;
+
+    let buffer = '';
+    setter.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const resolver = this.pending.shift();
+        if (resolver) resolver.resolve(line);
+      }
+    });
+
+    let errorOutput = '';
+    setter.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    const fail = (error) => {
+      if (this.setter !== setter) return;
+      this.setter = null;
+      for (const resolver of this.pending.splice(0)) {
+        resolver.reject(error);
+      }
+    };
+
+    setter.on('exit', (code) => {
+      fail(new Error(`gpioset session exited with code ${code}: ${errorOutput.trim()}`));
+    });
+    setter.on('error', fail);
+    setter.stdin.on('error', fail);
+
+    await new Promise((resolve, reject) => {
+      setter.once('spawn', resolve);
+      setter.once('error', reject);
+    });
+
+    // Wait until the lines are actually requested
+    await this.command(`get ${[...this.outputs.keys()][0]}`);
+  }
+
+  stopSetter() {
+    if (this.setter) {
+      const setter = this.setter;
+      this.setter = null;
+      setter.stdin.end('exit\n');
+      setter.kill();
+    }
+  }
+
+  // Send an interactive command and wait for its single line of output
+  command(text) {
+    return new Promise((resolve, reject) => {
+      if (!this.setter) {
+        reject(new Error('gpioset session not running'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.setter.stdin.write(text + '\n');
+    });
+  }
+
+  async write(pin, value) {
+    if (!this.setter || !this.outputs.has(pin)) {
+      await this.requestOutputs([pin]);
+    }
+    this.outputs.set(pin, value);
+
+    return new Promise((resolve, reject) => {
+      this.setter.stdin.write(`set ${pin}=${value}\n`, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  async read(pin) {
+    // Watched inputs are tracked from their edge events
+    const monitor = this.monitors.get(pin);
+    if (monitor && monitor.value !== null) {
+      return monitor.value;
+    }
+
+    // Lines we drive are answered by the session itself
+    if (this.setter && this.outputs.has(pin)) {
+      const line = await this.command(`get ${pin}`);
+      return /=(active|1)\b/.test(line) ? 1 : 0;
+    }
+
+    return this.readOnce(pin);
+  }
+
+  // One-shot read of a line nobody holds
+  readOnce(pin) {
+    return new Promise((resolve, reject) => {
+      const gpio = spawn('gpioget', ['--numeric', '--bias', this.bias, '--chip', this.chip, String(pin)]);
+      let output = '';
+
+      gpio.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      gpio.on('close', (code) => {
+        if (code === 0) {
+          resolve(parseInt(output.trim()));
+        } else {
+          reject(new Error(`gpioget failed with code ${code}`));
+        }
+      });
+
+      gpio.on('error', reject);
+    });
+  }
+
+  // Edges come from a gpiomon child; every watcher of a pin shares it
+  watch(pin, onChange) {
+    let monitor = this.monitors.get(pin);
+
+    if (!monitor) {
+      monitor = { proc: null, value: null, listeners: new Set() };
+      this.monitors.set(pin, monitor);
+      this.startMonitor(pin, monitor);
+    }
+
+    monitor.listeners.add(onChange);
+    return () => {
+      monitor.listeners.delete(onChange);
+      if (monitor.listeners.size === 0) {
+        if (monitor.proc) monitor.proc.kill();
+        this.monitors.delete(pin);
+      }
+    };
+  }
+
+  async startMonitor(pin, monitor) {
+    // Seed the current level before gpiomon takes the line
+    try {
+      monitor.value = await this.readOnce(pin);
+    } catch (error) {
+      monitor.value = null;
+    }
+
+    if (!this.monitors.has(pin)) return;
+
+    // %e is the event type: 1 = rising, 2 = falling
+    const proc = spawn('gpiomon', [
+      '--chip', this.chip,
+      '--bias', this.bias,
+      '--edges', 'both',
+      '--format', '%e',
+      String(pin)
+    ]);
+    monitor.proc = proc;
+
+    let buffer = '';
+    proc.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const value = line.trim() === '1' ? 1 : 0;
+        if (value === monitor.value) continue;
+        monitor.value = value;
+        for (const listener of monitor.listeners) {
+          listener(value, Date.now());
+        }
+      }
+    });
+
+    proc.on('error', (error) => {
+      console.error(`✗ gpiomon error on GPIO ${pin}:`, error.message);
+    });
+  }
+
+  // Round-trip time of a command through the session
+  async measureLatency(pin, samples = 10) {
+    await this.requestOutputs([pin]);
+    return timeSamples(samples, () => this.command(`get ${pin}`));
+  }
+
+  async close() {
+    for (const monitor of this.monitors.values()) {
+      if (monitor.proc) monitor.proc.kill();
+    }
+    this.monitors.clear();
+    this.stopSetter();
+  }
+}
+
+// ============================================================================
+// GPIOD CLI BACKEND (one libgpiod 1.x process per operation)
+// ============================================================================
+
+// Fallback for libgpiod 1.x, whose gpioset has no interactive mode
+class GpiodCliBackend {
+  constructor(options = {}) {
+    this.chip = options.chip || 'gpiochip0';
+    this.pollInterval = options.pollInterval || 100;
+    this.watchers = new Set();
+  }
+
+  // Set a pin value with gpioset
+  async write(pin, value) {
+    return new Promise((resolve, reject) => {
+      const cmd = spawn('gpioset', [this.chip, `${pin}=${value}`]);
+      cmd.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`gpioset failed with code ${code}`));
+      });
+      cmd.on('error', reject);
+    });
+  }
+
+  // Read a pin value with gpioget
+  async read(pin) {
+    return new Promise((resolve, reject) => {
+      const gpio = spawn('gpioget', [this.chip, String(pin)]);
+      let output = '';
+
+      gpio.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      gpio.on('close', (code) => {
+        if (code === 0) {
+          resolve(parseInt(output.trim()));
+        } else {
+          reject(new Error(`gpioget failed with code ${code}`));
+        }
+      });
+
+      gpio.on('error', reject);
+    });
+  }
+
+  // Time a write of the pin's current value (call while it is LOW)
+  async measureLatency(pin, samples = 5) {
+    return timeSamples(samples, () => this.write(pin, 0));
+  }
+
+  // The CLI tools can't block on edges, so poll the pin and report changes
+  watch(pin, onChange) {
+    let lastValue = null;
+    let reading = false;
+
+    const timer = setInterval(async () => {
+      if (reading) return;
+      reading = true;
+      try {
+        const value = await this.read(pin);
+        if (lastValue !== null && value !== lastValue) {
+          onChange(value, Date.now());
+        }
+        lastValue = value;
+      } catch (error) {
+        // Ignore read errors during polling
+      } finally {
+        reading = false;
+      }
+    }, this.pollInterval);
+
+    this.watchers.add(timer);
+    return () => {
+      clearInterval(timer);
+      this.watchers.delete(timer);
+    };
+  }
+
+  async close() {
+    for (const timer of this.watchers) {
+      clearInterval(timer);
+    }
+    this.watchers.clear();
+  }
+}
+
+// ============================================================================
+// SIMULATED BACKEND (in-memory chip for development and tests)
+// ============================================================================
+
+// History is capped: software PWM writes on every tick, so a long run would
+// otherwise grow without limit. At least the last maxWrites writes (and
+// edges) are kept.
+class SimulatedGpio extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.chip = options.chip || 'simchip0';
+    this.verbose = options.verbose || false;
+    this.maxWrites = options.maxWrites || 10000;
+    this.startTime = Date.now();
+    this.values = new Map();
+    this.writes = [];
+    this.edges = [];
+
+    // Inputs idle HIGH, like the button with its pull-up
+    this.inputDefault = options.inputDefault !== undefined ? options.inputDefault : 1;
+  }
+
+  async write(pin, value) {
+    const entry = { pin, value, time: Date.now() };
+    this.record(this.writes, entry);
+    this.values.set(pin, value);
+
+    if (this.verbose) {
+      console.log(`[sim-gpio] +${entry.time - this.startTime}ms GPIO ${pin} = ${value}`);
+    }
+    this.emit('write', entry);
+  }
+
+  async read(pin) {
+    return this.values.has(pin) ? this.values.get(pin) : this.inputDefault;
+  }
+
+  async measureLatency(pin, samples = 10) {
+    return timeSamples(samples, () => this.read(pin));
+  }
+
+  watch(pin, onChange) {
+    const listener = (edge) => {
+      if (edge.pin === pin) onChange(edge.value, edge.time);
+    };
+    this.on('edge', listener);
+    return () => this.off('edge', listener);
+  }
+
+  // Drive an input line from the outside world (button, limit switch...)
+  setInput(pin, value) {
+    const previous = this.values.has(pin) ? this.values.get(pin) : this.inputDefault;
+    this.values.set(pin, value);
+
+    if (previous !== value) {
+      const edge = { pin, value, time: Date.now() };
+      this.record(this.edges, edge);
+      this.emit('edge', edge);
+    }
+  }
+
+  // Simulate an active-low button press: pull LOW, hold, release HIGH
+  async press(pin, holdMs = 200) {
+    this.setInput(pin, 0);
+    await sleep(holdMs);
+    this.setInput(pin, 1);
+  }
+
+  // Add to a history, dropping the oldest half once it's twice the cap
+  // (cheaper than trimming one entry per write)
+  record(list, entry) {
+    list.push(entry);
+    if (list.length >= 2 * this.maxWrites) {
+      list.splice(0, list.length - this.maxWrites);
+    }
+  }
+
+  // All recorded writes to one pin, in order
+  writesFor(pin) {
+    return this.writes.filter(entry => entry.pin === pin);
+  }
+
+  // Forget recorded history (current pin values are kept)
+  reset() {
+    this.writes = [];
+    this.edges = [];
+    this.startTime = Date.now();
+  }
+
+  async close() {
+    this.removeAllListeners('edge');
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+// Major version of the installed libgpiod tools, or null if they're missing
+function detectGpiodVersion() {
+  const result = spawnSync('gpioset', ['--version'], { encoding: 'utf8' });
+  const match = /v(\d+)\./.exec(result.stdout || '');
+  return match ? parseInt(match[1]) : null;
+}
+
+const BACKENDS = {
+  gpiod: GpiodSessionBackend,
+  'gpiod-cli': GpiodCliBackend,
+  simulated: SimulatedGpio
+};
+
+// 'auto' picks the session backend on libgpiod 2.x and the CLI backend on 1.x
+function createGpioBackend(type = 'auto', options = {}) {
+  if (type === 'auto') {
+    type = detectGpiodVersion() === 1 ? 'gpiod-cli' : 'gpiod';
+  }
+
+  const Backend = BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown GPIO backend "${type}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Backend(options);
+}
+
+module.exports = {
+  timeSamples,
+  GpiodSessionBackend,
+  GpiodCliBackend,
+  SimulatedGpio,
+  createGpioBackend,
+  detectGpiodVersion
+};
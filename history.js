@@ -0,0 +1,374 @@
+// history.js - Interaction history: one JSON line per interaction
+// BillyBass appends a record for every interaction it runs:
+//   {
+//     "id": "…", "startedAt": "2026-10-18T17:04:12.345Z",
+//     "kind": "conversation", "trigger": "button", "routine": null,
+//     "transcript": "what's the weather like", "reply": "…",
+//     "stages": { "turn": 812, "record": 2310, "transcribe": 640, "llm": 1420,
+//                 "tts": 890, "playback": 3120, "idle": 1015 },
+//     "responseMs": 1310, "totalMs": 9870,
+//     "errors": [], "stopped": false,
+//     "motors": { "body": { "commands": 41, "driveMs": 2400, "brakeMs": 5200 }, … }
+//   }
+// Stage times are ms spent in each step. With AI_STREAMING the LLM, TTS and
+// playback stages overlap, so responseMs (end of the question to Billy's first
+// sound) is the one to watch for perceived slowness.
+//
+// Query it from the command line:
+//   node history.js list   [filters]          what people asked and Billy said
+//   node history.js stats  [filters]          latency per stage (avg/p50/p95/max)
+//   node history.js export [filters] [--format jsonl|json|csv] [--output <file>]
+// Filters:
+//   --day <today|yesterday|YYYY-MM-DD>   --since <when>   --until <when>
+//   --search <text>   --errors   --limit <n>   --file <history.jsonl>
+// <when> is an ISO date/time, today, yesterday, or an age like 30m, 2h, 7d
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const STAGES = ['turn', 'record', 'transcribe', 'llm', 'tts', 'playback', 'idle'];
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+// Collects what happens during one interaction
+class InteractionRecord {
+  // motors: MotorController.activitySnapshot() at the start
+  constructor({ kind, trigger = null, motors = {} } = {}) {
+    this.id = crypto.randomUUID();
+    this.kind = kind;
+    this.trigger = trigger;
+    this.start = Date.now();
+    this.startedAt = new Date(this.start).toISOString();
+    this.routine = null; // Name of the routine performed, if any
+    this.transcript = null;
+    this.reply = null;
+    this.stages = {};
+    this.marks = {}; // ms from the start when something first happened
+    this.motorsAtStart = motors;
+  }
+
+  // Time a step (a promise), adding it to the stage's total
+  async time(stage, work) {
+    const started = Date.now();
+    try {
+      return await work;
+    } finally {
+      this.stages[stage] = (this.stages[stage] || 0) + Date.now() - started;
+    }
+  }
+
+  // Note the first time something happens (later calls are ignored)
+  mark(name) {
+    if (!(name in this.marks)) {
+      this.marks[name] = Date.now() - this.start;
+    }
+  }
+
+  // The finished record, as stored in the history
+  // errors: { message, time } seen during the interaction; motors: snapshot at the end
+  // interrupted: 'button' or 'voice' when Billy was cut off mid-reply
+  finish({ errors = [], stopped = false, interrupted = null, motors = {} } = {}) {
+    const { listened, firstSound } = this.marks;
+    return {
+      id: this.id,
+      startedAt: this.startedAt,
+      kind: this.kind,
+      trigger: this.trigger,
+      routine: this.routine,
+      transcript: this.transcript,
+      reply: this.reply,
+      stages: this.stages,
+      responseMs: listened !== undefined && firstSound !== undefined ? firstSound - listened : null,
+      totalMs: Date.now() - this.start,
+      errors: errors.map(error => error.message),
+      stopped,
+      interrupted,
+      motors: motorDelta(this.motorsAtStart, motors)
+    };
+  }
+}
+
+// Motor activity between two snapshots, leaving out motors that did nothing
+function motorDelta(before, after) {
+  const delta = {};
+  for (const [motor, totals] of Object.entries(after)) {
+    const start = before[motor] || {};
+    const change = {};
+    for (const [key, value] of Object.entries(totals)) {
+      change[key] = value - (start[key] || 0);
+    }
+    if (change.commands > 0) {
+      delta[motor] = change;
+    }
+  }
+  return delta;
+}
+
+// One line summing up a finished record, e.g. for the console
+function summarize(record) {
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const stages = STAGES
+    .filter(stage => record.stages[stage] !== undefined)
+    .map(stage => `${stage} ${seconds(record.stages[stage])}`);
+  let summary = `📊 ${record.kind} took ${seconds(record.totalMs)}`;
+  if (stages.length > 0) summary += ` (${stages.join(', ')})`;
+  if (record.responseMs !== null) summary += ` - answered ${seconds(record.responseMs)} after the question`;
+  if (record.interrupted) summary += ` - interrupted by ${record.interrupted}`;
+  return summary;
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+class HistoryStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  append(record) {
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('⚠️  Could not save interaction history:', error.message);
+    }
+  }
+
+  // Every record, oldest first (a damaged line is skipped, not fatal)
+  readAll() {
+    if (!fs.existsSync(this.file)) return [];
+
+    const records = [];
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Most likely a line cut short by a power cut
+      }
+    }
+    return records;
+  }
+
+  // Records matching all the given filters, oldest first
+  // since/until: Date; search: text in the transcript or reply;
+  // errors: only records with errors; limit: only the newest n
+  query({ since = null, until = null, search = null, errors = false, limit = null } = {}) {
+    const needle = search ? search.toLowerCase() : null;
+    const records = this.readAll().filter((record) => {
+      const time = new Date(record.startedAt);
+      if (since && time < since) return false;
+      if (until && time >= until) return false;
+      if (errors && record.errors.length === 0) return false;
+      if (needle && ![record.transcript, record.reply].some(text => text && text.toLowerCase().includes(needle))) {
+        return false;
+      }
+      return true;
+    });
+    return limit ? records.slice(-limit) : records;
+  }
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+// Value at the given percentile (0-100) of a sorted list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+// Latency statistics over a list of records
+function computeStats(records) {
+  const describe = (values) => {
+    const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    return {
+      count: sorted.length,
+      avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      max: sorted[sorted.length - 1]
+    };
+  };
+
+  const stages = {};
+  for (const stage of STAGES) {
+    const stats = describe(records.map(record => record.stages[stage]));
+    if (stats) stages[stage] = stats;
+  }
+
+  return {
+    interactions: records.length,
+    withErrors: records.filter(record => record.errors.length > 0).length,
+    stopped: records.filter(record => record.stopped).length,
+    response: describe(records.map(record => record.responseMs)),
+    total: describe(records.map(record => record.totalMs)),
+    stages
+  };
+}
+
+const CSV_COLUMNS = ['startedAt', 'kind', 'trigger', 'routine', 'transcript', 'reply', 'responseMs', 'totalMs',
+  ...STAGES, 'errors', 'stopped', 'interrupted'];
+
+function toCsv(records) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = records.map(record => CSV_COLUMNS.map((column) => {
+    if (STAGES.includes(column)) return escape(record.stages[column]);
+    if (column === 'errors') return escape(record.errors.join('; '));
+    return escape(record[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  STAGES,
+  InteractionRecord,
+  HistoryStore,
+  summarize,
+  computeStats,
+  toCsv,
+  parseWhen
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// Turn "yesterday", "2h", "2026-10-18" or an ISO time into a Date
+function parseWhen(value) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (value === 'today') return today;
+  if (value === 'yesterday') return new Date(today.getTime() - 24 * 60 * 60 * 1000);
+
+  const age = /^(\d+)([mhd])$/.exec(value);
+  if (age) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[age[2]];
+    return new Date(Date.now() - Number(age[1]) * unit);
+  }
+
+  // A bare date means local midnight, not UTC
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+  if (isNaN(date)) {
+    throw new Error(`Don't know when "${value}" is - use an ISO date, today, yesterday or e.g. 2h`);
+  }
+  return date;
+}
+
+function parseOptions(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(day|since|until|search|errors|limit|format|output|file)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      options.positional.push(argv[i]);
+    } else if (match[1] === 'errors') {
+      options.errors = true;
+    } else {
+      options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+  }
+
+  if (options.day) {
+    options.since = parseWhen(options.day);
+    options.until = new Date(options.since.getTime() + 24 * 60 * 60 * 1000);
+  } else {
+    if (options.since) options.since = parseWhen(options.since);
+    if (options.until) options.until = parseWhen(options.until);
+  }
+  if (options.limit !== undefined) {
+    options.limit = Number(options.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      throw new Error('--limit must be a whole number above 0');
+    }
+  }
+  if (options.format && !['jsonl', 'json', 'csv'].includes(options.format)) {
+    throw new Error('--format must be jsonl, json or csv');
+  }
+  return options;
+}
+
+function list(records) {
+  if (records.length === 0) {
+    console.log('No interactions found');
+    return;
+  }
+  for (const record of records) {
+    const when = new Date(record.startedAt).toLocaleString();
+    const trigger = record.trigger ? ` via ${record.trigger}` : '';
+    console.log(`${when}  ${record.kind}${trigger}  ${(record.totalMs / 1000).toFixed(1)}s` +
+      (record.stopped ? '  (stopped)' : '') + (record.interrupted ? `  (interrupted by ${record.interrupted})` : ''));
+    if (record.transcript) console.log(`  🗣️  ${record.transcript}`);
+    if (record.reply) console.log(`  🐟 ${record.reply}`);
+    for (const error of record.errors) console.log(`  ✗ ${error}`);
+  }
+}
+
+function stats(records) {
+  const result = computeStats(records);
+  console.log(`${result.interactions} interactions, ${result.withErrors} with errors, ${result.stopped} stopped\n`);
+  if (result.interactions === 0) return;
+
+  const row = (name, stat) => console.log(
+    `  ${name.padEnd(11)}${String(stat.avg).padStart(8)}${String(stat.p50).padStart(8)}` +
+    `${String(stat.p95).padStart(8)}${String(stat.max).padStart(8)}${String(stat.count).padStart(7)}`
+  );
+  console.log(`  ${'ms'.padEnd(11)}${'avg'.padStart(8)}${'p50'.padStart(8)}${'p95'.padStart(8)}${'max'.padStart(8)}${'n'.padStart(7)}`);
+  for (const [stage, stat] of Object.entries(result.stages)) row(stage, stat);
+  if (result.response) row('response', result.response);
+  row('total', result.total);
+}
+
+function exportRecords(records, options) {
+  const format = options.format || 'jsonl';
+  const output = format === 'csv' ? toCsv(records)
+    : format === 'json' ? JSON.stringify(records, null, 2) + '\n'
+      : records.map(record => JSON.stringify(record) + '\n').join('');
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.log(`✓ Exported ${records.length} interactions to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  const usage = 'Usage: node history.js <list|stats|export> [--day <day>] [--since <when>] [--until <when>]\n' +
+    '         [--search <text>] [--errors] [--limit <n>] [--format jsonl|json|csv] [--output <file>] [--file <history.jsonl>]';
+
+  try {
+    const { CONFIG, configure } = require('./billy-bass');
+    const options = parseOptions(configure(process.argv.slice(2), { quiet: true }));
+    const file = options.file || CONFIG.HISTORY_FILE;
+    if (!file) {
+      throw new Error('History is turned off (HISTORY_FILE is null) - give --file to read one');
+    }
+
+    const records = new HistoryStore(file).query(options);
+    const [command] = options.positional;
+    if (command === 'list') {
+      list(records);
+    } else if (command === 'stats') {
+      stats(records);
+    } else if (command === 'export') {
+      exportRecords(records, options);
+    } else {
+      console.error(usage);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
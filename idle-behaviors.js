@@ -0,0 +1,205 @@
+// idle-behaviors.js - Little signs of life between interactions
+// Every so often (a random time between minInterval and maxInterval) Billy
+// does one of:
+//   - a tail flick
+//   - a one-liner from the phrase pool (phrases.txt - pre-warm it with
+//     node tts-cache.js prewarm so it costs nothing and works offline)
+//   - after boredAfter ms with nobody talking to him, a "bored" routine
+//     (once per quiet stretch)
+// Nothing happens during quiet hours. A real interaction always wins: it
+// cancels the behavior in progress (BillyBass.preemptIdle) before it starts.
+
+const fs = require('fs');
+const { RoutinePlayer, loadRoutine } = require('./choreography');
+const { readPhrases } = require('./tts-cache');
+
+// "22:00-07:00" -> { start, end } in minutes after midnight
+function parseQuietHours(range) {
+  if (!range) return null;
+  const [start, end] = range.split('-').map((time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  });
+  return { start, end };
+}
+
+// Whether the time falls in the range (which may wrap past midnight)
+function inQuietHours(quiet, date = new Date()) {
+  if (!quiet) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return quiet.start <= quiet.end
+    ? now >= quiet.start && now < quiet.end
+    : now >= quiet.start || now < quiet.end;
+}
+
+class IdleBehaviors {
+  // billy: the BillyBass instance (its motors, audio and animation)
+  // options: { minInterval, maxInterval, speakChance, phrasesFile,
+  //            boredAfter, boredRoutine (file), quietHours ("HH:MM-HH:MM"),
+  //            tailSpeed, latency }
+  constructor(billy, options = {}) {
+    this.billy = billy;
+    this.minInterval = options.minInterval || 120000;
+    this.maxInterval = Math.max(this.minInterval, options.maxInterval || 600000);
+    this.speakChance = options.speakChance === undefined ? 0.3 : options.speakChance;
+    this.phrasesFile = options.phrasesFile || null;
+    this.boredAfter = options.boredAfter || 0; // 0 = never bored
+    this.boredRoutine = options.boredRoutine || null;
+    this.quietHours = parseQuietHours(options.quietHours);
+    this.tailSpeed = options.tailSpeed || 50;
+    this.latency = options.latency || 0;
+
+    this.timer = null;
+    this.current = null; // Promise of the behavior in progress
+    this.player = null;
+    this.cancelled = false;
+    this.whenCancelled = null; // Resolves when cancel() is called
+    this.onCancel = null;
+    this.running = false;
+    this.lastActivity = Date.now();
+    this.bored = false; // Bored routine done since the last interaction
+  }
+
+  get busy() {
+    return this.current !== null;
+  }
+
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.cancel();
+  }
+
+  // Someone interacted with Billy - start the clocks over
+  noteActivity() {
+    this.lastActivity = Date.now();
+    this.bored = false;
+    if (this.running) this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const delay = this.minInterval + Math.random() * (this.maxInterval - this.minInterval);
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  async tick() {
+    if (!this.billy.isProcessing && !this.busy && !inQuietHours(this.quietHours)) {
+      const behavior = this.pick();
+      this.cancelled = false;
+      this.whenCancelled = new Promise((resolve) => {
+        this.onCancel = resolve;
+      });
+      this.current = this[behavior]().catch((error) => {
+        // Being cut off by an interaction isn't a failure
+        if (!this.cancelled) {
+          console.error(`⚠️  Idle ${behavior} failed:`, error.message);
+        }
+      });
+      try {
+        await this.current;
+      } finally {
+        this.current = null;
+      }
+    }
+    if (this.running) this.schedule();
+  }
+
+  // Which behavior comes next
+  pick() {
+    if (this.boredRoutine && this.boredAfter && !this.bored && Date.now() - this.lastActivity >= this.boredAfter) {
+      return 'actBored';
+    }
+    if (this.phrasesFile && Math.random() < this.speakChance) {
+      return 'oneLiner';
+    }
+    return 'flickTail';
+  }
+
+  // Cut the behavior in progress short; resolves once it has stopped
+  async cancel() {
+    if (!this.current) return;
+    this.cancelled = true;
+    this.onCancel();
+    if (this.player) {
+      this.player.stop();
+    }
+    await this.current;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async flickTail() {
+    console.log('🐟 (idle) Tail flick');
+    const motors = this.billy.motorController;
+    const flicks = 1 + Math.floor(Math.random() * 3);
+    try {
+      for (let i = 0; i < flicks && !this.cancelled; i++) {
+        await motors.setMotor('tail', (i % 2 === 0 ? 1 : -1) * this.tailSpeed);
+        await this.sleep(150);
+      }
+    } finally {
+      await motors.stopMotor('tail');
+    }
+  }
+
+  async oneLiner() {
+    const phrases = fs.existsSync(this.phrasesFile) ? readPhrases(this.phrasesFile) : [];
+    if (phrases.length === 0) {
+      return this.flickTail();
+    }
+    const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+    console.log(`💭 (idle) "${phrase}"`);
+
+    await this.withMicReleased(async () => {
+      // Don't hold up an interaction for a slow TTS call - drop the line instead
+      const speech = this.billy.audioManager.textToSpeech(phrase);
+      speech.catch(() => {});
+      const file = await Promise.race([speech, this.whenCancelled]);
+      if (this.cancelled) return;
+      await this.billy.speakWithAnimation(file);
+    });
+  }
+
+  async actBored() {
+    this.bored = true;
+    const routine = loadRoutine(this.boredRoutine);
+    console.log(`🥱 (idle) Bored - performing "${routine.name}"`);
+
+    await this.withMicReleased(async () => {
+      this.player = new RoutinePlayer(this.billy.motorController, this.billy.audioManager, {
+        latency: this.latency
+      });
+      try {
+        await this.player.play(routine);
+      } finally {
+        this.player = null;
+      }
+    });
+  }
+
+  // Keep the wake word from hearing Billy himself
+  async withMicReleased(work) {
+    const wakeWord = this.billy.wakeWord;
+    if (wakeWord) await wakeWord.pause();
+    try {
+      await work();
+    } finally {
+      if (wakeWord) wakeWord.resume();
+    }
+  }
+}
+
+module.exports = {
+  IdleBehaviors,
+  parseQuietHours,
+  inQuietHours
+};
@@ -0,0 +1,240 @@
+// lip-sync.js - Audio-envelope-driven mouth and tail animation
+// Decodes speech audio to PCM, computes a per-frame loudness envelope and
+// turns it into a schedule of mouth open/close and tail wag events, timed in
+// ms from the start of playback.
+//
+// Try it offline: node lip-sync.js test.wav
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { readWav, s16leToFloat } = require('./wav');
+
+const DEFAULTS = {
+  sampleRate: 16000, // Decode rate for compressed audio
+  frameMs: 20, // Envelope resolution
+  openThreshold: 0.35, // Envelope level (0-1) that opens the mouth
+  closeThreshold: 0.18, // Envelope level that closes it again
+  minEnergy: 0.01, // RMS floor (samples are -1..1) - quieter frames count as silence
+  syllableDrop: 0.55, // Close early when loudness falls below this fraction of the syllable's peak
+  minOpenMs: 60, // The jaw can't physically move faster than this
+  minClosedMs: 50,
+  maxOpenMs: 350, // Long vowels still get a chomp
+  phraseGapMs: 250, // Silence that separates phrases (tail goes still)
+  tailIntervalMs: 350 // Time between tail direction changes while talking
+};
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+// Decode an audio file to mono samples (-1..1)
+// WAV is parsed directly; anything else (TTS MP3s) goes through ffmpeg
+async function decodeAudio(audioFilePath, options = {}) {
+  const sampleRate = options.sampleRate || DEFAULTS.sampleRate;
+
+  if (audioFilePath.endsWith('.wav')) {
+    const wav = readWav(await fs.promises.readFile(audioFilePath));
+    return { sampleRate: wav.sampleRate, samples: wav.samples };
+  }
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', audioFilePath,
+      '-f', 's16le',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-'
+    ]);
+
+    const chunks = [];
+    ffmpeg.stdout.on('data', (data) => chunks.push(data));
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve({ sampleRate, samples: s16leToFloat(Buffer.concat(chunks)) });
+      } else {
+        reject(new Error(`ffmpeg decode failed with code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', reject);
+  });
+}
+
+// ============================================================================
+// ENVELOPE
+// ============================================================================
+
+// RMS loudness per frame, normalized so typical speech peaks land near 1
+// Frames below minEnergy are 0, so hiss isn't stretched up to speech level
+function computeEnvelope(samples, sampleRate, frameMs = DEFAULTS.frameMs, minEnergy = DEFAULTS.minEnergy) {
+  const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+  const frameCount = Math.ceil(samples.length / frameSize);
+  const values = new Float32Array(frameCount);
+
+  for (let f = 0; f < frameCount; f++) {
+    const start = f * frameSize;
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    values[f] = Math.sqrt(sum / (end - start));
+  }
+
+  // Normalize against the 95th percentile rather than the max, so a single
+  // click or plosive doesn't squash everything else toward zero
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const reference = sorted[Math.floor(sorted.length * 0.95)] || 0;
+
+  for (let f = 0; f < frameCount; f++) {
+    values[f] = values[f] >= minEnergy && reference > 0 ? Math.min(1, values[f] / reference) : 0;
+  }
+
+  return { frameMs, values };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+// Mouth events follow syllables: open on a rise above openThreshold, close
+// when the level falls back (hysteresis) or dips well below the syllable's peak
+function buildMouthEvents(envelope, options) {
+  const { frameMs, values } = envelope;
+  const events = [];
+  let open = false;
+  let changedAt = -Infinity;
+  let peak = 0;
+
+  for (let f = 0; f < values.length; f++) {
+    const time = f * frameMs;
+    const level = values[f];
+    const held = time - changedAt;
+
+    if (!open) {
+      if (level >= options.openThreshold && held >= options.minClosedMs) {
+        events.push({ time, action: 'open' });
+        open = true;
+        changedAt = time;
+        peak = level;
+      }
+    } else {
+      peak = Math.max(peak, level);
+      const quiet = level < options.closeThreshold;
+      const syllableEnd = level < peak * options.syllableDrop;
+
+      if (held >= options.minOpenMs && (quiet || syllableEnd || held >= options.maxOpenMs)) {
+        events.push({ time, action: 'close' });
+        open = false;
+        changedAt = time;
+      }
+    }
+  }
+
+  if (open) {
+    events.push({ time: values.length * frameMs, action: 'close' });
+  }
+  return events;
+}
+
+// Group loud frames into phrases, merging gaps shorter than phraseGapMs
+function findPhrases(envelope, options) {
+  const { frameMs, values } = envelope;
+  const phrases = [];
+  let current = null;
+
+  for (let f = 0; f < values.length; f++) {
+    if (values[f] < options.closeThreshold) continue;
+    const time = f * frameMs;
+
+    if (current && time - current.end <= options.phraseGapMs) {
+      current.end = time + frameMs;
+    } else {
+      current = { start: time, end: time + frameMs };
+      phrases.push(current);
+    }
+  }
+
+  return phrases;
+}
+
+// Tail wags back and forth while a phrase is spoken, and rests between phrases
+function buildTailEvents(phrases, options) {
+  const events = [];
+  let direction = 1;
+
+  for (const phrase of phrases) {
+    for (let time = phrase.start; time < phrase.end; time += options.tailIntervalMs) {
+      events.push({ time, direction });
+      direction = -direction;
+    }
+    events.push({ time: phrase.end, direction: 0 });
+  }
+
+  return events;
+}
+
+// Build the full animation schedule for decoded audio
+function buildSchedule(samples, sampleRate, options = {}) {
+  options = { ...DEFAULTS, ...options };
+
+  const envelope = computeEnvelope(samples, sampleRate, options.frameMs, options.minEnergy);
+  const phrases = findPhrases(envelope, options);
+
+  return {
+    duration: samples.length / sampleRate * 1000,
+    envelope,
+    mouth: buildMouthEvents(envelope, options),
+    tail: buildTailEvents(phrases, options)
+  };
+}
+
+// Decode a file and build its schedule
+async function analyzeAudio(audioFilePath, options = {}) {
+  const { samples, sampleRate } = await decodeAudio(audioFilePath, options);
+  return buildSchedule(samples, sampleRate, options);
+}
+
+module.exports = {
+  DEFAULTS,
+  decodeAudio,
+  computeEnvelope,
+  buildSchedule,
+  analyzeAudio
+};
+
+// ============================================================================
+// CLI - print the schedule for an audio file
+// ============================================================================
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node lip-sync.js <audio-file>');
+    process.exit(1);
+  }
+
+  analyzeAudio(file).then((schedule) => {
+    const { frameMs, values } = schedule.envelope;
+    console.log(`🎵 ${file}: ${(schedule.duration / 1000).toFixed(2)}s, ` +
+      `${schedule.mouth.length / 2} mouth movements, ${schedule.tail.length} tail events\n`);
+
+    // One row per frame: loudness bar and mouth state
+    let mouthOpen = false;
+    let next = 0;
+    for (let f = 0; f < values.length; f++) {
+      const time = f * frameMs;
+      while (next < schedule.mouth.length && schedule.mouth[next].time <= time) {
+        mouthOpen = schedule.mouth[next].action === 'open';
+        next++;
+      }
+      const bar = '#'.repeat(Math.round(values[f] * 30)).padEnd(30);
+      console.log(`${String(time).padStart(6)}ms |${bar}| ${mouthOpen ? '😮' : '  '}`);
+    }
+  }).catch((error) => {
+    console.error('✗ Lip sync analysis failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,98 @@
+// logger.js - Levelled logging, as the usual emoji lines or as JSON
+//   pretty: the human-readable console output Billy has always printed
+//   json:   one object per line - { time, level, msg, ...fields } - for log
+//           shippers and jq. Structured fields only appear here
+//
+// captureConsole() routes the existing console.log/warn/error calls through
+// the logger, so every message gets a level (lines starting with ⚠️ count as
+// warnings, ✗ ❌ 🚨 as errors) and honours LOG_LEVEL.
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Emoji prefixes that mark a console.log/console.error line's real level
+const WARN_PREFIX = /^\s*⚠️/;
+const ERROR_PREFIX = /^\s*(✗|❌|🚨)/;
+
+class Logger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'pretty';
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+  }
+
+  configure(options = {}) {
+    if (options.level) this.level = options.level;
+    if (options.format) this.format = options.format;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // message: text; fields: extra structured data for the JSON format
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+    const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+
+    if (this.format === 'json') {
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...serialize(fields) }) + '\n');
+    } else {
+      stream.write(`${message}\n`);
+    }
+  }
+
+  debug(message, fields) { this.log('debug', message, fields); }
+  info(message, fields) { this.log('info', message, fields); }
+  warn(message, fields) { this.log('warn', message, fields); }
+  error(message, fields) { this.log('error', message, fields); }
+}
+
+// Errors don't survive JSON.stringify on their own
+function serialize(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return result;
+}
+
+// The shared logger every module writes to
+const logger = new Logger();
+
+let captured = false;
+
+function captureConsole(target = logger) {
+  if (captured) return;
+  captured = true;
+
+  const route = (defaultLevel) => (...args) => {
+    const message = util.format(...args);
+    let level = defaultLevel;
+    if (ERROR_PREFIX.test(message)) level = 'error';
+    else if (WARN_PREFIX.test(message) && level !== 'error') level = 'warn';
+
+    // In JSON the error goes in its own field rather than the message
+    const error = args.find(arg => arg instanceof Error);
+    if (target.format === 'json' && error) {
+      target.log(level, util.format(...args.filter(arg => arg !== error)), { error });
+    } else {
+      target.log(level, message);
+    }
+  };
+
+  console.debug = route('debug');
+  console.log = route('info');
+  console.info = route('info');
+  console.warn = route('warn');
+  console.error = route('error');
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  captureConsole
+};
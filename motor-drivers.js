@@ -0,0 +1,343 @@
+// motor-drivers.js - The hardware under MotorController
+// MotorController (billy-bass.js) decides what the motors do - ramps, the
+// watchdog, emergency stops - and a driver makes it happen on one kind of
+// board. MOTOR_DRIVER picks it:
+//   'drv8833-gpio'  DRV8833 H-bridges on GPIO pins (the 4WD Robot Hat), with
+//                   speed from MOTOR_PWM_MODE (see pwm.js)
+//   'pca9685'       a PCA9685 PWM chip on I2C driving TB6612 or DRV8833
+//                   bridges (Adafruit-style motor HATs); needs the optional
+//                   i2c-bus package
+// The diagnostics (test-components.js, test-motor-addresses.js) go through
+// the same drivers, so they test what Billy actually uses.
+//
+// Every driver exposes:
+//   name                 for logs
+//   motors               { body, mouth, tail } -> how that motor is wired
+//   init()               -> Promise, claim the hardware with every motor coasting
+//   set(motor, speed)    -> Promise, speed -100..100 (0 = coast) or 'brake'
+//   close()              -> Promise, coast everything and release the hardware
+// and optionally:
+//   measureLatency()     -> Promise<{ avg, max }>, ms per command
+
+const { SoftwarePwm, HardwarePwm } = require('./pwm');
+const { timeSamples } = require('./gpio');
+
+const MOTOR_NAMES = ['body', 'mouth', 'tail'];
+
+// ============================================================================
+// DRV8833 ON GPIO
+// ============================================================================
+
+// Each motor has two direction pins (IN1/IN2) and shares an NSLEEP/enable
+// pin with the other motor on its chip
+class Drv8833Driver {
+  // motors: { body: { pin1, pin2, pwm }, ... }
+  // pwmMode: 'software', 'hardware' or 'none'
+  constructor(gpio, options) {
+    this.gpio = gpio;
+    this.name = 'DRV8833 on GPIO';
+    this.motors = options.motors;
+    this.speeds = {};
+
+    this.softPwm = options.pwmMode === 'software'
+      ? new SoftwarePwm(gpio, { frequency: options.softwareFrequency })
+      : null;
+    this.hardPwm = options.pwmMode === 'hardware'
+      ? new HardwarePwm({ chip: options.hardwareChip, frequency: options.hardwareFrequency })
+      : null;
+  }
+
+  // NSLEEP/enable pins, one per DRV8833 chip
+  get enablePins() {
+    return [...new Set(Object.values(this.motors).map(motor => motor.pwm))];
+  }
+
+  async init() {
+    // Claim all motor direction pins as outputs in one go
+    // (NSLEEP pins too, unless they belong to the pwmchip)
+    // Session backends hold the lines open; others configure them on first access
+    const outputPins = Object.values(this.motors).flatMap(motor => [motor.pin1, motor.pin2]);
+    if (this.gpio.requestOutputs) {
+      await this.gpio.requestOutputs(this.hardPwm ? outputPins : [...outputPins, ...this.enablePins]);
+    }
+
+    // Direction pins low by default
+    for (const [name, motor] of Object.entries(this.motors)) {
+      await this.gpio.write(motor.pin1, 0);
+      await this.gpio.write(motor.pin2, 0);
+      this.speeds[name] = 0;
+    }
+
+    if (this.hardPwm) {
+      // NSLEEP pins belong to the pwmchip - drivers stay asleep (0% duty) until a motor runs
+      for (const pin of this.enablePins) {
+        await this.hardPwm.enable(pin);
+      }
+    } else {
+      // Enable both DRV8833 chips (HIGH = enabled)
+      for (const pin of this.enablePins) {
+        await this.gpio.write(pin, 1);
+      }
+    }
+  }
+
+  // Drive a direction pin at a duty cycle (0-1)
+  // Without software PWM any non-zero duty is simply HIGH
+  async setPinDuty(pin, duty) {
+    if (this.softPwm) {
+      return this.softPwm.set(pin, duty);
+    }
+    return this.gpio.write(pin, duty > 0 ? 1 : 0);
+  }
+
+  // Hardware PWM: a chip's NSLEEP duty is shared by both of its motors,
+  // so use the fastest one (brake needs the driver fully awake)
+  async updateHardwareDuty(pwmPin) {
+    let duty = 0;
+    for (const [name, motor] of Object.entries(this.motors)) {
+      if (motor.pwm !== pwmPin) continue;
+      const speed = this.speeds[name];
+      duty = Math.max(duty, speed === 'brake' ? 1 : Math.abs(speed) / 100);
+    }
+    await this.hardPwm.set(pwmPin, duty);
+  }
+
+  async set(motorName, speed) {
+    const motor = this.motors[motorName];
+
+    if (speed === 'brake') {
+      // Brake mode: both pins HIGH = electrical brake to hold position against spring
+      await this.setPinDuty(motor.pin1, 1);
+      await this.setPinDuty(motor.pin2, 1);
+    } else if (speed === 0) {
+      // Coast: both pins LOW (motor freewheels, spring returns fish)
+      await this.setPinDuty(motor.pin1, 0);
+      await this.setPinDuty(motor.pin2, 0);
+    } else {
+      // With hardware PWM the speed comes from NSLEEP, so direction pins stay fully on
+      const duty = this.hardPwm ? 1 : Math.abs(speed) / 100;
+
+      if (speed > 0) {
+        // Forward: pin1 PWM, pin2 LOW
+        await this.setPinDuty(motor.pin2, 0);
+        await this.setPinDuty(motor.pin1, duty);
+      } else {
+        // Reverse: pin1 LOW, pin2 PWM
+        await this.setPinDuty(motor.pin1, 0);
+        await this.setPinDuty(motor.pin2, duty);
+      }
+    }
+    this.speeds[motorName] = speed;
+
+    if (this.hardPwm) {
+      await this.updateHardwareDuty(motor.pwm);
+    }
+  }
+
+  // How long a pin change takes - mouth timing depends on it
+  async measureLatency() {
+    if (!this.gpio.measureLatency) return null;
+    return this.gpio.measureLatency(this.motors.body.pin1);
+  }
+
+  async close() {
+    for (const name of Object.keys(this.motors)) {
+      await this.set(name, 0);
+    }
+    // Disable motor drivers
+    if (this.softPwm) {
+      await this.softPwm.stopAll();
+    }
+    if (this.hardPwm) {
+      await this.hardPwm.stopAll();
+    } else {
+      for (const pin of this.enablePins) {
+        await this.gpio.write(pin, 0);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// PCA9685 ON I2C
+// ============================================================================
+
+// Registers (PCA9685 datasheet, section 7.3)
+const MODE1 = 0x00;
+const MODE2 = 0x01;
+const LED0_ON_L = 0x06; // Each channel has 4: ON_L, ON_H, OFF_L, OFF_H
+const ALL_LED_OFF_H = 0xFD;
+const PRE_SCALE = 0xFE;
+
+const MODE1_RESTART = 0x80;
+const MODE1_AUTO_INCREMENT = 0x20;
+const MODE1_SLEEP = 0x10;
+const MODE2_TOTEM_POLE = 0x04;
+const FULL = 0x10; // Bit 4 of ON_H / OFF_H: channel fully on / off
+
+const OSCILLATOR_HZ = 25000000;
+
+// Each motor has two channels for the bridge inputs (in1, in2) and, on
+// TB6612 boards, a third for its PWM input (pwm). Without a pwm channel the
+// speed is PWM on in1 or in2, as for a DRV8833.
+class Pca9685Driver {
+  // motors: { body: { in1, in2, pwm }, ... }
+  // bus: an open i2c-bus promisified bus to share (left open by close()),
+  // otherwise busNumber is opened
+  constructor(options) {
+    this.name = `PCA9685 at 0x${options.address.toString(16)}`;
+    this.motors = options.motors;
+    this.busNumber = options.busNumber;
+    this.address = options.address;
+    this.frequency = options.frequency || 1000;
+    this.bus = options.bus || null;
+    this.ownsBus = !options.bus;
+  }
+
+  async openBus() {
+    let i2c;
+    try {
+      i2c = require('i2c-bus');
+    } catch (error) {
+      throw new Error('The pca9685 driver needs the i2c-bus package - install it with: npm install i2c-bus');
+    }
+    return i2c.openPromisified(this.busNumber);
+  }
+
+  async init() {
+    if (!this.bus) {
+      this.bus = await this.openBus();
+    }
+
+    // The prescaler can only be written while the oscillator sleeps
+    const prescale = Math.round(OSCILLATOR_HZ / (4096 * this.frequency)) - 1;
+    await this.bus.writeByte(this.address, MODE1, MODE1_SLEEP);
+    await this.bus.writeByte(this.address, PRE_SCALE, Math.max(3, Math.min(255, prescale)));
+    await this.bus.writeByte(this.address, MODE2, MODE2_TOTEM_POLE);
+    await this.bus.writeByte(this.address, MODE1, MODE1_AUTO_INCREMENT);
+    await new Promise(resolve => setTimeout(resolve, 1)); // Oscillator start-up (500 µs)
+    await this.bus.writeByte(this.address, MODE1, MODE1_AUTO_INCREMENT | MODE1_RESTART);
+
+    for (const name of Object.keys(this.motors)) {
+      await this.set(name, 0);
+    }
+  }
+
+  // Set a channel's duty cycle (0-1); 0 and 1 use the full off/on bits so
+  // there's no glitch at the ends
+  async setChannel(channel, duty) {
+    const data = Buffer.alloc(4);
+    if (duty >= 1) {
+      data[1] = FULL;
+    } else if (duty <= 0) {
+      data[3] = FULL;
+    } else {
+      data.writeUInt16LE(Math.round(duty * 4095), 2);
+    }
+    await this.bus.writeI2cBlock(this.address, LED0_ON_L + 4 * channel, 4, data);
+  }
+
+  async set(motorName, speed) {
+    const motor = this.motors[motorName];
+    const hasPwm = motor.pwm !== null && motor.pwm !== undefined;
+
+    if (speed === 'brake') {
+      // Both inputs high shorts the motor: it holds against the spring
+      await this.setChannel(motor.in1, 1);
+      await this.setChannel(motor.in2, 1);
+      if (hasPwm) await this.setChannel(motor.pwm, 1);
+    } else if (speed === 0) {
+      // Both inputs low: the motor coasts
+      if (hasPwm) await this.setChannel(motor.pwm, 0);
+      await this.setChannel(motor.in1, 0);
+      await this.setChannel(motor.in2, 0);
+    } else {
+      const duty = Math.abs(speed) / 100;
+      const [on, off] = speed > 0 ? [motor.in1, motor.in2] : [motor.in2, motor.in1];
+      await this.setChannel(off, 0);
+      if (hasPwm) {
+        await this.setChannel(on, 1);
+        await this.setChannel(motor.pwm, duty);
+      } else {
+        await this.setChannel(on, duty);
+      }
+    }
+  }
+
+  // One register write, as a motor command costs
+  async measureLatency(samples = 10) {
+    return timeSamples(samples, () => this.bus.writeByte(this.address, MODE2, MODE2_TOTEM_POLE));
+  }
+
+  async close() {
+    if (!this.bus) return;
+    try {
+      await this.bus.writeByte(this.address, ALL_LED_OFF_H, FULL);
+      await this.bus.writeByte(this.address, MODE1, MODE1_SLEEP);
+    } finally {
+      if (this.ownsBus) {
+        await this.bus.close();
+        this.bus = null;
+      }
+    }
+  }
+}
+
+// Whether a PCA9685 answers at an address: MODE2 reads back as written
+async function probePca9685(bus, address) {
+  try {
+    const mode2 = await bus.readByte(address, MODE2);
+    await bus.writeByte(address, MODE2, MODE2_TOTEM_POLE);
+    const ok = await bus.readByte(address, MODE2) === MODE2_TOTEM_POLE;
+    await bus.writeByte(address, MODE2, mode2);
+    return ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+// bus: an open I2C bus for the pca9685 driver to share
+function createMotorDriver(gpio, config, { bus } = {}) {
+  const motors = {};
+
+  switch (config.MOTOR_DRIVER) {
+    case 'drv8833-gpio':
+      for (const name of MOTOR_NAMES) {
+        const prefix = `MOTOR_${name.toUpperCase()}`;
+        motors[name] = { pin1: config[`${prefix}_PIN1`], pin2: config[`${prefix}_PIN2`], pwm: config[`${prefix}_PWM`] };
+      }
+      return new Drv8833Driver(gpio, {
+        motors,
+        pwmMode: config.MOTOR_PWM_MODE,
+        softwareFrequency: config.SOFTWARE_PWM_FREQUENCY,
+        hardwareChip: config.HARDWARE_PWM_CHIP,
+        hardwareFrequency: config.HARDWARE_PWM_FREQUENCY
+      });
+    case 'pca9685':
+      for (const name of MOTOR_NAMES) {
+        const prefix = `MOTOR_${name.toUpperCase()}`;
+        motors[name] = { in1: config[`${prefix}_CHANNEL1`], in2: config[`${prefix}_CHANNEL2`], pwm: config[`${prefix}_CHANNEL_PWM`] };
+      }
+      return new Pca9685Driver({
+        motors,
+        busNumber: config.PCA9685_BUS,
+        address: config.PCA9685_ADDRESS,
+        frequency: config.PCA9685_FREQUENCY,
+        bus
+      });
+    default:
+      throw new Error(`Unknown MOTOR_DRIVER "${config.MOTOR_DRIVER}"`);
+  }
+}
+
+module.exports = {
+  MOTOR_NAMES,
+  Drv8833Driver,
+  Pca9685Driver,
+  probePca9685,
+  createMotorDriver
+};
@@ -0,0 +1,146 @@
+// motor-watchdog.js - Keeps the Billy Bass motors from cooking
+// The cheap motors in the fish overheat if they're driven against their end
+// stops or held in brake for long. MotorController reports every command here;
+// a timer checks each motor and forces it to coast when it has:
+//   - been driven in one direction longer than maxOnTime
+//   - been braking longer than maxBrakeTime
+//   - used more than dutyBudget of the last dutyWindow (time x speed)
+// A motor that trips is locked out (only coast allowed) for the cooldown, and
+// until its rolling usage is back under budget.
+
+const DEFAULTS = {
+  maxOnTime: 3000, // ms driven in the same direction
+  maxBrakeTime: 60000, // ms - the body brakes for a whole conversation
+  dutyWindow: 60000, // ms
+  dutyBudget: 0.5, // Fraction of the window at full speed
+  cooldown: 5000, // ms locked out after a trip
+  interval: 100 // ms between checks
+};
+
+class MotorWatchdog {
+  // onTrip(motor, reason) must coast the motor
+  constructor(motorNames, options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.onTrip = options.onTrip || (() => {});
+    this.timer = null;
+
+    this.motors = {};
+    for (const name of motorNames) {
+      this.motors[name] = {
+        mode: 'coast', // coast | drive | brake
+        direction: 0,
+        duty: 0,
+        since: Date.now(), // When the current mode/direction started
+        samples: [], // Duty at each check, covering the rolling window
+        lockedUntil: 0,
+        refusals: 0
+      };
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.options.interval);
+    this.timer.unref(); // Never keeps the process alive by itself
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Whether a command may go to the motor (coasting always may)
+  allows(name, speed) {
+    const motor = this.motors[name];
+    if (speed === 0 || !motor || !this.isLocked(name)) return true;
+
+    if (motor.refusals++ === 0) {
+      console.log(`⚠️  ${name} motor is resting after a watchdog stop - ignoring commands for now`);
+    }
+    return false;
+  }
+
+  isLocked(name) {
+    const motor = this.motors[name];
+    return Date.now() < motor.lockedUntil || this.usage(name) > this.options.dutyBudget;
+  }
+
+  // Note a command that was sent to the motor
+  record(name, speed) {
+    const motor = this.motors[name];
+    if (!motor) return;
+
+    const mode = speed === 'brake' ? 'brake' : speed === 0 ? 'coast' : 'drive';
+    const direction = mode === 'drive' ? Math.sign(speed) : 0;
+
+    // Ramping within one direction is still the same stretch of driving
+    if (mode !== motor.mode || direction !== motor.direction) {
+      motor.since = Date.now();
+    }
+    motor.mode = mode;
+    motor.direction = direction;
+    motor.duty = mode === 'drive' ? Math.abs(speed) / 100 : 0;
+  }
+
+  // Fraction of the rolling window spent driving at full speed
+  usage(name) {
+    const { samples } = this.motors[name];
+    const windowSamples = this.options.dutyWindow / this.options.interval;
+    return samples.reduce((sum, duty) => sum + duty, 0) / windowSamples;
+  }
+
+  check() {
+    const now = Date.now();
+    const windowSamples = Math.ceil(this.options.dutyWindow / this.options.interval);
+
+    for (const [name, motor] of Object.entries(this.motors)) {
+      motor.samples.push(motor.duty);
+      if (motor.samples.length > windowSamples) {
+        motor.samples.shift();
+      }
+      if (motor.refusals > 0 && !this.isLocked(name)) {
+        console.log(`✓ ${name} motor available again (${motor.refusals} commands ignored)`);
+        motor.refusals = 0;
+      }
+
+      const elapsed = now - motor.since;
+      if (motor.mode === 'drive' && elapsed > this.options.maxOnTime) {
+        this.trip(name, `driven for ${elapsed}ms without stopping - stalled?`);
+      } else if (motor.mode === 'brake' && elapsed > this.options.maxBrakeTime) {
+        this.trip(name, `braking for ${elapsed}ms`);
+      } else if (motor.mode === 'drive' && this.usage(name) > this.options.dutyBudget) {
+        this.trip(name, `used ${Math.round(this.usage(name) * 100)}% of the last ${this.options.dutyWindow / 1000}s`);
+      }
+    }
+  }
+
+  trip(name, reason) {
+    const motor = this.motors[name];
+    console.error(`⚠️  Watchdog stopped the ${name} motor: ${reason}`);
+
+    motor.lockedUntil = Date.now() + this.options.cooldown;
+    motor.refusals = 0;
+    this.record(name, 0);
+    Promise.resolve(this.onTrip(name, reason)).catch((error) => {
+      console.error(`✗ Watchdog could not stop the ${name} motor:`, error.message);
+    });
+  }
+
+  // Per-motor state, for status reports
+  status() {
+    const status = {};
+    for (const [name, motor] of Object.entries(this.motors)) {
+      status[name] = {
+        mode: motor.mode,
+        locked: this.isLocked(name),
+        usage: Number(this.usage(name).toFixed(3))
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  MotorWatchdog
+};
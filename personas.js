@@ -0,0 +1,181 @@
+// personas.js - Loadable personalities for Billy
+// A persona bundles who Billy is: the system prompt and reply length, the
+// voice, how he moves while talking, and his canned lines. Personas are JSON
+// files in PERSONAS_DIR, picked by name with PERSONA, or cycled through at
+// runtime with a long button press:
+//
+//   {
+//     "name": "Captain Billy",
+//     "settings": {                  - any of PERSONA_SETTINGS below
+//       "AI_SYSTEM_PROMPT": "You are a salty pirate fish...",
+//       "TTS_VOICE": "fable",
+//       "TAIL_SPEED": 80
+//     },
+//     "lines": {                     - all optional
+//       "greeting": "Arr, Captain Billy at yer service!",
+//       "notHeard": "Speak up, matey!",
+//       "fallback": ["Me parrot ate the internet. Try again!"]
+//     }
+//   }
+//
+// Settings a persona leaves out keep their configured values.
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA, checkValue } = require('./config');
+const { FALLBACK_LINES } = require('./fallback-clips');
+
+// Config settings a persona may set
+const PERSONA_SETTINGS = [
+  // What he says and how much of it
+  'AI_SYSTEM_PROMPT', 'AI_MAX_TOKENS',
+  // How he sounds (whichever TTS provider is in use)
+  'TTS_VOICE', 'TTS_MODEL', 'PIPER_MODEL', 'ESPEAK_VOICE',
+  // How he moves while talking
+  'MOUTH_SPEED', 'MOUTH_MAX_OPEN', 'TAIL_SPEED', 'TAIL_INTERVAL'
+];
+
+const LINE_KEYS = ['greeting', 'notHeard', 'fallback'];
+
+class PersonaError extends Error {
+  constructor(source, issues) {
+    super(`Invalid persona (${source}):\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'PersonaError';
+    this.issues = issues;
+  }
+}
+
+// Check a parsed persona; returns a list of problems
+function validatePersona(persona) {
+  if (persona === null || typeof persona !== 'object' || Array.isArray(persona)) {
+    return ['a persona must be an object'];
+  }
+
+  const issues = [];
+  if (typeof persona.name !== 'string' || persona.name.trim() === '') {
+    issues.push('name must be a non-empty string');
+  }
+
+  const settings = persona.settings || {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (!PERSONA_SETTINGS.includes(key)) {
+      issues.push(`settings: "${key}" can't be set by a persona (allowed: ${PERSONA_SETTINGS.join(', ')})`);
+      continue;
+    }
+    const problem = checkValue(value, SCHEMA[key]);
+    if (problem) issues.push(`settings: ${key} ${problem}`);
+  }
+
+  const lines = persona.lines || {};
+  for (const key of Object.keys(lines)) {
+    if (!LINE_KEYS.includes(key)) {
+      issues.push(`lines: unknown line "${key}" (expected ${LINE_KEYS.join(', ')})`);
+    }
+  }
+  for (const key of ['greeting', 'notHeard']) {
+    if (lines[key] !== undefined && typeof lines[key] !== 'string') {
+      issues.push(`lines: ${key} must be a string`);
+    }
+  }
+  if (lines.fallback !== undefined
+    && (!Array.isArray(lines.fallback) || lines.fallback.length === 0 || lines.fallback.some(line => typeof line !== 'string'))) {
+    issues.push('lines: fallback must be a non-empty list of strings');
+  }
+
+  return issues;
+}
+
+function loadPersona(file) {
+  let persona;
+  try {
+    persona = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new PersonaError(file, [`cannot read persona: ${error.message}`]);
+  }
+
+  const issues = validatePersona(persona);
+  if (issues.length > 0) {
+    throw new PersonaError(file, issues);
+  }
+
+  return {
+    id: path.basename(file, '.json'),
+    name: persona.name,
+    settings: { ...persona.settings },
+    lines: { ...persona.lines }
+  };
+}
+
+// Persona names (file names without .json) in a folder, or []
+function listPersonas(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// The active persona, applied on top of a config object
+class PersonaManager {
+  constructor(config) {
+    this.config = config;
+    this.base = {}; // The persona settings as configured, before any persona
+    this.current = null;
+  }
+
+  // Start over from the config as it is now, then apply its PERSONA -
+  // call after (re)loading the config
+  reset() {
+    this.base = {};
+    for (const key of PERSONA_SETTINGS) {
+      this.base[key] = this.config[key];
+    }
+    this.current = null;
+    return this.use(this.config.PERSONA);
+  }
+
+  list() {
+    return listPersonas(this.config.PERSONAS_DIR);
+  }
+
+  // Switch to a persona by name (null = none); throws PersonaError if it
+  // can't be loaded, leaving the current one in place
+  use(id) {
+    const persona = id ? loadPersona(path.join(this.config.PERSONAS_DIR, `${id}.json`)) : null;
+    Object.assign(this.config, this.base, persona ? persona.settings : {});
+    this.config.PERSONA = id || null;
+    this.current = persona;
+    return persona;
+  }
+
+  // Switch to the persona after the current one (wrapping around)
+  next() {
+    const ids = this.list();
+    if (ids.length === 0) return null;
+    const index = this.current ? ids.indexOf(this.current.id) : -1;
+    return this.use(ids[(index + 1) % ids.length]);
+  }
+
+  get name() {
+    return this.current ? this.current.name : 'Billy';
+  }
+
+  // A persona line, or the given default when it has none
+  line(key, fallback) {
+    return (this.current && this.current.lines[key]) || fallback;
+  }
+
+  // What to say when the chat provider fails
+  get fallbackLines() {
+    return this.line('fallback', FALLBACK_LINES);
+  }
+}
+
+module.exports = {
+  PERSONA_SETTINGS,
+  PersonaError,
+  validatePersona,
+  loadPersona,
+  listPersonas,
+  PersonaManager
+};
@@ -0,0 +1,379 @@
+// providers.js - Pluggable speech-to-text, chat and text-to-speech engines
+// Each kind of provider has one small interface:
+//   STT:  transcribe(audioFilePath, { signal })                      -> Promise<string>
+//   Chat: complete({ system, messages, maxTokens }, { signal })      -> Promise<string>
+//         stream({ system, messages, maxTokens }, onText, { signal }) -> Promise<string>
+//         The request may also carry tools (a ToolRegistry, see tools.js)
+//         and maxToolRounds; providers without tool support ignore them, and
+//         the ones with it add TOOL_GUIDANCE to the system prompt themselves
+//   TTS:  synthesize(text, outputFile, { signal })                   -> Promise<outputFile>
+//         extension ('.mp3' or '.wav') for output files
+//         voiceId - provider, model and voice, for the speech cache (tts-cache.js)
+// The optional AbortSignal cancels the request or kills the local process.
+//
+// Cloud engines (OpenAI Whisper/TTS, Anthropic Claude) sit next to local ones
+// (whisper.cpp, any OpenAI-compatible LLM server such as llama.cpp or Ollama,
+// Piper and espeak-ng) so Billy keeps working without internet. The
+// create*Chain() factories add a fallback provider, timeouts and retries (see
+// resilience.js).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const Anthropic = require('@anthropic-ai/sdk');
+const OpenAI = require('openai');
+const { FallbackChain } = require('./resilience');
+const { TOOL_GUIDANCE } = require('./tools');
+
+// Helper: run a command, optionally feeding stdin, and collect stdout
+// (aborting the signal kills it)
+function run(command, args, input, signal) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { signal });
+    let output = '';
+    let errorOutput = '';
+
+    proc.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        reject(new Error(`${command} failed with code ${code}: ${errorOutput.trim().split('\n').pop()}`));
+      }
+    });
+    proc.on('error', reject);
+
+    if (input !== undefined) {
+      proc.stdin.end(input);
+    }
+  });
+}
+
+// ============================================================================
+// SPEECH-TO-TEXT
+// ============================================================================
+
+class OpenAIWhisperStt {
+  constructor(options) {
+    this.name = 'OpenAI Whisper';
+    this.client = new OpenAI({ apiKey: options.apiKey, maxRetries: 0 }); // Retries are ours (resilience.js)
+    this.model = options.model || 'whisper-1';
+    this.language = options.language || 'en';
+  }
+
+  async transcribe(audioFilePath, { signal } = {}) {
+    const transcription = await this.client.audio.transcriptions.create({
+      file: fs.createReadStream(audioFilePath),
+      model: this.model,
+      language: this.language
+    }, { signal });
+    return transcription.text;
+  }
+}
+
+// whisper.cpp (https://github.com/ggerganov/whisper.cpp) running on the Pi
+class WhisperCppStt {
+  constructor(options) {
+    this.name = 'whisper.cpp';
+    this.binary = options.binary || 'whisper-cli';
+    this.model = options.model;
+    this.language = options.language || 'en';
+  }
+
+  async transcribe(audioFilePath, { signal } = {}) {
+    // whisper.cpp only accepts 16kHz mono WAV
+    const input = path.join(os.tmpdir(), 'billy_bass_whisper_input.wav');
+    await run('ffmpeg', ['-v', 'error', '-y', '-i', audioFilePath, '-ar', '16000', '-ac', '1', input], undefined, signal);
+
+    const output = await run(this.binary, [
+      '-m', this.model,
+      '-l', this.language,
+      '-f', input,
+      '--no-timestamps',
+      '--no-prints'
+    ], undefined, signal);
+    return output.replace(/\s+/g, ' ').trim();
+  }
+}
+
+// ============================================================================
+// CHAT
+// ============================================================================
+
+class AnthropicChat {
+  constructor(options) {
+    this.name = 'Claude';
+    this.client = new Anthropic({ apiKey: options.apiKey, maxRetries: 0 });
+    this.model = options.model;
+  }
+
+  async complete(request, { signal } = {}) {
+    return this.converse(request, body => this.client.messages.create(body, { signal }));
+  }
+
+  async stream(request, onText, { signal } = {}) {
+    let written = false;
+    return this.converse(request, (body) => {
+      const stream = this.client.messages.stream(body, { signal });
+      // Keep the text of separate rounds (before and after a tool call) apart
+      let separate = written;
+      stream.on('text', (delta) => {
+        onText(separate ? ` ${delta}` : delta);
+        separate = false;
+        written = true;
+      });
+      return stream.finalMessage();
+    });
+  }
+
+  // Send the request with send(body) -> Promise<message>; while Claude
+  // asks for tools, run them and send the results back. Resolves with the
+  // text of every round
+  async converse({ system, messages, maxTokens, tools, maxToolRounds = 3 }, send) {
+    const history = [...messages];
+    const texts = [];
+    const useTools = tools && tools.size > 0;
+    const prompt = useTools ? `${system}\n${TOOL_GUIDANCE}` : system;
+
+    for (let round = 0; ; round++) {
+      const body = { model: this.model, max_tokens: maxTokens, system: prompt, messages: history };
+      if (useTools) {
+        body.tools = tools.definitions();
+      }
+
+      const message = await send(body);
+      const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (text) texts.push(text);
+
+      const calls = message.content.filter(block => block.type === 'tool_use');
+      if (!tools || message.stop_reason !== 'tool_use' || calls.length === 0) {
+        return texts.join(' ');
+      }
+      if (round >= maxToolRounds) {
+        throw new Error(`still asking for tools after ${maxToolRounds} rounds`);
+      }
+
+      const results = await Promise.all(calls.map(async (call) => {
+        const { content, isError } = await tools.call(call.name, call.input);
+        return { type: 'tool_result', tool_use_id: call.id, content, is_error: isError };
+      }));
+      history.push({ role: 'assistant', content: message.content });
+      history.push({ role: 'user', content: results });
+    }
+  }
+}
+
+// Any server speaking the OpenAI chat completions API: llama.cpp's
+// llama-server, Ollama, LM Studio, vLLM...
+class OpenAICompatibleChat {
+  constructor(options) {
+    this.name = `local LLM (${options.model})`;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || 'not-needed',
+      baseURL: options.baseURL,
+      maxRetries: 0
+    });
+    this.model = options.model;
+  }
+
+  toMessages(system, messages) {
+    return [{ role: 'system', content: system }, ...messages];
+  }
+
+  async complete({ system, messages, maxTokens }, { signal } = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: this.toMessages(system, messages)
+    }, { signal });
+    return completion.choices[0].message.content;
+  }
+
+  async stream({ system, messages, maxTokens }, onText, { signal } = {}) {
+    let text = '';
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: this.toMessages(system, messages),
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+    }
+    return text;
+  }
+}
+
+// ============================================================================
+// TEXT-TO-SPEECH
+// ============================================================================
+
+class OpenAITts {
+  constructor(options) {
+    this.name = 'OpenAI TTS';
+    this.extension = '.mp3';
+    this.client = new OpenAI({ apiKey: options.apiKey, maxRetries: 0 });
+    this.model = options.model;
+    this.voice = options.voice;
+    this.voiceId = `openai:${this.model}:${this.voice}`;
+  }
+
+  async synthesize(text, outputFile, { signal } = {}) {
+    const mp3 = await this.client.audio.speech.create({
+      model: this.model,
+      voice: this.voice,
+      input: text
+    }, { signal });
+
+    const buffer = Buffer.from(await mp3.arrayBuffer());
+    await fs.promises.writeFile(outputFile, buffer);
+    return outputFile;
+  }
+}
+
+// Piper (https://github.com/rhasspy/piper) - fast neural TTS that runs on a Pi
+class PiperTts {
+  constructor(options) {
+    this.name = 'Piper';
+    this.extension = '.wav';
+    this.binary = options.binary || 'piper';
+    this.model = options.model;
+    this.voiceId = `piper:${this.model}`;
+  }
+
+  async synthesize(text, outputFile, { signal } = {}) {
+    await run(this.binary, ['--model', this.model, '--output_file', outputFile], text, signal);
+    return outputFile;
+  }
+}
+
+// espeak-ng - robotic, but installed everywhere (sudo apt install espeak-ng)
+class EspeakTts {
+  constructor(options) {
+    this.name = 'espeak-ng';
+    this.extension = '.wav';
+    this.binary = options.binary || 'espeak-ng';
+    this.voice = options.voice || 'en-us';
+    this.speed = options.speed || 160; // words per minute
+    this.voiceId = `espeak:${this.voice}:${this.speed}`;
+  }
+
+  async synthesize(text, outputFile, { signal } = {}) {
+    await run(this.binary, ['-v', this.voice, '-s', String(this.speed), '-w', outputFile, '--stdin'], text, signal);
+    return outputFile;
+  }
+}
+
+// ============================================================================
+// FACTORIES
+// ============================================================================
+// Each takes the Billy Bass CONFIG object and builds the selected provider
+
+function unknownProvider(kind, name, known) {
+  return new Error(`Unknown ${kind} provider "${name}" (expected one of: ${known.join(', ')})`);
+}
+
+function createSttProvider(config) {
+  switch (config.STT_PROVIDER) {
+    case 'openai':
+      return new OpenAIWhisperStt({ apiKey: config.OPENAI_API_KEY });
+    case 'whisper-cpp':
+      return new WhisperCppStt({ binary: config.WHISPER_CPP_BINARY, model: config.WHISPER_CPP_MODEL });
+    default:
+      throw unknownProvider('speech-to-text', config.STT_PROVIDER, ['openai', 'whisper-cpp']);
+  }
+}
+
+function createChatProvider(config) {
+  switch (config.CHAT_PROVIDER) {
+    case 'anthropic':
+      return new AnthropicChat({ apiKey: config.ANTHROPIC_API_KEY, model: config.AI_MODEL });
+    case 'openai-compatible':
+      return new OpenAICompatibleChat({
+        baseURL: config.LOCAL_LLM_URL,
+        model: config.LOCAL_LLM_MODEL,
+        apiKey: config.LOCAL_LLM_API_KEY
+      });
+    default:
+      throw unknownProvider('chat', config.CHAT_PROVIDER, ['anthropic', 'openai-compatible']);
+  }
+}
+
+function createTtsProvider(config) {
+  switch (config.TTS_PROVIDER) {
+    case 'openai':
+      return new OpenAITts({ apiKey: config.OPENAI_API_KEY, model: config.TTS_MODEL, voice: config.TTS_VOICE });
+    case 'piper':
+      return new PiperTts({ binary: config.PIPER_BINARY, model: config.PIPER_MODEL });
+    case 'espeak':
+      return new EspeakTts({ voice: config.ESPEAK_VOICE });
+    default:
+      throw unknownProvider('text-to-speech', config.TTS_PROVIDER, ['openai', 'piper', 'espeak']);
+  }
+}
+
+// The selected provider, then its *_FALLBACK_PROVIDER if one is set
+function createChain(kind, key, create, config, timeout) {
+  const fallback = config[key.replace('_PROVIDER', '_FALLBACK_PROVIDER')];
+  const names = fallback && fallback !== config[key] ? [config[key], fallback] : [config[key]];
+
+  return new FallbackChain(kind, names.map(name => () => create({ ...config, [key]: name })), {
+    timeout,
+    retries: config.CLOUD_RETRIES,
+    backoff: config.RETRY_BACKOFF
+  });
+}
+
+function createSttChain(config) {
+  return createChain('Speech-to-text', 'STT_PROVIDER', createSttProvider, config, config.STT_TIMEOUT);
+}
+
+function createChatChain(config) {
+  return createChain('Chat', 'CHAT_PROVIDER', createChatProvider, config, config.CHAT_TIMEOUT);
+}
+
+function createTtsChain(config) {
+  return createChain('Text-to-speech', 'TTS_PROVIDER', createTtsProvider, config, config.TTS_TIMEOUT);
+}
+
+// API key settings the selected providers (and their fallbacks) need
+function requiredApiKeys(config) {
+  const keys = new Set();
+  const uses = (kind, name) => config[`${kind}_PROVIDER`] === name || config[`${kind}_FALLBACK_PROVIDER`] === name;
+  if (uses('STT', 'openai') || uses('TTS', 'openai')) {
+    keys.add('OPENAI_API_KEY');
+  }
+  if (uses('CHAT', 'anthropic')) {
+    keys.add('ANTHROPIC_API_KEY');
+  }
+  return [...keys];
+}
+
+module.exports = {
+  OpenAIWhisperStt,
+  WhisperCppStt,
+  AnthropicChat,
+  OpenAICompatibleChat,
+  OpenAITts,
+  PiperTts,
+  EspeakTts,
+  createSttProvider,
+  createChatProvider,
+  createTtsProvider,
+  createSttChain,
+  createChatChain,
+  createTtsChain,
+  requiredApiKeys
+};
@@ -0,0 +1,144 @@
+// pwm.js - Motor speed control (PWM) for the DRV8833 drivers
+// Two strategies are supported:
+//   SoftwarePwm - toggles the IN1/IN2 direction pins through the GPIO backend
+//   HardwarePwm - drives the NSLEEP/enable pins (GPIO 12/13) from the kernel
+//                 pwmchip via sysfs. Needs "dtoverlay=pwm-2chan,pin=12,func=4,pin2=13,func2=4"
+//                 in /boot/firmware/config.txt
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// SOFTWARE PWM
+// ============================================================================
+
+class SoftwarePwm {
+  constructor(gpio, options = {}) {
+    this.gpio = gpio;
+    this.frequency = options.frequency || 50; // Hz - timers can't go much faster
+    this.channels = new Map();
+  }
+
+  // Set the duty cycle (0-1) of a pin. 0 and 1 are steady levels, anything in
+  // between starts a toggle loop that runs until the duty changes again
+  async set(pin, duty) {
+    duty = Math.max(0, Math.min(1, duty));
+
+    let channel = this.channels.get(pin);
+    if (!channel) {
+      channel = { duty: 0, timer: null };
+      this.channels.set(pin, channel);
+    }
+    channel.duty = duty;
+
+    if (duty === 0 || duty === 1) {
+      clearTimeout(channel.timer);
+      channel.timer = null;
+      return this.gpio.write(pin, duty);
+    }
+
+    if (!channel.timer) {
+      this.cycle(pin, channel);
+    }
+  }
+
+  // One PWM period: HIGH for duty * period, then LOW for the rest
+  cycle(pin, channel) {
+    const period = 1000 / this.frequency;
+    const onTime = period * channel.duty;
+
+    this.gpio.write(pin, 1).catch(() => {});
+    channel.timer = setTimeout(() => {
+      this.gpio.write(pin, 0).catch(() => {});
+      channel.timer = setTimeout(() => this.cycle(pin, channel), period - onTime);
+    }, onTime);
+  }
+
+  // Stop every toggle loop and drive the pins LOW
+  async stopAll() {
+    for (const pin of this.channels.keys()) {
+      await this.set(pin, 0);
+    }
+  }
+}
+
+// ============================================================================
+// HARDWARE PWM (kernel pwmchip sysfs interface)
+// ============================================================================
+
+class HardwarePwm {
+  constructor(options = {}) {
+    this.sysfsRoot = options.sysfsRoot || '/sys/class/pwm';
+    this.chip = options.chip || 'pwmchip0';
+    this.frequency = options.frequency || 100;
+    // Raspberry Pi: PWM0 is on GPIO 12, PWM1 is on GPIO 13
+    this.channels = options.channels || { 12: 0, 13: 1 };
+    this.enabled = new Set();
+  }
+
+  get periodNs() {
+    return Math.round(1e9 / this.frequency);
+  }
+
+  channelPath(pin, file) {
+    const channel = this.channels[pin];
+    if (channel === undefined) {
+      throw new Error(`GPIO ${pin} has no hardware PWM channel`);
+    }
+    const base = path.join(this.sysfsRoot, this.chip);
+    return file === undefined ? path.join(base, `pwm${channel}`) : path.join(base, `pwm${channel}`, file);
+  }
+
+  async writeAttribute(pin, file, value) {
+    await fs.promises.writeFile(this.channelPath(pin, file), String(value));
+  }
+
+  // Export the channel and start it at 0% duty
+  async enable(pin) {
+    const channelDir = this.channelPath(pin);
+
+    if (!fs.existsSync(channelDir)) {
+      await fs.promises.writeFile(
+        path.join(this.sysfsRoot, this.chip, 'export'),
+        String(this.channels[pin])
+      );
+
+      // udev needs a moment to create the attribute files
+      for (let i = 0; i < 10 && !fs.existsSync(this.channelPath(pin, 'enable')); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+
+    await this.writeAttribute(pin, 'duty_cycle', 0);
+    await this.writeAttribute(pin, 'period', this.periodNs);
+    await this.writeAttribute(pin, 'enable', 1);
+    this.enabled.add(pin);
+  }
+
+  // Set the duty cycle (0-1) of an enabled channel
+  async set(pin, duty) {
+    if (!this.enabled.has(pin)) {
+      await this.enable(pin);
+    }
+    duty = Math.max(0, Math.min(1, duty));
+    await this.writeAttribute(pin, 'duty_cycle', Math.round(this.periodNs * duty));
+  }
+
+  async disable(pin) {
+    if (!this.enabled.has(pin)) return;
+    await this.writeAttribute(pin, 'duty_cycle', 0);
+    await this.writeAttribute(pin, 'enable', 0);
+    this.enabled.delete(pin);
+  }
+
+  async stopAll() {
+    for (const pin of [...this.enabled]) {
+      await this.disable(pin);
+    }
+  }
+}
+
+module.exports = {
+  SoftwarePwm,
+  HardwarePwm
+};
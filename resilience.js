@@ -0,0 +1,172 @@
+// resilience.js - Timeouts, retries and fallbacks for the cloud calls
+// Flaky Wi-Fi shouldn't freeze Billy or leave him silent. Every provider call
+// goes through a FallbackChain:
+//   - each attempt gets a timeout, and is aborted (HTTP request or local
+//     process) when it runs out
+//   - transient failures (timeouts, dropped connections, 429 and 5xx) are
+//     retried a few times with exponential backoff
+//   - when a provider still fails, the next one in the chain gets a go, e.g.
+//     OpenAI TTS, then espeak-ng
+// What happens once the whole chain has failed is up to the caller (see
+// fallback-clips.js for the lines Billy falls back to).
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Network error codes worth another try
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'];
+
+const MAX_BACKOFF = 10000; // ms - also caps the server's Retry-After
+
+// Whether an error is likely to go away if the call is simply repeated
+function isTransient(error) {
+  if (error instanceof TimeoutError) return true;
+
+  // HTTP errors from the Anthropic and OpenAI SDKs carry the status
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (TRANSIENT_CODES.includes(code)) return true;
+  return /APIConnection(Timeout)?Error/.test(error.name) || /fetch failed|socket hang up/i.test(error.message);
+}
+
+// ms the server asked us to wait (Retry-After header), or 0
+function retryAfter(error) {
+  const header = error.headers && (typeof error.headers.get === 'function'
+    ? error.headers.get('retry-after')
+    : error.headers['retry-after']);
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Run work(signal), giving up after ms (0 = no limit)
+// The signal is aborted on timeout so the work can cancel itself - and when
+// the caller's own signal (if any) is aborted
+async function withTimeout(work, ms, signal = null) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) cancel();
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+  try {
+    return await runWithTimeout(work, ms, controller);
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+// withTimeout() once the AbortController is set up
+async function runWithTimeout(work, ms, controller) {
+  const pending = work(controller.signal);
+  if (!ms) return pending;
+
+  // A call that finishes (or fails) after the timeout is no longer anyone's concern
+  pending.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(ms));
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([pending, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run work(signal) with a timeout per attempt, retrying transient failures
+// options: { retries, backoff (ms before the first retry, doubling after),
+//            timeout, label, canRetry(error) - false stops retrying,
+//            signal - aborting it cancels the attempt and gives up }
+async function withRetry(work, options = {}) {
+  const { retries = 2, backoff = 500, timeout = 0, label = 'Call', canRetry = () => true, signal = null } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(work, timeout, signal);
+    } catch (error) {
+      const cancelled = signal && signal.aborted;
+      if (cancelled || attempt >= retries || !isTransient(error) || !canRetry(error)) {
+        throw error;
+      }
+
+      // A little jitter so several fish don't hammer a recovering server in step
+      const delay = Math.min(MAX_BACKOFF, Math.max(retryAfter(error), backoff * 2 ** attempt * (0.8 + Math.random() * 0.4)));
+      console.log(`⚠️  ${label} failed (${error.message}) - retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Providers of one kind, tried in order until one succeeds
+class FallbackChain {
+  // kind: e.g. 'TTS', for log lines
+  // factories: functions creating each provider - only called when needed
+  // policy: { timeout, retries, backoff } for every provider
+  constructor(kind, factories, policy = {}) {
+    this.kind = kind;
+    this.factories = factories;
+    this.policy = policy;
+    this.providers = [];
+  }
+
+  provider(index) {
+    if (!this.providers[index]) {
+      this.providers[index] = this.factories[index]();
+    }
+    return this.providers[index];
+  }
+
+  get primary() {
+    return this.provider(0);
+  }
+
+  // Resolve with call(provider, signal) from the first provider that succeeds;
+  // rejects with the last error if they all fail
+  // canRetry(error): false gives up on the whole chain, e.g. once a streamed
+  // reply has started being spoken
+  // signal: aborting it cancels the call in progress (no retries or fallbacks)
+  async run(call, { canRetry = () => true, signal = null } = {}) {
+    let lastError = null;
+
+    for (let i = 0; i < this.factories.length; i++) {
+      let provider;
+      try {
+        provider = this.provider(i);
+        return await withRetry(signal => call(provider, signal), {
+          ...this.policy,
+          label: `${this.kind} (${provider.name})`,
+          canRetry,
+          signal
+        });
+      } catch (error) {
+        lastError = error;
+        if (!canRetry(error) || (signal && signal.aborted)) break;
+        if (i < this.factories.length - 1) {
+          console.log(`⚠️  ${this.kind} ${provider ? provider.name : 'provider'} unavailable (${error.message}) - falling back`);
+        }
+      }
+    }
+    throw lastError;
+  }
+}
+
+module.exports = {
+  MAX_BACKOFF,
+  TimeoutError,
+  isTransient,
+  withTimeout,
+  withRetry,
+  FallbackChain
+};
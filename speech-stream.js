@@ -0,0 +1,101 @@
+// speech-stream.js - Helpers for speaking a reply while it is still being written
+//   SentenceSplitter - turns streamed text deltas into complete sentences
+//   AsyncQueue       - ordered hand-off of clips from producer to player
+
+// Words ending in a period that don't end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'jr', 'sr']);
+
+class SentenceSplitter {
+  constructor(options = {}) {
+    // Very short sentences ("Ha!") are merged into the next one - each clip
+    // costs a TTS round trip and a player startup
+    this.minLength = options.minLength || 20;
+    this.buffer = '';
+  }
+
+  // Add streamed text; returns any sentences completed by it
+  push(text) {
+    this.buffer += text;
+    const sentences = [];
+    const boundary = /[.!?]+["')\]]*\s+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = this.buffer.slice(start, end).trim();
+      const lastWord = this.buffer.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+
+      if (ABBREVIATIONS.has(lastWord) || candidate.length < this.minLength) {
+        continue;
+      }
+
+      sentences.push(candidate);
+      start = end;
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+
+  // Whatever is left once the stream ends
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest ? [rest] : [];
+  }
+}
+
+// Promise-based FIFO: producers push values (or promises of values), the
+// consumer iterates with "for await" and waits whenever the queue is empty
+class AsyncQueue {
+  constructor() {
+    this.items = [];
+    this.waiters = [];
+    this.ended = false;
+  }
+
+  push(item) {
+    if (this.ended) return;
+
+    // A rejected promise may sit in the queue for a while before the consumer
+    // awaits it - mark it handled now so Node doesn't report it as unhandled
+    if (item && typeof item.catch === 'function') {
+      item.catch(() => {});
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter({ value: item, done: false });
+    } else {
+      this.items.push(item);
+    }
+  }
+
+  // No more items will be pushed
+  end() {
+    this.ended = true;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter({ value: undefined, done: true });
+    }
+  }
+
+  next() {
+    if (this.items.length > 0) {
+      return Promise.resolve({ value: this.items.shift(), done: false });
+    }
+    if (this.ended) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = {
+  SentenceSplitter,
+  AsyncQueue
+};
@@ -1,6 +1,13 @@
 // test-components.js - Test individual components before running full program
+// Interactive: it asks what you saw and heard. For a check that needs nobody
+// at the keyboard, see doctor.js (npm run doctor).
+// Motors are driven through the same driver Billy uses (MOTOR_DRIVER, see
+// motor-drivers.js). Takes --config <file> / --profile <name> as billy-bass.js does.
 
 const readline = require('readline');
+const { CONFIG, configure, MotorController } = require('./billy-bass');
+const { createGpioBackend } = require('./gpio');
+const { probePca9685 } = require('./motor-drivers');
 
 // Color codes for terminal output
 const colors = {
@@ -35,43 +42,46 @@ async function sleep(ms) {
 }
 
 // ============================================================================
-// Test I2C and Robot Hat
+// Test I2C (PCA9685 motor boards)
 // ============================================================================
 async function testI2C() {
   log(colors.cyan, '\n=== Testing I2C Connection ===');
   
+  if (CONFIG.MOTOR_DRIVER !== 'pca9685') {
+    log(colors.yellow, `Motors use ${CONFIG.MOTOR_DRIVER} (MOTOR_DRIVER), not I2C - nothing to test`);
+    return;
+  }
+  
+  let bus;
   try {
-    const i2c = require('i2c-bus');
-    const bus = i2c.openSync(20);
-    
-    log(colors.green, '✓ I2C bus opened successfully');
+    bus = await require('i2c-bus').openPromisified(CONFIG.PCA9685_BUS);
+    log(colors.green, `✓ I2C bus ${CONFIG.PCA9685_BUS} opened successfully`);
     
     // Scan for devices
     log(colors.yellow, '\nScanning I2C bus for devices...');
-    let deviceFound = false;
-    
-    for (let addr = 0x03; addr <= 0x77; addr++) {
-      try {
-        bus.readByteSync(addr, 0);
-        log(colors.green, `✓ Found device at address 0x${addr.toString(16)}`);
-        deviceFound = true;
-      } catch (e) {
-        // Device not found at this address
-      }
+    const addresses = await bus.scan();
+    for (const address of addresses) {
+      log(colors.green, `✓ Found device at address 0x${address.toString(16)}`);
     }
     
-    if (!deviceFound) {
+    if (addresses.length === 0) {
       log(colors.red, '✗ No I2C devices found!');
-      log(colors.yellow, '  Check that Robot Hat is properly connected');
-      log(colors.yellow, '  Run: i2cdetect -y 1');
+      log(colors.yellow, '  Check that the motor HAT is properly connected');
+      log(colors.yellow, `  Run: i2cdetect -y ${CONFIG.PCA9685_BUS}`);
+    } else if (await probePca9685(bus, CONFIG.PCA9685_ADDRESS)) {
+      log(colors.green, `✓ PCA9685 answering at 0x${CONFIG.PCA9685_ADDRESS.toString(16)} (PCA9685_ADDRESS)`);
+    } else {
+      log(colors.red, `✗ No PCA9685 at 0x${CONFIG.PCA9685_ADDRESS.toString(16)} (PCA9685_ADDRESS)`);
+      log(colors.yellow, '  Find it with: node test-motor-addresses.js');
     }
     
-    bus.closeSync();
-    
   } catch (error) {
     log(colors.red, '✗ I2C Error: ' + error.message);
+    log(colors.yellow, '  Make sure i2c-bus is installed: npm install i2c-bus');
     log(colors.yellow, '  Make sure I2C is enabled: sudo raspi-config');
     log(colors.yellow, '  Interface Options → I2C → Enable');
+  } finally {
+    if (bus) await bus.close();
   }
 }
 
@@ -135,54 +145,55 @@ async function testButton() {
 async function testMotors() {
   log(colors.cyan, '\n=== Testing Motors ===');
   
+  const gpio = createGpioBackend(CONFIG.GPIO_BACKEND, { chip: CONFIG.GPIO_CHIP });
+  let motors;
   try {
-    const i2c = require('i2c-bus');
-    const bus = i2c.openSync(20);
-    const address = 0x14;
-    
-    log(colors.green, '✓ Connected to Robot Hat');
-    
-    // Initialize
-    bus.writeByteSync(address, 0x00, 0x00);
-    log(colors.green, '✓ Motor controller initialized');
+    motors = new MotorController(gpio);
+    if (!await motors.init()) {
+      throw new Error(`${motors.driver.name} did not start`);
+    }
+    motors.installEmergencyStop();
+    log(colors.green, `✓ Motor controller initialized (${motors.driver.name})`);
     
-    const motors = ['Body (M1)', 'Mouth (M2)', 'Tail (M3)'];
+    // The body only turns as far as it would for a conversation
+    const runs = {
+      body: { label: 'Body', ms: CONFIG.BODY_TURN_DURATION },
+      mouth: { label: 'Mouth', ms: 1000 },
+      tail: { label: 'Tail', ms: 1000 }
+    };
     
-    for (let i = 0; i < 3; i++) {
-      log(colors.yellow, `\nTesting ${motors[i]}...`);
-      log(colors.yellow, 'Motor should run for 2 seconds');
-      
-      // Register addresses (adjust if needed for your specific hat)
-      const baseReg = 0x20 + (i * 4);
+    for (const [name, { label, ms }] of Object.entries(runs)) {
+      log(colors.yellow, `\nTesting ${label}...`);
+      log(colors.yellow, `Motor should run for ${(ms / 1000).toFixed(1)} seconds`);
       
-      // Forward
-      bus.writeWordSync(address, baseReg, 2000); // Medium speed
-      bus.writeByteSync(address, baseReg + 2, 1); // Forward direction
+      await motors.setMotor(name, 60);
+      await sleep(ms);
+      await motors.setMotor(name, 0);
       
-      await sleep(2000);
-      
-      // Stop
-      bus.writeWordSync(address, baseReg, 0);
-      
-      const answer = await prompt(`Did motor ${i + 1} move? (y/n): `);
+      const answer = await prompt(`Did the ${label.toLowerCase()} move? (y/n): `);
       
       if (answer.toLowerCase() === 'y') {
-        log(colors.green, `✓ Motor ${i + 1} working!`);
+        log(colors.green, `✓ ${label} motor working!`);
       } else {
-        log(colors.red, `✗ Motor ${i + 1} not working`);
-        log(colors.yellow, `  Check M${i + 1} connections on Robot Hat`);
+        const wiring = Object.entries(motors.motors[name])
+          .filter(([, value]) => value !== null)
+          .map(([key, value]) => `${key} ${value}`)
+          .join(', ');
+        log(colors.red, `✗ ${label} motor not working`);
+        log(colors.yellow, `  Check its wiring (${wiring})`);
         log(colors.yellow, `  Verify motor wires are not reversed`);
       }
       
       await sleep(1000);
     }
     
-    bus.closeSync();
-    
   } catch (error) {
     log(colors.red, '✗ Motor test error: ' + error.message);
-    log(colors.yellow, '  Make sure Robot Hat is powered');
-    log(colors.yellow, '  Check I2C connection');
+    log(colors.yellow, '  Make sure the motor board is powered');
+    log(colors.yellow, CONFIG.MOTOR_DRIVER === 'pca9685' ? '  Check I2C connection (option 1)' : '  Check GPIO connections');
+  } finally {
+    if (motors && motors.initialized) await motors.close();
+    await gpio.close();
   }
 }
 
@@ -283,6 +294,7 @@ async function testAPIKeys() {
 // Main Test Menu
 // ============================================================================
 async function main() {
+  configure(process.argv.slice(2));
   console.clear();
   log(colors.cyan, '╔════════════════════════════════════════════╗');
   log(colors.cyan, '║   Billy Bass Component Testing Suite      ║');
@@ -290,7 +302,7 @@ async function main() {
   
   while (true) {
     console.log('\nSelect a test:');
-    console.log('1. Test I2C Connection');
+    console.log('1. Test I2C Connection (PCA9685)');
     console.log('2. Test Button (GPIO)');
     console.log('3. Test Motors');
     console.log('4. Test Audio Recording');
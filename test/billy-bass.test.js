@@ -0,0 +1,225 @@
+// billy-bass.test.js - The whole button-press flow on a simulated GPIO chip
+// Speech providers are stubs and recording/playback are skipped, so this runs
+// without a Pi, a microphone or API keys
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FallbackChain } = require('../resilience');
+const { SimulatedGpio } = require('../gpio');
+const { logger } = require('../logger');
+const { CONFIG, MotorController, BillyBass, AudioManager, FishAI } = require('../billy-bass');
+
+const QUESTION = 'What do fish like to read?';
+const REPLY = 'Anything with a good hook!';
+const TEST_WAV = path.join(__dirname, '..', 'test.wav');
+
+const chain = (kind, provider) => new FallbackChain(kind, [() => provider], { retries: 0, backoff: 0, timeout: 5000 });
+
+const stt = {
+  name: 'stub STT',
+  transcribe: async () => QUESTION
+};
+
+const llm = {
+  name: 'stub LLM',
+  complete: async () => REPLY,
+  stream: async (request, onText) => {
+    onText(REPLY);
+    return REPLY;
+  }
+};
+
+const tts = {
+  name: 'stub TTS',
+  extension: '.wav',
+  synthesize: async (text, outputFile) => {
+    fs.copyFileSync(TEST_WAV, outputFile);
+    return outputFile;
+  }
+};
+
+let dir;
+let saved;
+let logLevel;
+
+before(() => {
+  // Billy's progress logs would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+  logLevel = logger.level;
+  logger.configure({ level: 'warn' });
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'billy-test-'));
+  saved = { ...CONFIG };
+  Object.assign(CONFIG, {
+    MOTOR_PWM_MODE: 'none', // One write per change instead of a PWM stream
+    BODY_TURN_DURATION: 100,
+    BODY_CALIBRATION_FILE: null,
+    CONVERSATION_FILE: null,
+    AI_TOOLS_ENABLED: false,
+    TTS_CACHE_DIR: null,
+    TTS_OUTPUT_FILE: path.join(dir, 'reply.wav'),
+    FALLBACK_CLIPS_DIR: dir
+  });
+});
+
+after(() => {
+  logger.configure({ level: logLevel });
+  Object.assign(CONFIG, saved);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What a motor did, from the writes to its two bridge inputs (the driver
+// writes both for every change): [{ time, state }] without repeats
+const STATES = { '00': 'off', '10': 'forward', '01': 'reverse', '11': 'brake' };
+
+function motions(gpio, pin1, pin2) {
+  const in2 = gpio.writesFor(pin2);
+  const states = gpio.writesFor(pin1).map((write, i) => ({ time: write.time, state: STATES[`${write.value}${in2[i].value}`] }));
+  return states.filter((motion, i) => i === 0 || motion.state !== states[i - 1].state);
+}
+
+// The states appear in this order (others may come in between)
+function assertInOrder(list, states) {
+  let next = 0;
+  for (const motion of list) {
+    if (motion.state === states[next]) next++;
+  }
+  assert.equal(next, states.length, `expected ${states.join(' -> ')}, got ${list.map(motion => motion.state).join(' -> ')}`);
+}
+
+// Resolves once the interaction started by a press has finished
+function nextInteraction(billy) {
+  return new Promise((resolve) => {
+    const handleButtonPress = billy.handleButtonPress.bind(billy);
+    billy.handleButtonPress = (...args) => {
+      const interaction = handleButtonPress(...args);
+      resolve(interaction);
+      return interaction;
+    };
+  });
+}
+
+for (const streaming of [true, false]) {
+  test(`a button press turns, talks and returns (${streaming ? 'streamed' : 'whole'} reply)`, async () => {
+    CONFIG.AI_STREAMING = streaming;
+
+    const gpio = new SimulatedGpio();
+    const audioManager = new AudioManager();
+    audioManager.chains = { stt: chain('Speech-to-text', stt), tts: chain('Text-to-speech', tts) };
+    audioManager.recordUtterance = async () => ({ spoke: true, file: path.join(dir, 'question.wav') });
+    audioManager.playAudio = async () => {};
+    const fishAI = new FishAI();
+    fishAI.chat = chain('Chat', llm);
+
+    const billy = new BillyBass({ gpio, audioManager, fishAI, history: null });
+    try {
+      assert.equal(await billy.init(), true);
+      gpio.reset();
+
+      const interaction = nextInteraction(billy);
+      await gpio.press(CONFIG.BUTTON_PIN, 100);
+      await interaction;
+    } finally {
+      billy.buttonWatcher();
+      billy.buttons.stop();
+      await billy.motorController.close();
+      await gpio.close();
+    }
+
+    assert.equal(billy.lastTranscript, QUESTION);
+    assert.equal(billy.lastReply, REPLY);
+    assert.equal(billy.lastError, null);
+    assert.deepEqual(fishAI.conversation.getMessages(), [
+      { role: 'user', content: QUESTION },
+      { role: 'assistant', content: REPLY }
+    ]);
+
+    const body = motions(gpio, CONFIG.MOTOR_BODY_PIN1, CONFIG.MOTOR_BODY_PIN2);
+    const mouth = motions(gpio, CONFIG.MOTOR_MOUTH_PIN1, CONFIG.MOTOR_MOUTH_PIN2);
+    const tail = motions(gpio, CONFIG.MOTOR_TAIL_PIN1, CONFIG.MOTOR_TAIL_PIN2);
+
+    // Body: turns toward the user and brakes to hold there, then drives home
+    assertInOrder(body, ['forward', 'brake', 'reverse', 'off']);
+    const turned = body.find(motion => motion.state === 'brake').time;
+    const leaving = body.find(motion => motion.state === 'reverse').time;
+
+    // Mouth and tail move while he's facing the user
+    const opens = mouth.filter(motion => motion.state === 'forward');
+    assert.ok(opens.length >= 3, `mouth opened ${opens.length} times`);
+    const wags = tail.filter(motion => motion.state === 'forward' || motion.state === 'reverse');
+    assert.ok(new Set(wags.map(motion => motion.state)).size === 2, 'tail didn\'t wag both ways');
+    for (const motion of [...opens, ...wags]) {
+      assert.ok(motion.time >= turned && motion.time < leaving, `${motion.state} at ${motion.time} while the body was away`);
+    }
+
+    // Everything stopped at the end
+    for (const motor of [body, mouth, tail]) {
+      assert.equal(motor.at(-1).state, 'off');
+    }
+  });
+}
+
+// Run fn with a Billy on a fresh simulated chip, shutting him down afterwards
+async function withBilly(fn) {
+  const gpio = new SimulatedGpio();
+  const billy = new BillyBass({ gpio, history: null });
+  try {
+    assert.equal(await billy.init(), true);
+    await fn(billy);
+  } finally {
+    billy.buttonWatcher();
+    billy.buttons.stop();
+    await billy.motorController.close();
+    await gpio.close();
+  }
+}
+
+test('a stop only ends the interaction it interrupted', () => withBilly(async (billy) => {
+  await billy.runInteraction('stopped', async () => {
+    await billy.stop();
+    billy.checkStopped();
+  }, { turn: false });
+
+  assert.equal(billy.isProcessing, false);
+  assert.equal(billy.cutOff, false);
+  assert.doesNotThrow(() => billy.checkStopped());
+}));
+
+test('a barge-in that ends the interaction doesn\'t cut off what comes after', () => withBilly(async (billy) => {
+  const saved = CONFIG.BARGE_IN_ACTION;
+  CONFIG.BARGE_IN_ACTION = 'end';
+  try {
+    await billy.runInteraction('interrupted', async () => {
+      billy.speaking = true;
+      billy.audioManager.stop = () => {};
+      assert.equal(billy.bargeIn('button'), true);
+      billy.speaking = false;
+    }, { turn: false });
+  } finally {
+    CONFIG.BARGE_IN_ACTION = saved;
+  }
+
+  assert.equal(billy.bargedIn, null);
+  assert.equal(billy.cutOff, false);
+}));
+
+test('closing the motors removes their emergency stop handlers', async () => {
+  const counts = () => ['uncaughtException', 'unhandledRejection'].map(event => process.listenerCount(event));
+  const before = counts();
+
+  for (let run = 0; run < 3; run++) {
+    const gpio = new SimulatedGpio();
+    const motors = new MotorController(gpio);
+    assert.equal(await motors.init(), true);
+    motors.installEmergencyStop();
+    motors.installEmergencyStop();
+    assert.deepEqual(counts(), before.map(count => count + 1));
+    await motors.close();
+    await gpio.close();
+  }
+
+  assert.deepEqual(counts(), before);
+});
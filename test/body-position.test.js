@@ -0,0 +1,59 @@
+// body-position.test.js - End-stop switches on a simulated GPIO chip
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulatedGpio } = require('../gpio');
+const { LimitSwitches } = require('../body-position');
+
+const TURNED_PIN = 20;
+const HOME_PIN = 21;
+
+// Like the gpiod session backend, a watch takes the line while it reads its
+// starting level - a read of the line meanwhile fails as busy
+class BusyWhileSeeding extends SimulatedGpio {
+  constructor() {
+    super();
+    this.seeding = new Set();
+  }
+
+  async read(pin) {
+    if (this.seeding.has(pin)) throw new Error(`GPIO ${pin} busy`);
+    return super.read(pin);
+  }
+
+  watch(pin, onChange) {
+    this.seeding.add(pin);
+    setTimeout(() => this.seeding.delete(pin), 10);
+    return super.watch(pin, onChange);
+  }
+}
+
+test('switches start from the level they are at', async () => {
+  const gpio = new BusyWhileSeeding();
+  gpio.setInput(HOME_PIN, 0); // Resting at home
+  const switches = new LimitSwitches(gpio, { turnedPin: TURNED_PIN, homePin: HOME_PIN });
+
+  await switches.start();
+  try {
+    assert.deepEqual(switches.levels, { turned: 1, home: 0 });
+    assert.equal(await switches.waitForStop('home', 50), true);
+    assert.equal(await switches.waitForStop('turned', 50), false);
+  } finally {
+    switches.stop();
+  }
+});
+
+test('reaching a stop is seen from its edge', async () => {
+  const gpio = new SimulatedGpio();
+  const switches = new LimitSwitches(gpio, { turnedPin: TURNED_PIN });
+  await switches.start();
+  assert.equal(switches.covers('home'), false);
+
+  try {
+    const reached = switches.waitForStop('turned', 1000);
+    setTimeout(() => gpio.setInput(TURNED_PIN, 0), 20);
+    assert.equal(await reached, true);
+  } finally {
+    switches.stop();
+  }
+});
@@ -0,0 +1,55 @@
+// button-gestures.test.js - classify() over synthetic button edges
+// Buttons are active low (0 = pressed) and the defaults apply:
+// debounce 30ms, longPress 2000ms, doubleGap 400ms
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classify } = require('../button-gestures');
+
+const edges = (...pairs) => pairs.map(([value, time]) => ({ value, time }));
+
+test('a short press fires doubleGap after the release', () => {
+  assert.deepEqual(classify(edges([0, 0], [1, 120])), [{ type: 'short', time: 520 }]);
+});
+
+test('a press held for exactly longPress is a long press', () => {
+  assert.deepEqual(classify(edges([0, 0], [1, 2000])), [{ type: 'long', time: 2000 }]);
+});
+
+test('a press released just under longPress is a short press', () => {
+  // The release is only debounced at 2029, after the long press deadline
+  assert.deepEqual(classify(edges([0, 0], [1, 1999])), [{ type: 'short', time: 2399 }]);
+});
+
+test('a long press fires while still held', () => {
+  assert.deepEqual(classify(edges([0, 0])), [{ type: 'long', time: 2000 }]);
+});
+
+test('a second press inside doubleGap is a double press', () => {
+  assert.deepEqual(classify(edges([0, 0], [1, 100], [0, 499], [1, 600])), [{ type: 'double', time: 529 }]);
+});
+
+test('a second press just outside doubleGap is two short presses', () => {
+  assert.deepEqual(classify(edges([0, 0], [1, 100], [0, 500], [1, 600])), [
+    { type: 'short', time: 500 },
+    { type: 'short', time: 1000 }
+  ]);
+});
+
+test('contact bounce shorter than debounce is ignored', () => {
+  // A glitch on its own
+  assert.deepEqual(classify(edges([0, 0], [1, 29])), []);
+
+  // Bounce on press and release of one short press
+  assert.deepEqual(classify(edges([0, 0], [1, 5], [0, 10], [1, 120], [0, 125], [1, 130])), [
+    { type: 'short', time: 530 }
+  ]);
+
+  // Bounce after a release, inside doubleGap, isn't a second press
+  assert.deepEqual(classify(edges([0, 0], [1, 100], [0, 300], [1, 320])), [{ type: 'short', time: 500 }]);
+});
+
+test('a release without a prior press is ignored', () => {
+  assert.deepEqual(classify(edges([1, 0])), []);
+  assert.deepEqual(classify(edges([1, 0], [1, 50], [1, 3000])), []);
+});
@@ -0,0 +1,143 @@
+// config.test.js - Settings layering (file, profile, environment) and validation
+// Every test passes its own environment and config file, so neither the real
+// environment nor a billy-bass.config.json in the checkout gets in the way
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, ConfigError, loadConfig, parseArgs } = require('../config');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'billy-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig(name, contents) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+const FILE = {
+  TTS_VOICE: 'nova',
+  LOG_LEVEL: 'debug',
+  profile: 'quiet',
+  profiles: {
+    quiet: { TTS_VOICE: 'shimmer', VAD_THRESHOLD: 4 },
+    loud: { VAD_THRESHOLD: 2 }
+  }
+};
+
+// The problems a load reports (fails if it doesn't throw)
+function issuesOf(options) {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    return error.issues;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('file, then profile, then BILLY_* environment win over the defaults', () => {
+  const file = writeConfig('layers.json', FILE);
+
+  const config = loadConfig({ file, env: { BILLY_LOG_LEVEL: 'warn' } });
+  assert.equal(config.TTS_VOICE, 'shimmer'); // Profile over file
+  assert.equal(config.VAD_THRESHOLD, 4);
+  assert.equal(config.LOG_LEVEL, 'warn'); // Environment over file
+  assert.equal(config.BUTTON_PIN, DEFAULTS.BUTTON_PIN);
+  assert.equal(config.SOURCE, `${file}, profile "quiet"`);
+  assert.ok(!Object.keys(config).includes('SOURCE'));
+});
+
+test('the profile comes from the options, then BILLY_PROFILE, then the file', () => {
+  const file = writeConfig('profiles.json', FILE);
+
+  assert.equal(loadConfig({ file, env: {} }).VAD_THRESHOLD, 4);
+  assert.equal(loadConfig({ file, env: { BILLY_PROFILE: 'loud' } }).VAD_THRESHOLD, 2);
+  assert.equal(loadConfig({ file, profile: 'quiet', env: { BILLY_PROFILE: 'loud' } }).VAD_THRESHOLD, 4);
+});
+
+test('the config file can come from BILLY_CONFIG and be YAML', () => {
+  const file = writeConfig('billy.yaml', 'TTS_VOICE: echo\nCONVERSATION_FILE: null\n');
+  const config = loadConfig({ env: { BILLY_CONFIG: file } });
+  assert.equal(config.TTS_VOICE, 'echo');
+  assert.equal(config.CONVERSATION_FILE, null);
+});
+
+test('environment values are converted to the setting\'s type', () => {
+  const file = writeConfig('empty.json', {});
+  const config = loadConfig({
+    file,
+    env: {
+      BILLY_BUTTON_PIN: '6',
+      BILLY_AI_STREAMING: 'off',
+      BILLY_CONVERSATION_FILE: 'null',
+      ANTHROPIC_API_KEY: 'sk-test'
+    }
+  });
+  assert.equal(config.BUTTON_PIN, 6);
+  assert.equal(config.AI_STREAMING, false);
+  assert.equal(config.CONVERSATION_FILE, null);
+  assert.equal(config.ANTHROPIC_API_KEY, 'sk-test');
+
+  assert.deepEqual(issuesOf({ file, env: { BILLY_BUTTON_PIN: 'six' } }), ['BUTTON_PIN must be a whole number, got "six"']);
+});
+
+test('unknown settings and profiles are reported together', () => {
+  const file = writeConfig('typos.json', { TTS_VOCE: 'nova', profiles: { quiet: { VAD_TRESHOLD: 4 } } });
+
+  assert.deepEqual(issuesOf({ file, profile: 'quiet', env: {} }), [
+    'config file: unknown setting "TTS_VOCE"',
+    'profile "quiet": unknown setting "VAD_TRESHOLD"'
+  ]);
+  assert.deepEqual(issuesOf({ file, profile: 'party', env: {} }), [
+    'config file: unknown setting "TTS_VOCE"',
+    'profile "party" not found (available: quiet)'
+  ]);
+});
+
+test('an unreadable or malformed file is a ConfigError', () => {
+  assert.match(issuesOf({ file: path.join(dir, 'missing.json'), env: {} })[0], /^cannot read file/);
+  assert.match(issuesOf({ file: writeConfig('broken.json', '{ "TTS_VOICE": '), env: {} })[0], /^cannot parse file/);
+  assert.match(issuesOf({ file: writeConfig('list.json', '[]'), env: {} })[0], /top level must be an object/);
+});
+
+// Each setting combination and the one problem it should cause
+const CONFLICTS = [
+  [{ BUTTON_PIN: DEFAULTS.MOTOR_MOUTH_PIN1 }, `BUTTON_PIN ${DEFAULTS.MOTOR_MOUTH_PIN1} is already used by MOTOR_MOUTH_PIN1`],
+  [{ MOTOR_DRIVER: 'pca9685', MOTOR_MOUTH_CHANNEL1: DEFAULTS.MOTOR_BODY_CHANNEL1 },
+    `MOTOR_MOUTH_CHANNEL1 ${DEFAULTS.MOTOR_BODY_CHANNEL1} is already used by MOTOR_BODY_CHANNEL1`],
+  [{ BODY_LIMIT_PIN: DEFAULTS.BUTTON_PIN }, `BODY_LIMIT_PIN ${DEFAULTS.BUTTON_PIN} is already used by BUTTON_PIN`],
+  [{ BODY_TURN_DURATION: DEFAULTS.MOTOR_MAX_ON_TIME },
+    `BODY_TURN_DURATION (${DEFAULTS.MOTOR_MAX_ON_TIME}) must be shorter than MOTOR_MAX_ON_TIME (${DEFAULTS.MOTOR_MAX_ON_TIME})`],
+  [{ BODY_SENSOR: 'limit-switch', BODY_LIMIT_PIN: null }, 'BODY_SENSOR "limit-switch" needs BODY_LIMIT_PIN'],
+  [{ BODY_SENSOR: 'current', BODY_CURRENT_FILE: null }, 'BODY_SENSOR "current" needs BODY_CURRENT_FILE and BODY_STALL_THRESHOLD'],
+  [{ IDLE_MIN_INTERVAL: 60000, IDLE_MAX_INTERVAL: 30000 }, 'IDLE_MIN_INTERVAL must not be above IDLE_MAX_INTERVAL'],
+  [{ WEATHER_PROVIDER: 'open-meteo', WEATHER_LATITUDE: null }, 'WEATHER_PROVIDER "open-meteo" needs WEATHER_LATITUDE and WEATHER_LONGITUDE'],
+  [{ WEATHER_PROVIDER: 'url', WEATHER_URL: null }, 'WEATHER_PROVIDER "url" needs WEATHER_URL'],
+  [{ LIP_SYNC_OPEN_THRESHOLD: 0.2, LIP_SYNC_CLOSE_THRESHOLD: 0.3 }, 'LIP_SYNC_CLOSE_THRESHOLD must not be above LIP_SYNC_OPEN_THRESHOLD']
+];
+
+test('conflicting settings are rejected', () => {
+  for (const [settings, problem] of CONFLICTS) {
+    const file = writeConfig('conflict.json', settings);
+    assert.deepEqual(issuesOf({ file, env: {} }), [problem], JSON.stringify(settings));
+  }
+});
+
+test('--config and --profile are picked out of the arguments', () => {
+  assert.deepEqual(parseArgs(['--config', 'a.json', 'say', '--profile=quiet', 'hi']), {
+    rest: ['say', 'hi'],
+    file: 'a.json',
+    profile: 'quiet'
+  });
+});
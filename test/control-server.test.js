@@ -0,0 +1,31 @@
+// control-server.test.js - Background work started by the control API
+// A stand-in Billy whose interactions fail; no HTTP server is started
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ControlServer } = require('../control-server');
+
+before(() => {
+  mock.method(console, 'error', () => {});
+});
+
+const failing = async () => {
+  throw new Error('motor driver gone');
+};
+
+test('a failed interaction is reported in the status, not thrown', async () => {
+  const billy = {
+    isProcessing: false,
+    lastError: null,
+    handleButtonPress: failing,
+    say: failing
+  };
+  const server = new ControlServer(billy);
+
+  assert.deepEqual(server.interact(), { accepted: true });
+  assert.deepEqual(server.say({ text: 'Hello' }), { accepted: true });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(billy.lastError.message, 'motor driver gone');
+  assert.ok(billy.lastError.time);
+});
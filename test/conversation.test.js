@@ -0,0 +1,54 @@
+// conversation.test.js - Conversation memory: expiry and the token budget
+// Sessions stay in memory (no file), and a reset's log line is silenced
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConversationSession } = require('../conversation');
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('an idle timeout of 0 forgets after every answer', () => {
+  const session = new ConversationSession({ idleTimeout: 0 });
+  session.addExchange('Hi', 'Hello there!');
+  assert.deepEqual(session.getMessages(), []);
+});
+
+test('a budget of 0 keeps just the last exchange', () => {
+  const session = new ConversationSession({ maxTokens: 0 });
+  session.addExchange('Hi', 'Hello there!');
+  session.addExchange('Why?', 'Because I\'m a fish.');
+  assert.deepEqual(session.getMessages(), [
+    { role: 'user', content: 'Why?' },
+    { role: 'assistant', content: 'Because I\'m a fish.' }
+  ]);
+});
+
+test('the oldest exchanges are dropped once the history passes the budget', () => {
+  // 40 characters is 10 estimated tokens, so each exchange costs 20
+  const line = n => `${n}`.padEnd(40, '.');
+  const session = new ConversationSession({ maxTokens: 50 });
+  for (let n = 1; n <= 4; n++) {
+    session.addExchange(line(n), line(n));
+  }
+
+  const messages = session.getMessages();
+  assert.deepEqual(messages.map(message => message.content[0]), ['3', '3', '4', '4']);
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+});
+
+test('a single exchange over the budget is kept whole', () => {
+  const session = new ConversationSession({ maxTokens: 10 });
+  session.addExchange('Tell me a story', 'Once upon a time, '.repeat(20));
+  assert.equal(session.getMessages().length, 2);
+});
+
+test('memory is forgotten after the idle timeout', () => {
+  const session = new ConversationSession({ idleTimeout: 1000 });
+  session.addExchange('Hi', 'Hello there!');
+  assert.equal(session.getMessages().length, 2);
+
+  session.lastActivity -= 1000;
+  assert.deepEqual(session.getMessages(), []);
+});
@@ -0,0 +1,111 @@
+// doctor.test.js - billy doctor's parsing and checks, with commands and HTTP
+// stubbed out (see the run/fetch options of Doctor)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Doctor, diagnose, parseGpioinfo } = require('../doctor');
+const { loadConfig } = require('../config');
+
+const ENV = {
+  BILLY_GPIO_BACKEND: 'simulated',
+  ANTHROPIC_API_KEY: 'test-anthropic-key',
+  OPENAI_API_KEY: 'test-openai-key'
+};
+
+// A sound card and a command that always works
+const SOUND_CARD = 'card 3: Device [USB Audio Device], device 0: USB Audio [USB Audio]\n';
+const run = async (command, args) => ({ code: 0, stdout: args[0] === '-l' ? SOUND_CARD : '', stderr: '' });
+
+test('parseGpioinfo reads libgpiod 1.x output', () => {
+  const lines = parseGpioinfo([
+    'gpiochip0 - 54 lines:',
+    '\tline   5:      "GPIO5"       unused   input  active-high ',
+    '\tline  17:     "GPIO17"    "gpioset"  output  active-high [used]',
+    '\tline  18:      unnamed   "kernel"   input  active-high [used]'
+  ].join('\n'));
+
+  assert.deepEqual([...lines], [
+    [5, { name: 'GPIO5', used: false, consumer: null }],
+    [17, { name: 'GPIO17', used: true, consumer: 'gpioset' }],
+    [18, { name: 'unnamed', used: true, consumer: 'kernel' }]
+  ]);
+});
+
+test('parseGpioinfo reads libgpiod 2.x output', () => {
+  const lines = parseGpioinfo([
+    'gpiochip0 - 54 lines:',
+    '\tline   5:\t"GPIO5"         \tinput',
+    '\tline  17:\t"GPIO17"        \toutput consumer="gpioset"',
+    '\tline  18:\tunnamed\tinput consumer=kernel'
+  ].join('\n'));
+
+  assert.deepEqual([...lines], [
+    [5, { name: 'GPIO5', used: false, consumer: null }],
+    [17, { name: 'GPIO17', used: true, consumer: 'gpioset' }],
+    [18, { name: 'unnamed', used: true, consumer: 'kernel' }]
+  ]);
+});
+
+test('checkKey judges a key by the answer', async () => {
+  const config = loadConfig({ env: ENV });
+  const answers = [
+    [{ ok: true, status: 200 }, 'pass', /accepted/],
+    [{ ok: false, status: 401 }, 'fail', /rejected \(HTTP 401\)/],
+    [{ ok: false, status: 429 }, 'warn', /could not be checked/],
+    [{ ok: false, status: 503 }, 'warn', /could not be checked/]
+  ];
+
+  for (const [response, status, message] of answers) {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, headers: init.headers });
+      return response;
+    };
+    const check = await new Doctor(config, { run, fetch }).checkAnthropic();
+
+    assert.equal(check.status, status, `HTTP ${response.status}`);
+    assert.match(check.message, message);
+    assert.equal(check.httpStatus, response.status);
+    assert.deepEqual(requests, [{
+      url: config.DOCTOR_ANTHROPIC_URL,
+      headers: { 'x-api-key': 'test-anthropic-key', 'anthropic-version': '2023-06-01' }
+    }]);
+  }
+});
+
+test('checkKey fails when the endpoint cannot be reached', async () => {
+  const config = loadConfig({ env: ENV });
+  const fetch = async () => {
+    throw Object.assign(new TypeError('fetch failed'), { cause: new Error('getaddrinfo ENOTFOUND api.openai.com') });
+  };
+  const check = await new Doctor(config, { run, fetch }).checkOpenAI();
+
+  assert.equal(check.status, 'fail');
+  assert.equal(check.message, `cannot reach ${config.DOCTOR_OPENAI_URL}: getaddrinfo ENOTFOUND api.openai.com`);
+});
+
+test('diagnose() on the simulated chip, offline', async () => {
+  const fetch = async (url) => assert.fail(`fetched ${url} while offline`);
+  const report = await diagnose({ env: ENV }, { offline: true, run, fetch });
+  const checks = Object.fromEntries(report.checks.map(check => [check.name, check]));
+
+  assert.equal(report.gpioBackend, 'simulated');
+  assert.equal(checks.config.status, 'pass');
+  assert.equal(checks['gpio-tools'].status, 'skip');
+  assert.equal(checks['gpio-lines'].status, 'pass');
+  assert.equal(checks['gpio-inputs'].status, 'pass');
+  assert.equal(checks['gpio-inputs'].message, 'button released');
+  assert.equal(checks['audio-capture'].status, 'pass');
+  assert.equal(checks['audio-playback'].status, 'pass');
+  assert.deepEqual(checks['audio-capture'].devices, ['hw:3,0 (USB Audio Device)']);
+  for (const name of ['anthropic-api', 'openai-api']) {
+    assert.deepEqual([checks[name].status, checks[name].message], ['skip', '--offline']);
+  }
+  assert.equal(checks['local-llm'].status, 'skip');
+
+  // Every check ran, and the summary counts them
+  assert.equal(report.checks.length, 11);
+  const counted = Object.values(report.summary).reduce((sum, count) => sum + count, 0);
+  assert.equal(counted, report.checks.length);
+  assert.equal(report.ok, report.summary.fail === 0);
+});
@@ -0,0 +1,77 @@
+// history.test.js - Interaction history statistics and the --since/--until parser
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStats, parseWhen } = require('../history');
+
+// A stored record with just the fields the statistics read
+const record = (stages, extra = {}) => ({
+  stages,
+  responseMs: null,
+  totalMs: Object.values(stages).reduce((sum, ms) => sum + ms, 0),
+  errors: [],
+  stopped: false,
+  ...extra
+});
+
+test('stage statistics use nearest-rank percentiles', () => {
+  // llm times 100, 200 ... 2000
+  const records = Array.from({ length: 20 }, (_, i) => record({ llm: (i + 1) * 100 }, { responseMs: 1000 }));
+  const stats = computeStats(records);
+
+  assert.deepEqual(stats.stages.llm, { count: 20, avg: 1050, p50: 1000, p95: 1900, max: 2000 });
+  assert.deepEqual(stats.response, { count: 20, avg: 1000, p50: 1000, p95: 1000, max: 1000 });
+  assert.equal(stats.interactions, 20);
+});
+
+test('stages an interaction skipped and missing response times are left out', () => {
+  const stats = computeStats([
+    record({ turn: 800, playback: 3000 }),
+    record({ playback: 1000 }, { errors: ['TTS failed'], stopped: true }),
+    record({ turn: 600 }, { responseMs: 1200 })
+  ]);
+
+  assert.deepEqual(Object.keys(stats.stages), ['turn', 'playback']);
+  assert.equal(stats.stages.turn.count, 2);
+  assert.equal(stats.stages.playback.avg, 2000);
+  assert.deepEqual(stats.response, { count: 1, avg: 1200, p50: 1200, p95: 1200, max: 1200 });
+  assert.equal(stats.withErrors, 1);
+  assert.equal(stats.stopped, 1);
+});
+
+test('no records give empty statistics', () => {
+  assert.deepEqual(computeStats([]), {
+    interactions: 0,
+    withErrors: 0,
+    stopped: 0,
+    response: null,
+    total: null,
+    stages: {}
+  });
+});
+
+test('today, yesterday and bare dates are local midnight', () => {
+  const today = parseWhen('today');
+  assert.deepEqual([today.getHours(), today.getMinutes(), today.getSeconds(), today.getMilliseconds()], [0, 0, 0, 0]);
+  assert.equal(today.toDateString(), new Date().toDateString());
+  assert.equal(today - parseWhen('yesterday'), 24 * 60 * 60 * 1000);
+
+  const date = parseWhen('2026-10-18');
+  assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()], [2026, 9, 18, 0]);
+});
+
+test('ages count back from now and ISO times are taken as given', () => {
+  for (const [age, ms] of [['30m', 30 * 60 * 1000], ['2h', 2 * 60 * 60 * 1000], ['7d', 7 * 24 * 60 * 60 * 1000]]) {
+    const before = Date.now();
+    const when = parseWhen(age).getTime();
+    const after = Date.now();
+    assert.ok(when >= before - ms && when <= after - ms, `${age} was ${after - when} ms ago`);
+  }
+  assert.equal(parseWhen('2026-10-18T17:04:12Z').toISOString(), '2026-10-18T17:04:12.000Z');
+});
+
+test('anything else is an error', () => {
+  for (const value of ['last week', '2x', '']) {
+    assert.throws(() => parseWhen(value), /Don't know when/, JSON.stringify(value));
+  }
+});
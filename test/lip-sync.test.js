@@ -0,0 +1,72 @@
+// lip-sync.test.js - Mouth schedules worked out from test.wav
+// The envelope is computed separately here, so the schedule is checked
+// against the loudness of the audio rather than against itself
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULTS, decodeAudio, computeEnvelope, buildSchedule, analyzeAudio } = require('../lip-sync');
+
+const TEST_WAV = path.join(__dirname, '..', 'test.wav');
+const SILENT_WAV = path.join(__dirname, '..', 'test2.wav');
+
+test('mouth events alternate open/close within the file', async () => {
+  const { samples, sampleRate } = await decodeAudio(TEST_WAV);
+  const schedule = await analyzeAudio(TEST_WAV);
+  const { mouth, duration } = schedule;
+
+  assert.equal(duration, samples.length / sampleRate * 1000);
+  assert.ok(mouth.length >= 2, `only ${mouth.length} mouth events`);
+  assert.equal(mouth.length % 2, 0, 'the mouth was left open');
+
+  mouth.forEach((event, i) => {
+    assert.equal(event.action, i % 2 === 0 ? 'open' : 'close', `event ${i} at ${event.time}ms`);
+    if (i > 0) assert.ok(event.time > mouth[i - 1].time, `event ${i} at ${event.time}ms is out of order`);
+
+    // A close at the very end is rounded up to the last frame
+    assert.ok(event.time >= 0 && event.time <= duration + DEFAULTS.frameMs, `event ${i} at ${event.time}ms`);
+  });
+});
+
+test('the mouth opens on loud frames and every loud stretch opens it', async () => {
+  const { samples, sampleRate } = await decodeAudio(TEST_WAV);
+  const { frameMs, values } = computeEnvelope(samples, sampleRate);
+  const { mouth } = await analyzeAudio(TEST_WAV);
+  const loud = f => values[f] >= DEFAULTS.openThreshold;
+
+  const opens = mouth.filter(event => event.action === 'open');
+  for (const { time } of opens) {
+    assert.ok(loud(time / frameMs), `opened at ${time}ms on a quiet frame (${values[time / frameMs]})`);
+  }
+
+  // Open intervals in frames: [openFrame, closeFrame)
+  const intervals = [];
+  for (let i = 0; i < mouth.length; i += 2) {
+    intervals.push([mouth[i].time / frameMs, mouth[i + 1].time / frameMs]);
+  }
+  const openAt = f => intervals.some(([start, end]) => f >= start && f < end);
+
+  for (let f = 0; f < values.length; f++) {
+    if (!loud(f) || loud(f - 1)) continue;
+
+    // A syllable starts at frame f - the mouth must be open during it
+    let end = f;
+    while (loud(end)) end++;
+    const covered = Array.from({ length: end - f }, (_, k) => f + k).some(openAt);
+    assert.ok(covered, `loud from ${f * frameMs}ms to ${end * frameMs}ms with the mouth shut`);
+  }
+});
+
+test('silence never opens the mouth', async () => {
+  const { mouth } = await analyzeAudio(SILENT_WAV);
+  assert.deepEqual(mouth, []);
+});
+
+test('low-level hiss never opens the mouth', () => {
+  // 5 seconds of +-0.001 noise - on its own it would normalize up to full scale
+  const sampleRate = 16000;
+  const samples = Float32Array.from({ length: sampleRate * 5 }, () => (Math.random() * 2 - 1) * 0.001);
+  const { mouth, tail } = buildSchedule(samples, sampleRate);
+  assert.deepEqual(mouth, []);
+  assert.deepEqual(tail, []);
+});
@@ -0,0 +1,55 @@
+// providers.test.js - What the chat providers send, with their API clients stubbed
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TOOL_GUIDANCE, ToolRegistry } = require('../tools');
+const { AnthropicChat, OpenAICompatibleChat } = require('../providers');
+
+const tools = new ToolRegistry().register({
+  name: 'get_current_time',
+  description: 'The current time.',
+  inputSchema: { type: 'object', properties: {} },
+  run: () => ({ time: '12:00' })
+});
+
+const REQUEST = { system: 'You are Billy.', messages: [{ role: 'user', content: 'What time is it?' }], maxTokens: 20, tools };
+
+test('Claude gets the tools and the guidance on using them', async () => {
+  const chat = new AnthropicChat({ apiKey: 'test-key', model: 'test-model' });
+  const bodies = [];
+  chat.client = {
+    messages: {
+      create: async (body) => {
+        bodies.push(body);
+        return { content: [{ type: 'text', text: 'Noon!' }], stop_reason: 'end_turn' };
+      }
+    }
+  };
+
+  assert.equal(await chat.complete(REQUEST), 'Noon!');
+  assert.equal(bodies[0].system, `You are Billy.\n${TOOL_GUIDANCE}`);
+  assert.deepEqual(bodies[0].tools.map(tool => tool.name), ['get_current_time']);
+
+  await chat.complete({ ...REQUEST, tools: null });
+  assert.equal(bodies[1].system, 'You are Billy.');
+  assert.equal(bodies[1].tools, undefined);
+});
+
+test('a provider without tool support isn\'t told to use tools', async () => {
+  const chat = new OpenAICompatibleChat({ baseURL: 'http://127.0.0.1:1/v1', model: 'test-model' });
+  const bodies = [];
+  chat.client = {
+    chat: {
+      completions: {
+        create: async (body) => {
+          bodies.push(body);
+          return { choices: [{ message: { content: 'About noon.' } }] };
+        }
+      }
+    }
+  };
+
+  assert.equal(await chat.complete(REQUEST), 'About noon.');
+  assert.deepEqual(bodies[0].messages[0], { role: 'system', content: 'You are Billy.' });
+  assert.equal(bodies[0].tools, undefined);
+});
@@ -0,0 +1,168 @@
+// resilience.test.js - Retries, timeouts and fallbacks against a fake HTTP server
+// The real providers (providers.js) talk to a local server that answers each
+// path prefix its own way: /flaky fails twice with 503, /hang never answers...
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS } = require('../config');
+const { MAX_BACKOFF, TimeoutError } = require('../resilience');
+const { createChatChain } = require('../providers');
+const { SimulatedGpio } = require('../gpio');
+const { CONFIG, BillyBass } = require('../billy-bass');
+
+const COMPLETION = {
+  id: 'chatcmpl-test',
+  object: 'chat.completion',
+  choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }]
+};
+
+// Answer for the nth request (from 1) to each scenario
+const SCENARIOS = {
+  ok: () => [200, COMPLETION],
+  flaky: n => (n <= 2 ? [503, { error: { message: 'overloaded' } }] : [200, COMPLETION]),
+  down: () => [500, { error: { message: 'internal error' } }],
+  busy: () => [429, { error: { message: 'slow down' } }],
+  'retry-after': () => [429, { error: { message: 'slow down' } }, { 'Retry-After': '3600' }],
+  denied: () => [401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }],
+  hang: () => null
+};
+
+const hits = {};
+let server;
+let baseUrl;
+
+before(async () => {
+  // Billy's progress logs would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+
+  server = http.createServer((req, res) => {
+    const scenario = req.url.split('/')[1];
+    hits[scenario] = (hits[scenario] || 0) + 1;
+    req.resume();
+
+    const answer = SCENARIOS[scenario](hits[scenario]);
+    if (!answer) return; // Leave it hanging
+    const [status, body, headers = {}] = answer;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const chatConfig = overrides => ({
+  ...DEFAULTS,
+  CHAT_PROVIDER: 'openai-compatible',
+  LOCAL_LLM_URL: `${baseUrl}/ok/v1`,
+  CLOUD_RETRIES: 2,
+  RETRY_BACKOFF: 10,
+  CHAT_TIMEOUT: 5000,
+  ...overrides
+});
+
+const REQUEST = { system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 20 };
+
+function ask(config) {
+  return createChatChain(config).run((chat, signal) => chat.complete(REQUEST, { signal }));
+}
+
+test('a 503 is retried until it succeeds', async () => {
+  const reply = await ask(chatConfig({ LOCAL_LLM_URL: `${baseUrl}/flaky/v1` }));
+  assert.equal(reply, 'Hello');
+  assert.equal(hits.flaky, 3);
+});
+
+test('a 500 is retried CLOUD_RETRIES times, then fails', async () => {
+  await assert.rejects(ask(chatConfig({ LOCAL_LLM_URL: `${baseUrl}/down/v1` })), { status: 500 });
+  assert.equal(hits.down, 3);
+});
+
+test('a 429 without Retry-After is retried on the backoff schedule', async () => {
+  await assert.rejects(ask(chatConfig({ LOCAL_LLM_URL: `${baseUrl}/busy/v1`, CLOUD_RETRIES: 1 })), { status: 429 });
+  assert.equal(hits.busy, 2);
+});
+
+test('Retry-After is capped at MAX_BACKOFF', { timeout: 5000 }, async () => {
+  // Record the retry delay without actually waiting for it
+  const realSetTimeout = setTimeout;
+  const timers = mock.method(global, 'setTimeout', (fn, ms, ...args) => realSetTimeout(fn, ms === MAX_BACKOFF ? 0 : ms, ...args));
+  try {
+    await assert.rejects(ask(chatConfig({ LOCAL_LLM_URL: `${baseUrl}/retry-after/v1`, CLOUD_RETRIES: 1 })), { status: 429 });
+  } finally {
+    timers.mock.restore();
+  }
+
+  const delays = timers.mock.calls.map(call => call.arguments[1]);
+  assert.ok(delays.includes(MAX_BACKOFF), `expected a ${MAX_BACKOFF} ms retry delay, got ${delays.join(', ')}`);
+  assert.ok(!delays.includes(3600 * 1000));
+  assert.equal(hits['retry-after'], 2);
+});
+
+test('a hung response hits the per-stage timeout', async () => {
+  const start = Date.now();
+  await assert.rejects(ask(chatConfig({ LOCAL_LLM_URL: `${baseUrl}/hang/v1`, CHAT_TIMEOUT: 300, CLOUD_RETRIES: 1 })), TimeoutError);
+  const elapsed = Date.now() - start;
+
+  // Two attempts of 300 ms each, not the SDK's own 10 minutes
+  assert.equal(hits.hang, 2);
+  assert.ok(elapsed >= 600 && elapsed < 3000, `took ${elapsed} ms`);
+});
+
+test('a 401 goes straight to the next provider in the chain', async () => {
+  const okBefore = hits.ok || 0;
+  process.env.ANTHROPIC_BASE_URL = `${baseUrl}/denied`;
+  try {
+    const reply = await ask(chatConfig({
+      CHAT_PROVIDER: 'anthropic',
+      ANTHROPIC_API_KEY: 'test-key',
+      CHAT_FALLBACK_PROVIDER: 'openai-compatible'
+    }));
+    assert.equal(reply, 'Hello');
+  } finally {
+    delete process.env.ANTHROPIC_BASE_URL;
+  }
+  assert.equal(hits.denied, 1); // Not retried
+  assert.equal(hits.ok - okBefore, 1);
+});
+
+test('when every TTS provider fails, a pre-rendered clip plays instead', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'billy-test-'));
+  const clip = path.join(dir, 'fallback-1.mp3');
+  fs.writeFileSync(clip, '');
+
+  const saved = { ...CONFIG };
+  Object.assign(CONFIG, {
+    TTS_PROVIDER: 'openai',
+    TTS_FALLBACK_PROVIDER: null,
+    OPENAI_API_KEY: 'test-key',
+    CLOUD_RETRIES: 1,
+    RETRY_BACKOFF: 10,
+    TTS_CACHE_DIR: null,
+    TTS_OUTPUT_FILE: path.join(dir, 'reply.mp3'),
+    FALLBACK_CLIPS_DIR: dir
+  });
+  process.env.OPENAI_BASE_URL = `${baseUrl}/down/v1`;
+  const downBefore = hits.down || 0;
+
+  try {
+    const billy = new BillyBass({ gpio: new SimulatedGpio(), history: null, fishAI: { lastError: null } });
+    assert.equal(await billy.synthesize('Hello there'), clip);
+    assert.equal(hits.down - downBefore, 2);
+
+    // Only once per interaction
+    await assert.rejects(billy.synthesize('And again'), { status: 500 });
+  } finally {
+    delete process.env.OPENAI_BASE_URL;
+    Object.assign(CONFIG, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+// speech-stream.test.js - Sentence splitting and the clip queue
+// Replies arrive as small deltas, split wherever the provider happened to cut
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SentenceSplitter, AsyncQueue } = require('../speech-stream');
+
+// Push the text a few characters at a time, then flush
+function split(text, size = 3, options) {
+  const splitter = new SentenceSplitter(options);
+  const sentences = [];
+  for (let i = 0; i < text.length; i += size) {
+    sentences.push(...splitter.push(text.slice(i, i + size)));
+  }
+  return [...sentences, ...splitter.flush()];
+}
+
+test('sentences come out whole, however the deltas are cut', () => {
+  const text = 'Well, hello there, my friend! Did you know fish can\'t blink? They have no eyelids at all.';
+  const expected = ['Well, hello there, my friend!', 'Did you know fish can\'t blink?', 'They have no eyelids at all.'];
+  for (const size of [1, 3, 7, text.length]) {
+    assert.deepEqual(split(text, size), expected, `deltas of ${size}`);
+  }
+});
+
+test('a sentence is only complete once whitespace follows its punctuation', () => {
+  const splitter = new SentenceSplitter();
+  assert.deepEqual(splitter.push('That costs about 3.'), []);
+  assert.deepEqual(splitter.push('50 at the bait shop. Then'), ['That costs about 3.50 at the bait shop.']);
+  assert.deepEqual(splitter.flush(), ['Then']);
+});
+
+test('abbreviations don\'t end a sentence', () => {
+  assert.deepEqual(split('I asked Dr. Finn about it today. He said e.g. worms are best.'), [
+    'I asked Dr. Finn about it today.',
+    'He said e.g. worms are best.'
+  ]);
+});
+
+test('short sentences are merged into the next one', () => {
+  assert.deepEqual(split('Ha! Oh boy! That is a whopper of a question.'), ['Ha! Oh boy! That is a whopper of a question.']);
+  assert.deepEqual(split('Ha! Oh boy!', 3, { minLength: 3 }), ['Ha!', 'Oh boy!']);
+});
+
+test('closing quotes and brackets stay with their sentence', () => {
+  assert.deepEqual(split('He looked at me and said "Take me to the river!" Then he sang it.'), [
+    'He looked at me and said "Take me to the river!"',
+    'Then he sang it.'
+  ]);
+});
+
+test('flush returns nothing for an empty or blank stream', () => {
+  const splitter = new SentenceSplitter();
+  assert.deepEqual(splitter.flush(), []);
+  splitter.push('   ');
+  assert.deepEqual(splitter.flush(), []);
+});
+
+test('the queue hands items over in order and waits for more', async () => {
+  const queue = new AsyncQueue();
+  queue.push('one');
+  const received = [];
+  const consumer = (async () => {
+    for await (const item of queue) received.push(await item);
+  })();
+
+  queue.push(Promise.resolve('two'));
+  setTimeout(() => {
+    queue.push('three');
+    queue.end();
+    queue.push('ignored');
+  }, 10);
+
+  await consumer;
+  assert.deepEqual(received, ['one', 'two', 'three']);
+});
+
+test('a rejected item only fails when the consumer reaches it', async () => {
+  const queue = new AsyncQueue();
+  queue.push(Promise.reject(new Error('TTS failed')));
+  await new Promise(resolve => setImmediate(resolve)); // No unhandled rejection in between
+  queue.end();
+
+  const { value } = await queue.next();
+  await assert.rejects(value, /TTS failed/);
+  assert.deepEqual(await queue.next(), { value: undefined, done: true });
+});
@@ -0,0 +1,40 @@
+// vad.test.js - Voice activity detection on generated frames
+// "Speech" is a loud tone and "room noise" a quiet one; 30 ms frames at 16 kHz
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VoiceActivityDetector } = require('../vad');
+
+const FRAME = 480;
+const tone = amplitude => Float32Array.from({ length: FRAME }, (_, i) => amplitude * Math.sin(i / 5));
+
+// Feed `ms` of one tone and return the events it produced
+function feed(vad, amplitude, ms) {
+  const events = [];
+  for (let t = 0; t < ms && !vad.done; t += vad.options.frameMs) {
+    const event = vad.process(tone(amplitude));
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+test('speech after a quiet calibration is recorded', () => {
+  const vad = new VoiceActivityDetector();
+  assert.deepEqual(feed(vad, 0.002, 600), []);
+  assert.deepEqual(feed(vad, 0.2, 1000), ['speech-start']);
+  assert.deepEqual(feed(vad, 0.002, 1000), ['speech-end']);
+  assert.equal(vad.result, 'speech');
+});
+
+test('talking straight away isn\'t taken for background noise', () => {
+  const vad = new VoiceActivityDetector();
+  assert.deepEqual(feed(vad, 0.2, 1500), ['speech-start']);
+  assert.ok(vad.noiseFloor <= vad.options.minEnergy * vad.options.threshold, `noise floor ${vad.noiseFloor}`);
+  assert.deepEqual(feed(vad, 0.002, 1000), ['speech-end']);
+});
+
+test('maxNoiseFloor: Infinity calibrates on whatever it hears', () => {
+  const vad = new VoiceActivityDetector({ maxNoiseFloor: Infinity });
+  assert.deepEqual(feed(vad, 0.2, 1500), []);
+  assert.ok(vad.noiseFloor > 0.1, `noise floor ${vad.noiseFloor}`);
+});
@@ -0,0 +1,319 @@
+// tools.js - Things Billy can look up instead of making up an answer
+// Claude can call these local tools while writing a reply ("what time is
+// it?", "how many people talked to you today?"). Each tool has a JSON schema
+// for its input and returns JSON; the chat provider sends the result back and
+// Claude carries on until it has something to say (see AnthropicChat in
+// providers.js).
+//
+//   get_current_time       the Pi's clock
+//   get_interaction_stats  how busy Billy has been (from the history file)
+//   lookup_facts           lines from FACTS_FILE - the household's own facts
+//   get_weather            from WEATHER_PROVIDER: Open-Meteo, or any URL that
+//                          returns weather JSON (e.g. a stub on localhost)
+
+const fs = require('fs');
+const { withTimeout } = require('./resilience');
+const { HistoryStore, computeStats } = require('./history');
+const { readPhrases } = require('./tts-cache');
+
+// Added to the system prompt by chat providers that pass the tools on (see providers.js)
+const TOOL_GUIDANCE = 'When a question needs the time, the weather, your own stats or a household fact, '
+  + 'use your tools instead of guessing, then answer in your usual style.';
+
+class ToolRegistry {
+  // timeout: ms each tool call may take (0 = no limit)
+  constructor(options = {}) {
+    this.timeout = options.timeout || 0;
+    this.tools = new Map();
+  }
+
+  // tool: { name, description, inputSchema, run(input, { signal }) -> result }
+  register(tool) {
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  get names() {
+    return [...this.tools.keys()];
+  }
+
+  // In the shape the Anthropic messages API expects
+  definitions() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema
+    }));
+  }
+
+  // Run a tool; resolves with { content (JSON text), isError } - a failing
+  // tool is reported back to the model rather than failing the reply
+  async call(name, input = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { content: JSON.stringify({ error: `Unknown tool ${name}` }), isError: true };
+    }
+
+    console.log(`🔧 ${name}(${JSON.stringify(input)})`);
+    try {
+      const result = await withTimeout(signal => Promise.resolve(tool.run(input, { signal })), this.timeout);
+      return { content: JSON.stringify(result), isError: false };
+    } catch (error) {
+      console.error(`⚠️  Tool ${name} failed:`, error.message);
+      return { content: JSON.stringify({ error: error.message }), isError: true };
+    }
+  }
+}
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+
+function clockTool() {
+  return {
+    name: 'get_current_time',
+    description: 'The current local date, time and time zone.',
+    inputSchema: { type: 'object', properties: {} },
+    run() {
+      const now = new Date();
+      return {
+        date: now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        time: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      };
+    }
+  };
+}
+
+// ============================================================================
+// INTERACTION STATS
+// ============================================================================
+
+const PERIODS = ['today', 'yesterday', 'last_7_days', 'all_time'];
+
+// { since, until } Dates for a period name (local days)
+function periodRange(period, now = new Date()) {
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysBefore = days => new Date(midnight.getFullYear(), midnight.getMonth(), midnight.getDate() - days);
+
+  switch (period) {
+    case 'today':
+      return { since: midnight, until: null };
+    case 'yesterday':
+      return { since: daysBefore(1), until: midnight };
+    case 'last_7_days':
+      return { since: daysBefore(6), until: null };
+    default:
+      return { since: null, until: null };
+  }
+}
+
+function statsTool(history) {
+  return {
+    name: 'get_interaction_stats',
+    description: 'How many times people have talked to Billy (and other things he did) in a period, '
+      + 'his average response time and the most recent questions. The current conversation is not included.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', enum: PERIODS, description: 'Defaults to today' }
+      }
+    },
+    run({ period = 'today' }) {
+      if (!PERIODS.includes(period)) {
+        throw new Error(`period must be one of ${PERIODS.join(', ')}`);
+      }
+      const records = history.query(periodRange(period));
+      const stats = computeStats(records);
+      const conversations = records.filter(record => record.kind === 'conversation');
+      return {
+        period,
+        conversations: conversations.length,
+        songsAndAnnouncements: records.length - conversations.length,
+        averageResponseSeconds: stats.response ? Number((stats.response.avg / 1000).toFixed(1)) : null,
+        recentQuestions: conversations.map(record => record.transcript).filter(Boolean).slice(-3)
+      };
+    }
+  };
+}
+
+// ============================================================================
+// FACTS
+// ============================================================================
+
+// Words worth matching on ("the", "is" and friends don't say much)
+function keywords(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+}
+
+const MAX_FACTS = 20;
+
+function factsTool(file) {
+  return {
+    name: 'lookup_facts',
+    description: 'Facts about the household Billy lives in (people, pets, places, routines, Wi-Fi and so on). '
+      + 'Returns the facts matching the topic, or all of them if none match.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', description: 'What to look up, e.g. "dog\'s birthday"' }
+      }
+    },
+    run({ topic = '' }) {
+      // Read on every call, so edits apply without a restart
+      const facts = readPhrases(file);
+      const wanted = keywords(topic);
+      const matches = facts.filter(fact => keywords(fact).some(word => wanted.includes(word)));
+      return { facts: (matches.length > 0 ? matches : facts).slice(0, MAX_FACTS) };
+    }
+  };
+}
+
+// ============================================================================
+// WEATHER
+// ============================================================================
+// A weather provider has current({ signal }) -> Promise<object>; whatever it
+// returns is handed to the model as-is, so a stub can return any JSON.
+
+async function getJson(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`${url} answered HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+// WMO weather interpretation codes used by Open-Meteo
+function describeWeatherCode(code) {
+  if (code === 0) return 'clear sky';
+  if (code <= 2) return 'partly cloudy';
+  if (code === 3) return 'overcast';
+  if (code <= 48) return 'fog';
+  if (code <= 57) return 'drizzle';
+  if (code <= 67) return 'rain';
+  if (code <= 77) return 'snow';
+  if (code <= 82) return 'rain showers';
+  if (code <= 86) return 'snow showers';
+  return 'thunderstorm';
+}
+
+// Free, no API key: https://open-meteo.com
+class OpenMeteoWeather {
+  constructor(options) {
+    this.name = 'Open-Meteo';
+    this.latitude = options.latitude;
+    this.longitude = options.longitude;
+    this.units = options.units || 'celsius';
+  }
+
+  async current({ signal } = {}) {
+    const params = new URLSearchParams({
+      latitude: this.latitude,
+      longitude: this.longitude,
+      current: 'temperature_2m,apparent_temperature,weather_code,wind_speed_10m',
+      daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+      temperature_unit: this.units,
+      wind_speed_unit: this.units === 'fahrenheit' ? 'mph' : 'kmh',
+      forecast_days: 2,
+      timezone: 'auto'
+    });
+    const data = await getJson(`https://api.open-meteo.com/v1/forecast?${params}`, signal);
+
+    const day = i => ({
+      conditions: describeWeatherCode(data.daily.weather_code[i]),
+      high: data.daily.temperature_2m_max[i],
+      low: data.daily.temperature_2m_min[i],
+      chanceOfRainPercent: data.daily.precipitation_probability_max[i]
+    });
+
+    return {
+      now: {
+        conditions: describeWeatherCode(data.current.weather_code),
+        temperature: data.current.temperature_2m,
+        feelsLike: data.current.apparent_temperature,
+        wind: data.current.wind_speed_10m
+      },
+      today: day(0),
+      tomorrow: day(1),
+      units: { temperature: data.current_units.temperature_2m, wind: data.current_units.wind_speed_10m }
+    };
+  }
+}
+
+// Any URL answering a GET with weather JSON - a home automation endpoint, or
+// a stub on localhost for testing
+class UrlWeather {
+  constructor(options) {
+    this.name = options.url;
+    this.url = options.url;
+  }
+
+  current({ signal } = {}) {
+    return getJson(this.url, signal);
+  }
+}
+
+function createWeatherProvider(config) {
+  switch (config.WEATHER_PROVIDER) {
+    case 'open-meteo':
+      return new OpenMeteoWeather({
+        latitude: config.WEATHER_LATITUDE,
+        longitude: config.WEATHER_LONGITUDE,
+        units: config.WEATHER_UNITS
+      });
+    case 'url':
+      return new UrlWeather({ url: config.WEATHER_URL });
+    case null:
+    case undefined:
+      return null;
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${config.WEATHER_PROVIDER}"`);
+  }
+}
+
+function weatherTool(weather) {
+  return {
+    name: 'get_weather',
+    description: 'Current weather and the forecast for today and tomorrow where Billy lives.',
+    inputSchema: { type: 'object', properties: {} },
+    run(input, { signal }) {
+      return weather.current({ signal });
+    }
+  };
+}
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+// The tools the configuration provides
+function createToolRegistry(config) {
+  const registry = new ToolRegistry({ timeout: config.TOOL_TIMEOUT });
+  registry.register(clockTool());
+
+  if (config.HISTORY_FILE) {
+    registry.register(statsTool(new HistoryStore(config.HISTORY_FILE)));
+  }
+  if (config.FACTS_FILE && fs.existsSync(config.FACTS_FILE) && readPhrases(config.FACTS_FILE).length > 0) {
+    registry.register(factsTool(config.FACTS_FILE));
+  }
+
+  const weather = createWeatherProvider(config);
+  if (weather) {
+    registry.register(weatherTool(weather));
+  }
+  return registry;
+}
+
+module.exports = {
+  TOOL_GUIDANCE,
+  ToolRegistry,
+  OpenMeteoWeather,
+  UrlWeather,
+  createWeatherProvider,
+  createToolRegistry
+};
@@ -0,0 +1,212 @@
+// tts-cache.js - On-disk cache of synthesized speech
+// Entries are named by a hash of the text and the voice that spoke it
+// (provider, model and voice), so the same line in the same voice is only
+// ever synthesized once - and a change of voice never plays a stale clip.
+//
+// The cache is capped at a size; when it grows past it the least recently
+// used entries go first. Pre-warmed phrases live in pinned/ and are never
+// evicted, so canned lines keep working without a network:
+//
+//   node tts-cache.js prewarm [phrases.txt ...]   synthesize and pin phrases
+//   node tts-cache.js stats                       entries and size
+//   node tts-cache.js clear [--all]               empty it (--all: pinned too)
+//
+// Prewarm always includes Billy's built-in lines (see fallback-clips.js), or
+// the persona's own when PERSONA is set; phrase files have one phrase per
+// line, # for comments.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class TtsCache {
+  // maxBytes: size limit for unpinned entries
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.pinnedDir = path.join(dir, 'pinned');
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+  }
+
+  // Same text, different whitespace = same speech
+  static normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // File name for some text in a provider's voice (see voiceId in providers.js)
+  entryName(text, tts) {
+    const hash = crypto.createHash('sha256')
+      .update(`${tts.voiceId}\n${TtsCache.normalize(text)}`)
+      .digest('hex');
+    return `${hash.slice(0, 32)}${tts.extension}`;
+  }
+
+  // Cached speech file for the text, or null
+  get(text, tts) {
+    const name = this.entryName(text, tts);
+
+    const pinned = path.join(this.pinnedDir, name);
+    if (fs.existsSync(pinned)) return pinned;
+
+    const file = path.join(this.dir, name);
+    if (!fs.existsSync(file)) return null;
+
+    // Mark it as recently used (eviction goes by modification time)
+    const now = new Date();
+    try {
+      fs.utimesSync(file, now, now);
+    } catch (error) {
+      // Only affects the eviction order
+    }
+    return file;
+  }
+
+  // Copy a freshly synthesized file into the cache; returns the cached path
+  // pinned: keep it out of eviction (for pre-warmed phrases)
+  put(text, tts, sourceFile, { pinned = false } = {}) {
+    const dir = pinned ? this.pinnedDir : this.dir;
+    const file = path.join(dir, this.entryName(text, tts));
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      // Copy then rename, so a half-written file is never played
+      const temp = `${file}.${process.pid}.tmp`;
+      fs.copyFileSync(sourceFile, temp);
+      fs.renameSync(temp, file);
+    } catch (error) {
+      console.error('⚠️  Could not cache speech:', error.message);
+      return null;
+    }
+
+    if (!pinned) {
+      this.evict();
+    }
+    return file;
+  }
+
+  // Unpinned entries, least recently used first
+  entries() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+      .map((entry) => {
+        const file = path.join(this.dir, entry.name);
+        const stats = fs.statSync(file);
+        return { file, size: stats.size, used: stats.mtimeMs };
+      })
+      .sort((a, b) => a.used - b.used);
+  }
+
+  pinnedEntries() {
+    if (!fs.existsSync(this.pinnedDir)) return [];
+    return fs.readdirSync(this.pinnedDir).map((name) => {
+      const file = path.join(this.pinnedDir, name);
+      return { file, size: fs.statSync(file).size };
+    });
+  }
+
+  // Remove the least recently used entries until the cache fits its limit
+  evict() {
+    const entries = this.entries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (total <= this.maxBytes) break;
+      try {
+        fs.unlinkSync(entry.file);
+        total -= entry.size;
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  clear({ all = false } = {}) {
+    const entries = [...this.entries(), ...(all ? this.pinnedEntries() : [])];
+    for (const entry of entries) {
+      fs.unlinkSync(entry.file);
+    }
+    return entries.length;
+  }
+}
+
+// Phrases in a file: one per line, skipping blank lines and # comments
+function readPhrases(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+module.exports = {
+  TtsCache,
+  readPhrases
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// Synthesize and pin every phrase that isn't cached yet
+async function prewarm(cache, tts, phrases, tempFile) {
+  let added = 0;
+  for (const phrase of phrases) {
+    if (cache.get(phrase, tts)) {
+      console.log(`  ✓ (cached) ${phrase}`);
+      continue;
+    }
+    const output = tempFile.replace(/(\.\w+)?$/, tts.extension);
+    await tts.synthesize(phrase, output);
+    cache.put(phrase, tts, output, { pinned: true });
+    fs.unlinkSync(output);
+    console.log(`  ✓ ${phrase}`);
+    added++;
+  }
+  return added;
+}
+
+if (require.main === module) {
+  const usage = 'Usage: node tts-cache.js prewarm [phrases.txt ...] | stats | clear [--all]';
+
+  (async () => {
+    // Loaded here rather than at the top - billy-bass.js uses this module too
+    const { CONFIG, configure, NOT_HEARD_LINE, personas } = require('./billy-bass');
+    const { createTtsProvider } = require('./providers');
+
+    const [command, ...args] = configure(process.argv.slice(2));
+    if (!CONFIG.TTS_CACHE_DIR) {
+      throw new Error('The speech cache is turned off (TTS_CACHE_DIR is null)');
+    }
+    const cache = new TtsCache(CONFIG.TTS_CACHE_DIR, { maxBytes: CONFIG.TTS_CACHE_MAX_MB * 1024 * 1024 });
+
+    if (command === 'prewarm') {
+      const files = args.length > 0 ? args : [path.join(__dirname, 'phrases.txt')].filter(file => fs.existsSync(file));
+      // Billy's own lines, in the words of the configured persona
+      const lines = [personas.line('notHeard', NOT_HEARD_LINE), ...personas.fallbackLines];
+      if (personas.current && personas.current.lines.greeting) {
+        lines.push(personas.current.lines.greeting);
+      }
+      const phrases = [...new Set([...lines, ...files.flatMap(readPhrases)])];
+
+      const tts = createTtsProvider(CONFIG);
+      console.log(`🗣️  Pre-warming ${phrases.length} phrases with ${tts.name}...`);
+      const added = await prewarm(cache, tts, phrases, CONFIG.TTS_OUTPUT_FILE.replace(/(\.\w+)?$/, '_prewarm$1'));
+      console.log(`✓ ${added} added, ${phrases.length - added} already cached`);
+    } else if (command === 'stats') {
+      const entries = cache.entries();
+      const pinned = cache.pinnedEntries();
+      const mb = list => (list.reduce((sum, entry) => sum + entry.size, 0) / 1024 / 1024).toFixed(1);
+      console.log(`📦 ${cache.dir}`);
+      console.log(`   ${entries.length} cached (${mb(entries)} of ${CONFIG.TTS_CACHE_MAX_MB} MB), ${pinned.length} pinned (${mb(pinned)} MB)`);
+    } else if (command === 'clear') {
+      const removed = cache.clear({ all: args.includes('--all') });
+      console.log(`✓ Removed ${removed} cached clips`);
+    } else {
+      console.error(usage);
+      process.exit(1);
+    }
+  })().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
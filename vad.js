@@ -0,0 +1,157 @@
+// vad.js - Energy-based voice activity detection
+// Feed it fixed-size frames of mono samples; it tracks the background noise
+// level, decides when speech starts and ends, and keeps the audio in between
+// (plus a little pre-roll so the first syllable isn't clipped).
+
+const DEFAULTS = {
+  frameMs: 30,
+  calibrationMs: 300, // Initial frames used to measure background noise
+  threshold: 3.0, // Speech = energy this many times above the noise floor
+  minEnergy: 0.004, // RMS floor so a silent room doesn't make every breath "speech"
+  startMs: 90, // Consecutive loud audio needed to count as speech
+  trailingSilenceMs: 800, // Quiet after speech that ends the utterance
+  maxSpeechMs: 15000, // Hard cap on utterance length
+  noSpeechTimeoutMs: 5000, // Give up if nobody starts talking
+  preRollMs: 300, // Audio kept from before speech was detected
+  noiseFloor: null, // Known background level (skips calibration), e.g. from a previous detector
+  maxNoiseFloor: null // Cap on the calibrated level, default minEnergy * threshold
+};
+
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'waiting'; // waiting -> speaking -> done
+    this.result = null; // 'speech' | 'silence' once done
+    this.reason = null; // why it finished: 'trailing-silence' | 'max-length' | 'no-speech'
+    this.elapsedMs = 0;
+    this.noiseFloor = this.options.noiseFloor;
+    this.calibration = [];
+    this.loudMs = 0;
+    this.quietMs = 0;
+    this.speechMs = 0;
+    this.preRoll = [];
+    this.frames = [];
+  }
+
+  get done() {
+    return this.state === 'done';
+  }
+
+  get threshold() {
+    return Math.max(this.options.minEnergy, (this.noiseFloor || 0) * this.options.threshold);
+  }
+
+  // Root-mean-square energy of a frame
+  static energy(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) {
+      sum += frame[i] * frame[i];
+    }
+    return Math.sqrt(sum / frame.length);
+  }
+
+  // Process one frame; returns 'speech-start', 'speech-end' or null
+  process(frame) {
+    if (this.done) return null;
+
+    const { frameMs } = this.options;
+    const energy = VoiceActivityDetector.energy(frame);
+    this.elapsedMs += frameMs;
+
+    // Learn the room's background level before listening for speech
+    // Capped, so someone talking straight away isn't taken for background -
+    // a noisier room still raises it below, one quiet frame at a time
+    if (this.noiseFloor === null) {
+      this.calibration.push(energy);
+      this.keepPreRoll(frame);
+      if (this.elapsedMs >= this.options.calibrationMs) {
+        const { minEnergy, threshold, maxNoiseFloor } = this.options;
+        const average = this.calibration.reduce((sum, e) => sum + e, 0) / this.calibration.length;
+        this.noiseFloor = Math.min(average, maxNoiseFloor ?? minEnergy * threshold);
+      }
+      return null;
+    }
+
+    const loud = energy >= this.threshold;
+
+    if (this.state === 'waiting') {
+      this.keepPreRoll(frame);
+
+      if (loud) {
+        this.loudMs += frameMs;
+      } else {
+        this.loudMs = 0;
+        // Track slow changes in background noise (fans, AC...)
+        this.noiseFloor = this.noiseFloor * 0.95 + energy * 0.05;
+      }
+
+      if (this.loudMs >= this.options.startMs) {
+        this.state = 'speaking';
+        this.frames = this.preRoll;
+        this.preRoll = [];
+        this.speechMs = this.loudMs;
+        return 'speech-start';
+      }
+
+      if (this.elapsedMs >= this.options.noSpeechTimeoutMs) {
+        this.finish('silence', 'no-speech');
+      }
+      return null;
+    }
+
+    // Speaking: keep everything until enough trailing quiet
+    this.frames.push(frame);
+    this.speechMs += frameMs;
+    this.quietMs = loud ? 0 : this.quietMs + frameMs;
+
+    if (this.quietMs >= this.options.trailingSilenceMs) {
+      this.finish('speech', 'trailing-silence');
+      return 'speech-end';
+    }
+    if (this.speechMs >= this.options.maxSpeechMs) {
+      this.finish('speech', 'max-length');
+      return 'speech-end';
+    }
+    return null;
+  }
+
+  keepPreRoll(frame) {
+    this.preRoll.push(frame);
+    const maxFrames = Math.ceil(this.options.preRollMs / this.options.frameMs);
+    if (this.preRoll.length > maxFrames) {
+      this.preRoll.shift();
+    }
+  }
+
+  finish(result, reason) {
+    this.state = 'done';
+    this.result = result;
+    this.reason = reason;
+  }
+
+  // The captured utterance as one buffer of samples (trailing silence trimmed
+  // down to a short tail)
+  getAudio() {
+    const tailFrames = Math.floor(this.quietMs / this.options.frameMs);
+    const keepTail = Math.ceil(200 / this.options.frameMs);
+    const frames = this.frames.slice(0, this.frames.length - Math.max(0, tailFrames - keepTail));
+
+    const length = frames.reduce((sum, frame) => sum + frame.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const frame of frames) {
+      samples.set(frame, offset);
+      offset += frame.length;
+    }
+    return samples;
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  VoiceActivityDetector
+};
@@ -0,0 +1,471 @@
+// wake-word.js - Local "Hey Billy" keyword spotting, no cloud and no extra packages
+// A few recordings of the wake phrase are enrolled as templates. While
+// listening, each short burst of speech picked out by the voice activity
+// detector is turned into MFCC features and compared with the templates using
+// dynamic time warping (DTW); a close enough match wakes Billy.
+//
+//   node wake-word.js enroll [--count 3]   record the wake phrase
+//   node wake-word.js test                 print match distances while you talk
+//
+// Matching is relative to how much the enrolled recordings differ from each
+// other, so the same sensitivity works for different voices and rooms.
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { VoiceActivityDetector } = require('./vad');
+const { s16leToFloat } = require('./wav');
+
+const DEFAULTS = {
+  frameMs: 25, // MFCC analysis window
+  hopMs: 10,
+  melFilters: 26,
+  coefficients: 12, // Cepstral coefficients kept (c0, plain loudness, is dropped)
+  minPhraseMs: 250, // Speech bursts outside this range can't be the wake phrase
+  maxPhraseMs: 2000,
+  sensitivity: 0.5 // 0 = strict, 1 = wakes on anything vaguely similar
+};
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+// Precomputed window and mel filterbank for one sample rate
+class FeatureExtractor {
+  constructor(sampleRate, options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.sampleRate = sampleRate;
+    this.frameLength = Math.round(sampleRate * this.options.frameMs / 1000);
+    this.hop = Math.round(sampleRate * this.options.hopMs / 1000);
+    this.fftSize = 1 << Math.ceil(Math.log2(this.frameLength));
+
+    this.window = new Float64Array(this.frameLength);
+    for (let i = 0; i < this.frameLength; i++) {
+      this.window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (this.frameLength - 1)); // Hamming
+    }
+    this.filters = melFilterbank(this.options.melFilters, this.fftSize, sampleRate);
+  }
+
+  // MFCC frames (arrays of coefficients) for a buffer of mono samples,
+  // mean-normalized so the microphone and room matter less
+  compute(samples) {
+    const { coefficients } = this.options;
+    const frames = [];
+    const re = new Float64Array(this.fftSize);
+    const im = new Float64Array(this.fftSize);
+
+    for (let start = 0; start + this.frameLength <= samples.length; start += this.hop) {
+      re.fill(0);
+      im.fill(0);
+      for (let i = 0; i < this.frameLength; i++) {
+        const previous = start + i > 0 ? samples[start + i - 1] : 0;
+        re[i] = (samples[start + i] - 0.97 * previous) * this.window[i]; // Pre-emphasis
+      }
+      fft(re, im);
+
+      const logMel = this.filters.map(({ first, weights }) => {
+        let energy = 0;
+        for (let k = 0; k < weights.length; k++) {
+          const bin = first + k;
+          energy += weights[k] * (re[bin] * re[bin] + im[bin] * im[bin]);
+        }
+        return Math.log(energy + 1e-10);
+      });
+
+      // DCT-II of the log mel energies, skipping c0
+      const frame = new Array(coefficients);
+      for (let c = 1; c <= coefficients; c++) {
+        let sum = 0;
+        for (let m = 0; m < logMel.length; m++) {
+          sum += logMel[m] * Math.cos(Math.PI * c * (m + 0.5) / logMel.length);
+        }
+        frame[c - 1] = sum;
+      }
+      frames.push(frame);
+    }
+
+    // Cepstral mean normalization
+    if (frames.length > 0) {
+      for (let c = 0; c < coefficients; c++) {
+        const mean = frames.reduce((total, frame) => total + frame[c], 0) / frames.length;
+        for (const frame of frames) {
+          frame[c] -= mean;
+        }
+      }
+    }
+    return frames;
+  }
+}
+
+function melFilterbank(count, fftSize, sampleRate) {
+  const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+  const fromMel = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+  const low = toMel(100);
+  const high = toMel(Math.min(7600, sampleRate / 2));
+
+  // count + 2 edge points, as FFT bins
+  const bins = [];
+  for (let i = 0; i < count + 2; i++) {
+    bins.push(Math.floor((fftSize + 1) * fromMel(low + (high - low) * i / (count + 1)) / sampleRate));
+  }
+
+  const filters = [];
+  for (let f = 1; f <= count; f++) {
+    const [left, center, right] = [bins[f - 1], bins[f], bins[f + 1]];
+    const weights = [];
+    for (let bin = left; bin <= right; bin++) {
+      if (bin < center) {
+        weights.push(center === left ? 1 : (bin - left) / (center - left));
+      } else {
+        weights.push(right === center ? 1 : (right - bin) / (right - center));
+      }
+    }
+    filters.push({ first: left, weights });
+  }
+  return filters;
+}
+
+// In-place radix-2 FFT (re.length must be a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// Cut leading and trailing quiet (VAD audio keeps some on both ends)
+function trimSilence(samples, sampleRate, frameMs = 10) {
+  const frameLength = Math.round(sampleRate * frameMs / 1000);
+  const energies = [];
+  for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+    energies.push(VoiceActivityDetector.energy(samples.subarray(start, start + frameLength)));
+  }
+  const limit = Math.max(...energies, 0) * 0.1;
+  const first = energies.findIndex(energy => energy > limit);
+  if (first === -1) return samples.subarray(0, 0);
+
+  let last = energies.length - 1;
+  while (energies[last] <= limit) last--;
+  return samples.subarray(first * frameLength, (last + 1) * frameLength);
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// Average per-frame distance along the best time alignment of two feature
+// sequences (Infinity when their lengths are too different to be the same phrase)
+function dtwDistance(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0 || Math.max(n, m) > 2 * Math.min(n, m)) return Infinity;
+
+  const band = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * 0.25));
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  let current = new Float64Array(m + 1);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    current.fill(Infinity);
+    const from = Math.max(1, i - band);
+    const to = Math.min(m, i + band);
+    for (let j = from; j <= to; j++) {
+      let cost = 0;
+      for (let c = 0; c < a[i - 1].length; c++) {
+        const d = a[i - 1][c] - b[j - 1][c];
+        cost += d * d;
+      }
+      current[j] = Math.sqrt(cost) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[m] / (n + m);
+}
+
+// Decides whether a piece of speech is the wake phrase
+class WakeWordDetector {
+  // model: saved by enrollment - { sampleRate, templates, spread }
+  constructor(model, options = {}) {
+    if (!model.templates || model.templates.length < 2) {
+      throw new Error('The wake word needs at least two enrolled recordings');
+    }
+    this.options = { ...DEFAULTS, ...options };
+    this.model = model;
+    this.features = new FeatureExtractor(model.sampleRate, this.options);
+
+    // Accept phrases up to 0.8x-1.6x as far from the templates as the
+    // templates are from each other
+    this.threshold = model.spread * (0.8 + 0.8 * this.options.sensitivity);
+  }
+
+  // Best (smallest) distance between the speech and any template
+  score(samples) {
+    const durationMs = samples.length / this.model.sampleRate * 1000;
+    if (durationMs < this.options.minPhraseMs || durationMs > this.options.maxPhraseMs) {
+      return Infinity;
+    }
+    const frames = this.features.compute(samples);
+    return Math.min(...this.model.templates.map(template => dtwDistance(frames, template)));
+  }
+
+  matches(samples) {
+    return this.score(samples) <= this.threshold;
+  }
+}
+
+// Build the model from enrollment recordings (mono samples, silence trimmed)
+function createModel(recordings, sampleRate, phrase = 'Hey Billy') {
+  const features = new FeatureExtractor(sampleRate);
+  const templates = recordings.map(samples => features.compute(samples));
+
+  // Typical distance between two recordings of the phrase
+  const distances = [];
+  for (let i = 0; i < templates.length; i++) {
+    for (let j = i + 1; j < templates.length; j++) {
+      distances.push(dtwDistance(templates[i], templates[j]));
+    }
+  }
+  const finite = distances.filter(Number.isFinite);
+  if (finite.length === 0) {
+    throw new Error('The recordings are too different from each other - try again, saying the phrase the same way each time');
+  }
+
+  return {
+    phrase,
+    sampleRate,
+    spread: finite.reduce((sum, d) => sum + d, 0) / finite.length,
+    templates: templates.map(frames => frames.map(frame => frame.map(value => Number(value.toFixed(3)))))
+  };
+}
+
+function loadModel(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No wake word enrolled (${file} not found) - run: node wake-word.js enroll`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ============================================================================
+// LISTENER
+// ============================================================================
+
+// Streams the microphone through the detector until paused or stopped.
+// Billy pauses it for every interaction - the mic is needed for the question,
+// and Billy shouldn't wake himself up - and it comes back after a cooldown.
+class WakeWordListener {
+  constructor(detector, options = {}) {
+    this.detector = detector;
+    this.device = options.device;
+    this.sampleRate = detector.model.sampleRate;
+    this.channels = options.channels || 1;
+    this.cooldown = options.cooldown === undefined ? 3000 : options.cooldown;
+    this.onWake = options.onWake || (() => {});
+    this.onScore = options.onScore || null; // (distance) for every speech burst, for tuning
+
+    this.arecord = null;
+    this.state = 'stopped'; // stopped | listening | paused
+    this.resumeTimer = null;
+  }
+
+  start() {
+    this.state = 'listening';
+    this.listen();
+  }
+
+  // Release the microphone; resolves once arecord has exited
+  async pause() {
+    if (this.state === 'stopped') return;
+    this.state = 'paused';
+    clearTimeout(this.resumeTimer);
+    await this.release();
+  }
+
+  // Start listening again after the cooldown
+  resume() {
+    if (this.state !== 'paused') return;
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      if (this.state === 'paused') {
+        this.start();
+      }
+    }, this.cooldown);
+  }
+
+  async stop() {
+    this.state = 'stopped';
+    clearTimeout(this.resumeTimer);
+    await this.release();
+  }
+
+  release() {
+    const arecord = this.arecord;
+    if (!arecord) return Promise.resolve();
+    this.arecord = null;
+    return new Promise((resolve) => {
+      arecord.once('close', resolve);
+      arecord.kill();
+    });
+  }
+
+  listen() {
+    const vadOptions = {
+      frameMs: 30,
+      startMs: 60,
+      trailingSilenceMs: 250, // Short pause after "Hey Billy" ends the phrase
+      maxSpeechMs: this.detector.options.maxPhraseMs + 300,
+      noSpeechTimeoutMs: Infinity,
+      preRollMs: 150
+    };
+    let vad = new VoiceActivityDetector(vadOptions);
+    const frameBytes = Math.round(this.sampleRate * vadOptions.frameMs / 1000) * this.channels * 2;
+    let pending = Buffer.alloc(0);
+
+    const arecord = spawn('arecord', [
+      '-D', this.device,
+      '-f', 'S16_LE',
+      '-r', String(this.sampleRate),
+      '-c', String(this.channels),
+      '-t', 'raw',
+      '-q'
+    ]);
+    this.arecord = arecord;
+
+    arecord.stdout.on('data', (data) => {
+      pending = Buffer.concat([pending, data]);
+
+      while (pending.length >= frameBytes && this.arecord === arecord) {
+        const frame = s16leToFloat(pending.subarray(0, frameBytes), this.channels);
+        pending = pending.subarray(frameBytes);
+
+        if (vad.process(frame) !== 'speech-end') continue;
+
+        const samples = trimSilence(vad.getAudio(), this.sampleRate);
+        const distance = vad.reason === 'max-length' ? Infinity : this.detector.score(samples);
+        // Keep the learned background level for the next phrase
+        vad = new VoiceActivityDetector({ ...vadOptions, noiseFloor: vad.noiseFloor });
+
+        if (this.onScore) {
+          this.onScore(distance);
+        }
+        if (distance <= this.detector.threshold) {
+          console.log(`👂 Wake word heard (distance ${distance.toFixed(2)})`);
+          this.onWake();
+          return;
+        }
+      }
+    });
+
+    arecord.on('error', (error) => {
+      console.error('✗ Wake word listener error:', error.message);
+    });
+
+    // The microphone can drop out (unplugged, busy) - keep trying
+    arecord.on('close', () => {
+      if (this.arecord !== arecord) return;
+      this.arecord = null;
+      if (this.state === 'listening') {
+        console.error('⚠️  Wake word listener stopped unexpectedly, restarting...');
+        this.resumeTimer = setTimeout(() => {
+          if (this.state === 'listening') this.listen();
+        }, 2000);
+      }
+    });
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  FeatureExtractor,
+  WakeWordDetector,
+  WakeWordListener,
+  createModel,
+  loadModel,
+  dtwDistance,
+  trimSilence
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// node wake-word.js enroll [--count <n>] | test   (plus --config/--profile)
+if (require.main === module) {
+  (async () => {
+    const { CONFIG, configure, AudioManager } = require('./billy-bass');
+    const { readWav } = require('./wav');
+    const [command, ...rest] = configure(process.argv.slice(2));
+
+    if (command === 'enroll') {
+      const countIndex = rest.indexOf('--count');
+      const count = countIndex === -1 ? 3 : parseInt(rest[countIndex + 1], 10);
+      if (!(count >= 2)) {
+        throw new Error('--count must be at least 2');
+      }
+
+      const audioManager = new AudioManager();
+      const recordings = [];
+      while (recordings.length < count) {
+        console.log(`\n🎙️  Say "Hey Billy" (${recordings.length + 1}/${count})`);
+        const recording = await audioManager.recordUtterance();
+        if (!recording.spoke) continue;
+
+        const wav = readWav(fs.readFileSync(recording.file));
+        const samples = trimSilence(wav.samples, wav.sampleRate);
+        const durationMs = samples.length / wav.sampleRate * 1000;
+        if (durationMs < DEFAULTS.minPhraseMs || durationMs > DEFAULTS.maxPhraseMs) {
+          console.log(`⚠️  That was ${(durationMs / 1000).toFixed(1)}s - keep it to a short phrase, try again`);
+          continue;
+        }
+        recordings.push(samples);
+      }
+
+      const model = createModel(recordings, CONFIG.AUDIO_SAMPLE_RATE);
+      fs.writeFileSync(CONFIG.WAKE_WORD_MODEL, JSON.stringify(model));
+      console.log(`\n✓ Wake word saved to ${CONFIG.WAKE_WORD_MODEL} (spread ${model.spread.toFixed(2)})`);
+    } else if (command === 'test') {
+      const detector = new WakeWordDetector(loadModel(CONFIG.WAKE_WORD_MODEL), {
+        sensitivity: CONFIG.WAKE_WORD_SENSITIVITY
+      });
+      const listener = new WakeWordListener(detector, {
+        device: CONFIG.AUDIO_CAPTURE_DEVICE,
+        channels: CONFIG.AUDIO_CHANNELS,
+        cooldown: 0,
+        onScore: (distance) => console.log(`   distance ${distance.toFixed(2)} (wakes at <= ${detector.threshold.toFixed(2)})`),
+        onWake: () => {
+          listener.pause().then(() => listener.resume());
+        }
+      });
+      console.log('👂 Listening - talk, and say "Hey Billy" now and then (Ctrl+C to quit)');
+      listener.start();
+      process.on('SIGINT', () => listener.stop().then(() => process.exit(0)));
+    } else {
+      console.error('Usage: node wake-word.js enroll [--count <n>] | test  [--config <file>] [--profile <name>]');
+      process.exit(1);
+    }
+  })().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,124 @@
+// wav.js - Minimal RIFF/WAVE reader for PCM audio
+
+// Parse a WAV file buffer into mono samples in the range -1..1
+// Supports 8-bit unsigned and 16/24/32-bit signed integer PCM
+function readWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  // Walk the chunks - "fmt " and "data" aren't always adjacent
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(body, Math.min(body + size, buffer.length));
+    }
+
+    offset = body + size + (size % 2); // Chunks are word-aligned
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+  // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE (PCM in practice for arecord output)
+  if (format.audioFormat !== 1 && format.audioFormat !== 0xFFFE) {
+    throw new Error(`Unsupported WAV encoding (format ${format.audioFormat})`);
+  }
+
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const frameCount = Math.floor(data.length / frameSize);
+  const samples = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < format.channels; ch++) {
+      sum += readSample(data, i * frameSize + ch * bytesPerSample, format.bitsPerSample);
+    }
+    samples[i] = sum / format.channels; // Downmix to mono
+  }
+
+  return {
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    bitsPerSample: format.bitsPerSample,
+    samples
+  };
+}
+
+function readSample(data, offset, bitsPerSample) {
+  switch (bitsPerSample) {
+    case 8:
+      return (data.readUInt8(offset) - 128) / 128;
+    case 16:
+      return data.readInt16LE(offset) / 32768;
+    case 24:
+      return data.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return data.readInt32LE(offset) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`);
+  }
+}
+
+// Convert raw signed 16-bit little-endian PCM to mono samples in -1..1
+// Interleaved multi-channel input is downmixed
+function s16leToFloat(buffer, channels = 1) {
+  const samples = new Float32Array(Math.floor(buffer.length / (2 * channels)));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < channels; ch++) {
+      sum += buffer.readInt16LE((i * channels + ch) * 2);
+    }
+    samples[i] = sum / channels / 32768;
+  }
+  return samples;
+}
+
+// Encode mono samples (-1..1) as a 16-bit PCM WAV file buffer
+function writeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+}
+
+module.exports = {
+  readWav,
+  writeWav,
+  s16leToFloat
+};